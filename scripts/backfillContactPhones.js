@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+/**
+ * Fill in EmergencyContact.phoneE164 for contacts saved before it existed, so their SMS replies are matched.
+ *
+ * Usage:
+ *   node scripts/backfillContactPhones.js
+ */
+const mongoose = require('mongoose');
+require('dotenv').config();
+const EmergencyContact = require('../src/models/EmergencyContact');
+const { toE164 } = require('../src/utils/phone');
+
+const main = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    const contacts = await EmergencyContact.find({ phoneE164: null }).select('phone').lean();
+    let updated = 0;
+    for (const contact of contacts) {
+      const phoneE164 = toE164(contact.phone);
+      if (!phoneE164) {
+        console.warn(`⚠️  Contact ${contact._id} has a phone number that cannot be normalised: ${contact.phone}`);
+        continue;
+      }
+      await EmergencyContact.collection.updateOne({ _id: contact._id }, { $set: { phoneE164 } });
+      updated++;
+    }
+    console.log(`✅ Normalised ${updated} of ${contacts.length} contact phone numbers`);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+main().catch(error => {
+  console.error('❌ Contact phone backfill failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+/**
+ * Import points of interest (hospitals, police, fire, fuel, mechanics) into MongoDB.
+ *
+ * Usage:
+ *   node scripts/importPOIs.js <file> [--format osm|geojson|csv] [--timezone Europe/London]
+ */
+const mongoose = require('mongoose');
+require('dotenv').config();
+const poiService = require('../src/services/poiService');
+
+const parseArgs = (argv) => {
+  const args = { file: null, format: undefined, timezone: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--format') args.format = argv[++i];
+    else if (argv[i] === '--timezone') args.timezone = argv[++i];
+    else args.file = argv[i];
+  }
+  return args;
+};
+
+const main = async () => {
+  const { file, format, timezone } = parseArgs(process.argv.slice(2));
+  if (!file) {
+    console.error('Usage: node scripts/importPOIs.js <file> [--format osm|geojson|csv] [--timezone <IANA zone>]');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    console.log(`📥 Importing POIs from ${file}...`);
+    const result = await poiService.importFile(file, { format, timezone });
+    console.log(`✅ Parsed ${result.parsed} POIs (${result.upserted} new, ${result.modified} updated)`);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+main().catch(error => {
+  console.error('❌ POI import failed:', error);
+  process.exit(1);
+});
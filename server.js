@@ -16,14 +16,24 @@ const locationSyncRoutes = require('./src/routes/locationSync');
 const sosRoutes = require('./src/routes/sos');
 const autoSOSRoutes = require('./src/routes/autoSOS');
 const mapRoutes = require('./src/routes/map');
+const safetyRoutes = require('./src/routes/safety');
 const notificationRoutes = require('./src/routes/notifications');
 const otpRoutes = require('./src/routes/otp');
 const tripEventsRoutes = require('./src/routes/tripEvents');
 const tripHistoryRoutes = require('./src/routes/trips');
+const webhookRoutes = require('./src/routes/webhooks');
+const trackRoutes = require('./src/routes/track');
+const groupRoutes = require('./src/routes/groups');
+const checkInRoutes = require('./src/routes/checkIns');
+const tripTemplateRoutes = require('./src/routes/tripTemplates');
+const tripRecurrenceRoutes = require('./src/routes/tripRecurrences');
 const errorHandler = require('./src/middleware/errorHandler');
 const socketHandler = require('./src/services/socketHandler');
+const realtime = require('./src/services/realtime');
+const presence = require('./src/services/presence');
 const sosMonitoringJob = require('./src/services/sosMonitoringJob');
 const tripMonitoringService = require('./src/services/tripMonitoringService');
+const dispatchService = require('./src/services/dispatchService');
 
 const app = express();
 const server = http.createServer(app);
@@ -41,7 +51,11 @@ const PORT = process.env.PORT || 3000;
 connectDB();
 
 // Initialize Socket.IO handler
+realtime.setIO(io);
 socketHandler(io);
+presence.attachAdapter(io).catch(error => {
+  console.error('❌ Failed to attach Socket.IO adapter:', error);
+});
 
 // Security middleware
 app.use(helmet());
@@ -84,10 +98,19 @@ app.use('/api/v1/location', locationSyncRoutes);
 app.use('/api/v1/sos', sosRoutes);
 app.use('/api/v1/auto-sos', autoSOSRoutes);
 app.use('/api/v1/map', mapRoutes);
+app.use('/api/v1/safety', safetyRoutes);
 app.use('/api/v1/notifications', notificationRoutes);
 app.use('/api/v1/otp', otpRoutes);
 app.use('/api/v1/events', tripEventsRoutes);
+app.use('/api/v1/trip-templates', tripTemplateRoutes);
+app.use('/api/v1/trip-recurrences', tripRecurrenceRoutes);
 app.use('/api/v1/trips', tripHistoryRoutes);
+app.use('/api/v1/groups', groupRoutes);
+app.use('/api/v1/check-ins', checkInRoutes);
+app.use('/api/v1/webhooks', webhookRoutes);
+
+// Public tracking pages for emergency contacts (tokenised links sent by SMS)
+app.use('/track', trackRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -127,6 +150,13 @@ function startServer(initialPort, maxRetries = 5) {
       } catch (error) {
         console.error('❌ Failed to start trip monitoring service:', error);
       }
+
+      // Start emergency contact dispatch worker
+      try {
+        dispatchService.start();
+      } catch (error) {
+        console.error('❌ Failed to start dispatch worker:', error);
+      }
     });
 
     server.once('error', (err) => {
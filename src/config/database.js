@@ -9,6 +9,9 @@ const connectDB = async () => {
     });
 
     console.log(`MongoDB Connected: ${conn.connection.host}`);
+
+    // Location history used to be one row per user; remove the old unique index
+    await require('../models/Location').dropLegacyIndexes();
   } catch (error) {
     console.error('MongoDB connection error:', error);
     process.exit(1);
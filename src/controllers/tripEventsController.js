@@ -1,7 +1,5 @@
 const TripEvent = require('../models/TripEvent');
-const User = require('../models/User');
-const ContactNotification = require('../models/ContactNotification');
-const sosService = require('../services/sosService');
+const tripMonitoringService = require('../services/tripMonitoringService');
 
 exports.createEvent = async (req, res, next) => {
   try {
@@ -11,7 +9,7 @@ exports.createEvent = async (req, res, next) => {
       title: payload.title,
       startTime: new Date(payload.startTime),
       endTime: new Date(payload.endTime),
-      destination: { lat: payload.destinationLat, long: payload.destinationLong },
+      destination: { latitude: payload.destinationLat, longitude: payload.destinationLong },
       notes: payload.notes,
       modeOfTravel: payload.modeOfTravel,
     });
@@ -45,29 +43,10 @@ exports.updateEvent = async (req, res, next) => {
   }
 };
 
-// Helper to mark event as alert_triggered and notify emergency contacts
-exports.triggerAlertForEvent = async (event) => {
+// Helper to raise a manual alert for an event and notify the user's emergency contacts
+exports.triggerAlertForEvent = async (event, message = 'User may be missing or offline') => {
   try {
-    // set status
-    event.status = 'alert_triggered';
-    await event.save();
-
-    // find user and their emergency contacts
-    const user = await User.findById(event.userId).lean().exec();
-    const contacts = await ContactNotification.find({ userId: event.userId }).lean().exec();
-
-    // build a fake alert object
-    const alert = {
-      _id: `trip_alert_${Date.now()}`,
-      userId: event.userId,
-      message: `Trip alert for ${event.title} — user may be missing or offline`,
-      location: { lat: event.destination.lat, long: event.destination.long }
-    };
-
-    // Use sosService to notify contacts (placeholder)
-    await sosService.notifyEmergencyContacts(alert, contacts, user);
-
-    return true;
+    return await tripMonitoringService.triggerTripAlert(event, 'manual', message);
   } catch (error) {
     console.error('Error triggering alert for event:', error);
     return false;
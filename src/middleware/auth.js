@@ -1,10 +1,46 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+    this.statusCode = 401;
+  }
+}
+
+/**
+ * Verify a JWT and load its active user. Shared by the HTTP middleware and the Socket.IO handshake.
+ * Resolves to { user, expiresAt }; rejects with AuthError for missing, invalid or expired tokens
+ * and for users that no longer exist or are deactivated.
+ */
+const authenticateToken = async (token) => {
+  if (!token) {
+    throw new AuthError('Access token is required');
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (jwtError) {
+    throw new AuthError('Invalid or expired token');
+  }
+
+  const user = await User.findById(decoded.userId);
+  if (!user || !user.isActive) {
+    throw new AuthError('Invalid or expired token');
+  }
+
+  return {
+    user,
+    expiresAt: decoded.exp ? new Date(decoded.exp * 1000) : null
+  };
+};
+
 module.exports = async (req, res, next) => {
   try {
     const authHeader = req.header('Authorization');
-    
+
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
       return res.status(401).json({
         success: false,
@@ -15,19 +51,11 @@ module.exports = async (req, res, next) => {
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
 
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
-      const user = await User.findById(decoded.userId);
-      if (!user || !user.isActive) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid or expired token'
-        });
-      }
-
+      const { user } = await authenticateToken(token);
       req.user = user;
       next();
-    } catch (jwtError) {
+    } catch (authError) {
+      if (!(authError instanceof AuthError)) throw authError;
       return res.status(401).json({
         success: false,
         message: 'Invalid or expired token'
@@ -41,3 +69,6 @@ module.exports = async (req, res, next) => {
     });
   }
 };
+
+module.exports.authenticateToken = authenticateToken;
+module.exports.AuthError = AuthError;
@@ -0,0 +1,32 @@
+const twilio = require('twilio');
+
+/**
+ * Reject webhook requests that were not signed by Twilio.
+ * The signature covers the full public URL Twilio called, so PUBLIC_BASE_URL must match
+ * the externally visible origin (e.g. https://api.example.com) when running behind a proxy.
+ */
+module.exports = (req, res, next) => {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const signature = req.header('X-Twilio-Signature');
+
+  if (!authToken) {
+    console.warn('⚠️  Twilio webhook received but TWILIO_AUTH_TOKEN is not set; rejecting');
+    return res.status(403).json({
+      success: false,
+      message: 'Webhook signature cannot be verified'
+    });
+  }
+
+  const baseUrl = (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+  const url = `${baseUrl}${req.originalUrl}`;
+
+  if (!signature || !twilio.validateRequest(authToken, signature, url, req.body || {})) {
+    console.warn(`⚠️  Invalid Twilio signature for ${url}`);
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid webhook signature'
+    });
+  }
+
+  next();
+};
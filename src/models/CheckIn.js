@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const CHECK_IN_STATUSES = ['scheduled', 'completed', 'missed', 'cancelled'];
+
+// A check-in ("I'm here and safe"), or an expected one ("I'll check in by 22:00") that
+// escalates to the user's emergency contacts if the deadline passes first
+const checkInSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: CHECK_IN_STATUSES,
+    default: 'completed'
+  },
+  // Scheduled check-ins: the deadline the user set, and when escalation starts (deadline + grace)
+  dueBy: {
+    type: Date,
+    default: null
+  },
+  graceMinutes: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 60
+  },
+  escalateAt: {
+    type: Date,
+    default: null
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  // Free-text name of the place, e.g. "Hostel"
+  placeName: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: null
+  },
+  location: {
+    latitude: { type: Number, min: -90, max: 90 },
+    longitude: { type: Number, min: -180, max: 180 },
+    accuracy: { type: Number, default: null }
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    maxlength: 30
+  }],
+  source: {
+    type: String,
+    enum: ['app', 'socket'],
+    default: 'app'
+  },
+  checkedInAt: {
+    type: Date,
+    default: null
+  },
+  // Scheduled check-in that a later check-in satisfied
+  fulfilledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CheckIn',
+    default: null
+  },
+  missedAt: {
+    type: Date,
+    default: null
+  },
+  sosAlertId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SOSAlert',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+checkInSchema.index({ userId: 1, createdAt: -1 });
+checkInSchema.index({ status: 1, escalateAt: 1 });
+
+checkInSchema.statics.STATUSES = CHECK_IN_STATUSES;
+
+module.exports = mongoose.model('CheckIn', checkInSchema);
@@ -23,6 +23,30 @@ const contactNotificationSchema = new mongoose.Schema({
   failureReason: {
     type: String,
     default: null
+  },
+  // Channel the notification finally went out on (or was last attempted on)
+  channel: {
+    type: String,
+    enum: ['sms', 'voice', 'email', 'push', null],
+    default: null
+  },
+  // Provider reference (e.g. Twilio message/call SID) of the last successful send
+  providerMessageId: {
+    type: String,
+    default: null
+  },
+  // Set when the provider confirms delivery (SMS delivered, call answered)
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  attemptCount: {
+    type: Number,
+    default: 0
+  },
+  lastAttemptAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -31,5 +55,7 @@ const contactNotificationSchema = new mongoose.Schema({
 // Indexes
 contactNotificationSchema.index({ alertId: 1 });
 contactNotificationSchema.index({ contactId: 1 });
+contactNotificationSchema.index({ alertId: 1, contactId: 1 }, { unique: true });
+contactNotificationSchema.index({ providerMessageId: 1 }, { sparse: true });
 
 module.exports = mongoose.model('ContactNotification', contactNotificationSchema);
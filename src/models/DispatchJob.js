@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const DISPATCH_CHANNELS = ['sms', 'voice', 'email', 'push'];
+
+const attemptSchema = new mongoose.Schema({
+  channel: { type: String, enum: DISPATCH_CHANNELS, required: true },
+  status: { type: String, enum: ['sent', 'failed'], required: true },
+  providerMessageId: { type: String, default: null },
+  error: { type: String, default: null },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// One job per ContactNotification: delivers it over the first channel that succeeds
+const dispatchJobSchema = new mongoose.Schema({
+  notificationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ContactNotification',
+    required: true,
+    unique: true
+  },
+  alertId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SOSAlert',
+    required: true
+  },
+  contactId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmergencyContact',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  // Fallback order, e.g. ['sms', 'voice', 'email', 'push']
+  channels: {
+    type: [{ type: String, enum: DISPATCH_CHANNELS }],
+    required: true
+  },
+  channelIndex: {
+    type: Number,
+    default: 0
+  },
+  attemptsOnChannel: {
+    type: Number,
+    default: 0
+  },
+  attempts: [attemptSchema],
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Give up on the notification if it has not gone out by this time
+  deadline: {
+    type: Date,
+    required: true
+  },
+  // Worker lease, so a crashed worker's job is picked up again
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+dispatchJobSchema.index({ status: 1, nextAttemptAt: 1 });
+dispatchJobSchema.index({ alertId: 1 });
+
+// Channel currently being attempted
+dispatchJobSchema.virtual('currentChannel').get(function() {
+  return this.channels[this.channelIndex] || null;
+});
+
+const DispatchJob = mongoose.model('DispatchJob', dispatchJobSchema);
+DispatchJob.CHANNELS = DISPATCH_CHANNELS;
+
+module.exports = DispatchJob;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { toE164 } = require('../utils/phone');
 
 const emergencyContactSchema = new mongoose.Schema({
   userId: {
@@ -18,6 +19,27 @@ const emergencyContactSchema = new mongoose.Schema({
     required: true,
     match: [/^[\+]?[1-9][\d]{0,15}$/, 'Please enter a valid phone number']
   },
+  // `phone` in E.164, kept in sync by the hooks below; inbound SMS are matched on it exactly
+  phoneE164: {
+    type: String,
+    default: null
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  // Set when the contact replies STOP; SMS is skipped until they reply START
+  smsOptOut: {
+    type: Boolean,
+    default: false
+  },
+  smsOptOutAt: {
+    type: Date,
+    default: null
+  },
   relationship: {
     type: String,
     required: true,
@@ -35,5 +57,22 @@ const emergencyContactSchema = new mongoose.Schema({
 // Compound index for userId and phone
 emergencyContactSchema.index({ userId: 1, phone: 1 }, { unique: true });
 emergencyContactSchema.index({ userId: 1 });
+emergencyContactSchema.index({ phoneE164: 1 });
+
+emergencyContactSchema.pre('validate', function(next) {
+  if (this.isModified('phone') || !this.phoneE164) {
+    this.phoneE164 = toE164(this.phone);
+  }
+  next();
+});
+
+emergencyContactSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  const update = this.getUpdate() || {};
+  const phone = update.$set && update.$set.phone !== undefined ? update.$set.phone : update.phone;
+  if (phone !== undefined) {
+    this.set('phoneE164', toE164(phone));
+  }
+  next();
+});
 
 module.exports = mongoose.model('EmergencyContact', emergencyContactSchema);
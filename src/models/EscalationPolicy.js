@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const ESCALATION_TARGETS = ['primary_contact', 'all_contacts', 'emergency_services'];
+
+// Used for users who have not configured their own ladder
+const DEFAULT_STEPS = [
+  { afterMinutes: 0, target: 'primary_contact' },
+  { afterMinutes: 5, target: 'all_contacts' },
+  { afterMinutes: 15, target: 'emergency_services' }
+];
+
+const escalationStepSchema = new mongoose.Schema({
+  // Minutes after the alert was raised at which this step runs, unless someone acknowledged
+  afterMinutes: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1440
+  },
+  target: {
+    type: String,
+    enum: ESCALATION_TARGETS,
+    required: true
+  }
+}, { _id: false });
+
+const escalationPolicySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  steps: {
+    type: [escalationStepSchema],
+    validate: {
+      validator: steps => steps.length > 0 && steps.length <= 10,
+      message: 'An escalation policy needs between 1 and 10 steps'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Keep steps in the order they fire
+escalationPolicySchema.pre('validate', function(next) {
+  this.steps.sort((a, b) => a.afterMinutes - b.afterMinutes);
+  next();
+});
+
+/**
+ * The user's ladder, or the default ladder when none is configured
+ */
+escalationPolicySchema.statics.stepsForUser = async function(userId) {
+  const policy = await this.findOne({ userId }).lean();
+  const steps = policy ? policy.steps : DEFAULT_STEPS;
+  return steps.map(({ afterMinutes, target }) => ({ afterMinutes, target }));
+};
+
+const EscalationPolicy = mongoose.model('EscalationPolicy', escalationPolicySchema);
+EscalationPolicy.TARGETS = ESCALATION_TARGETS;
+EscalationPolicy.DEFAULT_STEPS = DEFAULT_STEPS;
+
+module.exports = EscalationPolicy;
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const GROUP_TYPES = ['family', 'friends', 'travel', 'other'];
+const MEMBER_ROLES = ['owner', 'admin', 'member'];
+const MEMBER_STATUSES = ['active', 'pending'];
+
+// Unambiguous characters only: invite codes are read out and typed by hand
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: MEMBER_ROLES,
+    default: 'member'
+  },
+  // Pending members asked to join a group that requires approval
+  status: {
+    type: String,
+    enum: MEMBER_STATUSES,
+    default: 'active'
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  joinedAt: {
+    type: Date,
+    default: null
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { _id: false });
+
+// A trusted circle (family, friends) or travel group whose members share live location, check-ins and SOS alerts
+const groupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 300,
+    default: ''
+  },
+  type: {
+    type: String,
+    enum: GROUP_TYPES,
+    default: 'family'
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: [memberSchema],
+  inviteCode: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // When true, people joining with the invite code wait for an owner or admin to approve them
+  requiresApproval: {
+    type: Boolean,
+    default: true
+  },
+  maxMembers: {
+    type: Number,
+    default: 100,
+    min: 2,
+    max: 500
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+groupSchema.index({ 'members.userId': 1, 'members.status': 1 });
+
+groupSchema.statics.TYPES = GROUP_TYPES;
+groupSchema.statics.ROLES = MEMBER_ROLES;
+
+groupSchema.statics.generateInviteCode = function() {
+  const bytes = crypto.randomBytes(INVITE_CODE_LENGTH);
+  return Array.from(bytes, byte => INVITE_CODE_ALPHABET[byte % INVITE_CODE_ALPHABET.length]).join('');
+};
+
+// Groups the user is an active member of
+groupSchema.statics.findForMember = function(userId) {
+  return this.find({ members: { $elemMatch: { userId, status: 'active' } } });
+};
+
+groupSchema.methods.memberFor = function(userId) {
+  return this.members.find(member => String(member.userId) === String(userId)) || null;
+};
+
+groupSchema.methods.isActiveMember = function(userId) {
+  const member = this.memberFor(userId);
+  return Boolean(member && member.status === 'active');
+};
+
+// Owners and admins approve, remove and invite members
+groupSchema.methods.canManage = function(userId) {
+  const member = this.memberFor(userId);
+  return Boolean(member && member.status === 'active' && ['owner', 'admin'].includes(member.role));
+};
+
+groupSchema.methods.activeMembers = function() {
+  return this.members.filter(member => member.status === 'active');
+};
+
+module.exports = mongoose.model('Group', groupSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const INCIDENT_CATEGORIES = [
+  'harassment', 'theft', 'assault', 'suspicious_activity',
+  'poor_lighting', 'unsafe_road', 'other'
+];
+
+const incidentReportSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  category: {
+    type: String,
+    enum: INCIDENT_CATEGORIES,
+    required: true
+  },
+  // 1 (minor) to 5 (severe)
+  severity: {
+    type: Number,
+    min: 1,
+    max: 5,
+    default: 3
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  latitude: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+  longitude: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  },
+  point: {
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], default: undefined }
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['active', 'dismissed'],
+    default: 'active'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+incidentReportSchema.index({ point: '2dsphere' });
+incidentReportSchema.index({ status: 1, occurredAt: -1 });
+incidentReportSchema.index({ userId: 1, createdAt: -1 });
+
+// Keep the GeoJSON point in sync with latitude/longitude
+incidentReportSchema.pre('validate', function(next) {
+  if (typeof this.latitude === 'number' && typeof this.longitude === 'number') {
+    this.point = { type: 'Point', coordinates: [this.longitude, this.latitude] };
+  }
+  next();
+});
+
+const IncidentReport = mongoose.model('IncidentReport', incidentReportSchema);
+IncidentReport.CATEGORIES = INCIDENT_CATEGORIES;
+
+module.exports = IncidentReport;
@@ -1,11 +1,11 @@
 const mongoose = require('mongoose');
 
+// Append-only breadcrumb store: one document per recorded position
 const locationSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
-    unique: true
+    required: true
   },
   latitude: {
     type: Number,
@@ -19,6 +19,11 @@ const locationSchema = new mongoose.Schema({
     min: -180,
     max: 180
   },
+  // GeoJSON representation of latitude/longitude, kept in sync by the pre-validate hook
+  point: {
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], default: undefined }
+  },
   accuracy: {
     type: Number,
     default: 0
@@ -26,13 +31,113 @@ const locationSchema = new mongoose.Schema({
   address: {
     type: String,
     trim: true
+  },
+  // Time the position was recorded on the device
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  source: {
+    type: String,
+    enum: ['app', 'batch', 'mobile_sync', 'test_sync'],
+    default: 'app'
+  },
+  // Trip the position was reported for, if any
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TripEvent',
+    default: null
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
   }
 }, {
   timestamps: true
 });
 
-// Index for geospatial queries
-locationSchema.index({ location: '2dsphere' });
-locationSchema.index({ userId: 1 });
+// Indexes
+locationSchema.index({ point: '2dsphere' });
+locationSchema.index({ userId: 1, timestamp: -1 });
+locationSchema.index({ userId: 1, source: 1 });
+locationSchema.index({ tripId: 1, timestamp: 1 }, { partialFilterExpression: { tripId: { $type: 'objectId' } } });
+
+// Keep the GeoJSON point in sync with latitude/longitude
+locationSchema.pre('validate', function(next) {
+  if (typeof this.latitude === 'number' && typeof this.longitude === 'number') {
+    this.point = { type: 'Point', coordinates: [this.longitude, this.latitude] };
+  }
+  next();
+});
+
+// Instance method returning the API representation of a breadcrumb
+locationSchema.methods.toBreadcrumb = function() {
+  return {
+    latitude: this.latitude,
+    longitude: this.longitude,
+    accuracy: this.accuracy,
+    address: this.address,
+    timestamp: this.timestamp,
+    source: this.source,
+    tripId: this.tripId,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static method to get the most recent breadcrumb for a user
+locationSchema.statics.findLatest = function(userId) {
+  return this.findOne({ userId }).sort({ timestamp: -1, createdAt: -1 });
+};
+
+// Static method to build a history query with optional time range and bounding box
+// bbox is [minLongitude, minLatitude, maxLongitude, maxLatitude]
+locationSchema.statics.historyQuery = function(userId, { from, to, bbox, source } = {}) {
+  const query = { userId };
+
+  if (from || to) {
+    query.timestamp = {};
+    if (from) query.timestamp.$gte = new Date(from);
+    if (to) query.timestamp.$lte = new Date(to);
+  }
+
+  if (bbox) {
+    const [minLng, minLat, maxLng, maxLat] = bbox;
+    query.point = {
+      $geoWithin: {
+        $geometry: {
+          type: 'Polygon',
+          coordinates: [[
+            [minLng, minLat],
+            [maxLng, minLat],
+            [maxLng, maxLat],
+            [minLng, maxLat],
+            [minLng, minLat]
+          ]]
+        }
+      }
+    };
+  }
+
+  if (source) query.source = source;
+
+  return query;
+};
+
+// Static method to drop the unique userId index left over from the one-row-per-user schema
+locationSchema.statics.dropLegacyIndexes = async function() {
+  try {
+    const indexes = await this.collection.indexes();
+    const legacy = indexes.find(index => index.name === 'userId_1' && index.unique);
+    if (legacy) {
+      await this.collection.dropIndex('userId_1');
+      console.log('🗑️  Dropped legacy unique userId index on locations');
+    }
+  } catch (error) {
+    // Collection may not exist yet on a fresh database
+    if (error.codeName !== 'NamespaceNotFound') {
+      console.error('Failed to drop legacy location indexes:', error);
+    }
+  }
+};
 
 module.exports = mongoose.model('Location', locationSchema);
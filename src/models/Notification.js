@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = ['sos', 'auto_sos', 'trip', 'contact', 'group', 'alert', 'safety', 'system'];
+const NOTIFICATION_PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    default: 'system'
+  },
+  priority: {
+    type: String,
+    enum: NOTIFICATION_PRIORITIES,
+    default: 'medium'
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  // Deep-link payload used by the app to open the related screen
+  data: {
+    screen: { type: String, default: null },
+    params: { type: mongoose.Schema.Types.Mixed, default: {} }
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, isRead: 1 });
+// Expired notifications are removed by MongoDB's TTL monitor
+notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance method to mark notification as read
+notificationSchema.methods.markAsRead = function() {
+  if (!this.isRead) {
+    this.isRead = true;
+    this.readAt = new Date();
+  }
+  return this.save();
+};
+
+// Static method to build the inbox query for a user (excludes expired entries)
+notificationSchema.statics.inboxQuery = function(userId, { type = 'all', unreadOnly = false } = {}) {
+  const query = {
+    userId,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  };
+  if (type !== 'all') query.type = type;
+  if (unreadOnly) query.isRead = false;
+  return query;
+};
+
+// Static method to count unread notifications for a user
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments(this.inboxQuery(userId, { unreadOnly: true }));
+};
+
+// Static method to mark all notifications for a user as read
+notificationSchema.statics.markAllAsRead = function(userId) {
+  return this.updateMany(
+    { userId, isRead: false },
+    { $set: { isRead: true, readAt: new Date() } }
+  );
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+Notification.TYPES = NOTIFICATION_TYPES;
+Notification.PRIORITIES = NOTIFICATION_PRIORITIES;
+
+module.exports = Notification;
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const POI_CATEGORIES = ['hospital', 'police', 'fire', 'gas_station', 'mechanic'];
+
+const pointOfInterestSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  category: {
+    type: String,
+    enum: POI_CATEGORIES,
+    required: true
+  },
+  address: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  location: {
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate: {
+        validator: function(v) {
+          return v.length === 2 && v[0] >= -180 && v[0] <= 180 && v[1] >= -90 && v[1] <= 90;
+        },
+        message: 'Coordinates must be [longitude, latitude]'
+      }
+    }
+  },
+  // Raw OSM-style opening_hours expression, e.g. "Mo-Fr 08:00-18:00; Sa 09:00-13:00"
+  openingHours: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // IANA time zone the opening hours are expressed in
+  timezone: {
+    type: String,
+    default: null
+  },
+  source: {
+    type: String,
+    enum: ['osm', 'geojson', 'csv', 'manual'],
+    default: 'manual'
+  },
+  // Identifier in the source dataset, used to make re-imports idempotent
+  externalId: {
+    type: String,
+    required: true
+  },
+  tags: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+pointOfInterestSchema.index({ location: '2dsphere' });
+pointOfInterestSchema.index({ category: 1 });
+pointOfInterestSchema.index({ source: 1, externalId: 1 }, { unique: true });
+
+const PointOfInterest = mongoose.model('PointOfInterest', pointOfInterestSchema);
+PointOfInterest.CATEGORIES = POI_CATEGORIES;
+
+module.exports = PointOfInterest;
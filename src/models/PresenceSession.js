@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// How long a socket may go without activity before its presence expires
+const PRESENCE_TTL_SECONDS = 10 * 60;
+
+// One connected socket, shared between API instances when PRESENCE_STORE=mongo
+const presenceSessionSchema = new mongoose.Schema({
+  socketId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  userName: String,
+  // Random per-connection id shown to anonymous viewers instead of the user's identity
+  anonymousId: String,
+  location: {
+    latitude: Number,
+    longitude: Number,
+    accuracy: Number,
+    speed: Number,
+    heading: Number,
+    timestamp: Number
+  },
+  // Cell of the current location, queried by prefix for nearby lookups
+  geohash: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    default: 'safe'
+  },
+  statusMessage: String,
+  lastSeen: {
+    type: Date,
+    required: true
+  },
+  connectedAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Indexes
+presenceSessionSchema.index({ geohash: 1 });
+presenceSessionSchema.index({ userId: 1 });
+presenceSessionSchema.index({ lastSeen: 1 }, { expireAfterSeconds: PRESENCE_TTL_SECONDS });
+
+presenceSessionSchema.statics.TTL_SECONDS = PRESENCE_TTL_SECONDS;
+
+module.exports = mongoose.model('PresenceSession', presenceSessionSchema);
@@ -1,5 +1,75 @@
 const mongoose = require('mongoose');
 
+const ALERT_STATUSES = ['active', 'acknowledged', 'responder_en_route', 'resolved', 'false_alarm', 'cancelled'];
+// Statuses in which the emergency is still ongoing
+const OPEN_STATUSES = ['active', 'acknowledged', 'responder_en_route'];
+
+const TIMELINE_TYPES = [
+  'created',
+  'contact_notified',
+  'contact_acknowledged',
+  'location_update',
+  'escalated',
+  'escalation_stopped',
+  'emergency_services_notified',
+  'status_changed',
+  'trip_alert',
+  'resolved',
+  'cancelled'
+];
+
+// Reply from an emergency contact (e.g. "ON MY WAY" by SMS)
+const acknowledgementSchema = new mongoose.Schema({
+  contactId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmergencyContact',
+    required: true
+  },
+  contactName: {
+    type: String,
+    required: true
+  },
+  response: {
+    type: String,
+    enum: ['ok', 'on_my_way', 'called_emergency_services'],
+    required: true
+  },
+  message: {
+    type: String,
+    maxlength: 500
+  },
+  channel: {
+    type: String,
+    enum: ['sms', 'app'],
+    default: 'sms'
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Entry in the alert's audit trail
+const timelineEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: TIMELINE_TYPES,
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  message: {
+    type: String,
+    maxlength: 500
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, { _id: false });
+
 const sosAlertSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -8,7 +78,7 @@ const sosAlertSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['active', 'resolved', 'cancelled'],
+    enum: ALERT_STATUSES,
     default: 'active'
   },
   emergencyType: {
@@ -38,6 +108,12 @@ const sosAlertSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Where the alert was raised from
+  source: {
+    type: String,
+    enum: ['app', 'socket', 'auto', 'check_in', 'trip'],
+    default: 'app'
+  },
   cancelledAt: {
     type: Date,
     default: null
@@ -45,6 +121,44 @@ const sosAlertSchema = new mongoose.Schema({
   cancelReason: {
     type: String,
     maxlength: 200
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  resolutionNote: {
+    type: String,
+    maxlength: 500
+  },
+  acknowledgements: [acknowledgementSchema],
+  // Escalation ladder snapshot taken when the alert was raised
+  escalation: {
+    steps: [{
+      _id: false,
+      afterMinutes: Number,
+      target: { type: String, enum: ['primary_contact', 'all_contacts', 'emergency_services'] }
+    }],
+    // Index of the next step to run
+    currentStep: { type: Number, default: 0 },
+    startedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+    stoppedReason: { type: String, default: null }
+  },
+  timeline: [timelineEventSchema],
+  // Live location session; positions themselves are stored as SOSTrackPoint documents
+  tracking: {
+    isLive: { type: Boolean, default: true },
+    startedAt: { type: Date, default: Date.now },
+    endedAt: { type: Date, default: null },
+    lastLocation: {
+      latitude: Number,
+      longitude: Number,
+      accuracy: Number,
+      recordedAt: Date
+    },
+    pointCount: { type: Number, default: 0 },
+    // Last time a location_update was written to the timeline (throttled)
+    lastTimelineAt: { type: Date, default: null }
   }
 }, {
   timestamps: true
@@ -54,5 +168,39 @@ const sosAlertSchema = new mongoose.Schema({
 sosAlertSchema.index({ userId: 1 });
 sosAlertSchema.index({ status: 1 });
 sosAlertSchema.index({ createdAt: -1 });
+sosAlertSchema.index({ status: 1, 'escalation.completedAt': 1 }); // For the escalation job
+sosAlertSchema.index({ 'location.latitude': 1, 'location.longitude': 1, createdAt: -1 }); // For area safety lookups
+
+// Every alert's timeline starts with its creation
+sosAlertSchema.pre('save', function(next) {
+  if (this.isNew && !this.timeline.some(event => event.type === 'created')) {
+    this.timeline.unshift({
+      type: 'created',
+      at: this.createdAt || new Date(),
+      message: this.message,
+      data: { emergencyType: this.emergencyType, location: this.location }
+    });
+  }
+  next();
+});
+
+sosAlertSchema.virtual('isOpen').get(function() {
+  return OPEN_STATUSES.includes(this.status);
+});
+
+/**
+ * Append an event to an alert's timeline without loading it
+ */
+sosAlertSchema.statics.recordEvent = function(alertId, type, message, data = {}) {
+  return this.updateOne(
+    { _id: alertId },
+    { $push: { timeline: { type, at: new Date(), message, data } } }
+  );
+};
+
+const SOSAlert = mongoose.model('SOSAlert', sosAlertSchema);
+SOSAlert.STATUSES = ALERT_STATUSES;
+SOSAlert.OPEN_STATUSES = OPEN_STATUSES;
+SOSAlert.TIMELINE_TYPES = TIMELINE_TYPES;
 
-module.exports = mongoose.model('SOSAlert', sosAlertSchema);
+module.exports = SOSAlert;
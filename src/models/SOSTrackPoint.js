@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// One position streamed by the victim's device while an SOS alert is live
+const sosTrackPointSchema = new mongoose.Schema({
+  alertId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SOSAlert',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  latitude: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+  longitude: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  },
+  accuracy: {
+    type: Number,
+    default: null
+  },
+  speed: {
+    type: Number,
+    default: null
+  },
+  heading: {
+    type: Number,
+    default: null
+  },
+  // Time the position was recorded on the device
+  recordedAt: {
+    type: Date,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['rest', 'socket'],
+    default: 'rest'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+sosTrackPointSchema.index({ alertId: 1, recordedAt: 1 });
+
+sosTrackPointSchema.methods.toBreadcrumb = function() {
+  return {
+    latitude: this.latitude,
+    longitude: this.longitude,
+    accuracy: this.accuracy,
+    speed: this.speed,
+    heading: this.heading,
+    recordedAt: this.recordedAt
+  };
+};
+
+module.exports = mongoose.model('SOSTrackPoint', sosTrackPointSchema);
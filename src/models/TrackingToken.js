@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Public tracking link for one emergency contact on one SOS alert.
+// Only a hash of the token is stored; the token itself is re-derived from `salt` when a link is needed.
+const trackingTokenSchema = new mongoose.Schema({
+  alertId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SOSAlert',
+    required: true
+  },
+  contactId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmergencyContact',
+    required: true
+  },
+  salt: {
+    type: String,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  lastViewedAt: {
+    type: Date,
+    default: null
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+trackingTokenSchema.index({ alertId: 1, contactId: 1 }, { unique: true });
+trackingTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Expired links are removed by MongoDB
+
+trackingTokenSchema.methods.isUsable = function(now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+module.exports = mongoose.model('TrackingToken', trackingTokenSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { decodePolyline } = require('../utils/polyline');
+const { pointToPolylineMeters } = require('../utils/geo');
 
 // Sub-schema for trip location
 const TripLocationSchema = new Schema({
@@ -27,6 +29,40 @@ const TripLocationSchema = new Schema({
   }
 }, { _id: false });
 
+// Read-only access to a trip for an app user (group member) or, through a tracking link, an emergency contact
+const TripShareSchema = new Schema({
+  userId: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  contactId: { type: Schema.Types.ObjectId, ref: 'EmergencyContact', default: null },
+  // Contacts only: the link token is re-derived from the salt; only its hash is stored
+  salt: { type: String, default: null },
+  tokenHash: { type: String, default: null },
+  sharedAt: { type: Date, default: Date.now },
+  revokedAt: { type: Date, default: null },
+  lastViewedAt: { type: Date, default: null }
+}, {
+  toJSON: { transform: (doc, ret) => { delete ret.salt; delete ret.tokenHash; return ret; } }
+});
+
+// Planned route and the corridor around it that live positions are expected to stay in
+const PlannedRouteSchema = new Schema({
+  polyline: {
+    type: String,
+    required: true,
+    validate: {
+      validator: function(v) {
+        try { return decodePolyline(v).length >= 2; } catch (err) { return false; }
+      },
+      message: 'Planned route must be an encoded polyline with at least two points'
+    }
+  },
+  source: { type: String, enum: ['map_route', 'client'], default: 'client' },
+  corridorWidthMeters: { type: Number, default: 200, min: 25, max: 2000 },
+  // Consecutive fixes outside the corridor tolerated before a route_deviation alert
+  maxOffRouteFixes: { type: Number, default: 3, min: 1, max: 20 }
+}, { _id: false });
+
+const ENDED_STATUSES = ['completed', 'missed', 'cancelled'];
+
 // Main TripEvent schema
 const TripEventSchema = new Schema({
   userId: {
@@ -93,19 +129,79 @@ const TripEventSchema = new Schema({
     default: null,
     index: true
   },
+  plannedRoute: {
+    type: PlannedRouteSchema,
+    default: null
+  },
+  // Off-route fixes in a row, and when the current deviation was alerted (reset once back in the corridor)
+  routeDeviation: {
+    consecutiveOffRoute: { type: Number, default: 0 },
+    lastDistanceMeters: { type: Number, default: null },
+    alertedAt: { type: Date, default: null }
+  },
+  // Estimated arrival from recent movement, refreshed on each location update (see etaService)
+  predictedArrival: {
+    type: Date,
+    default: null
+  },
+  etaUpdatedAt: {
+    type: Date,
+    default: null
+  },
+  // Running-late handling: the traveller is asked to extend the trip first, then viewers are told
+  lateness: {
+    promptedAt: { type: Date, default: null },
+    alertedAt: { type: Date, default: null }
+  },
+  // Set when the "trip starting soon" reminder goes out
+  reminderSentAt: {
+    type: Date,
+    default: null
+  },
+  // When the trip actually became active and when it ended (completed, missed or cancelled)
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  // endTime as planned, kept when the trip is extended so arrival can still be judged against it
+  originalEndTime: {
+    type: Date,
+    default: null
+  },
+  // Set once the ended trip has been copied into TripHistory
+  archivedAt: {
+    type: Date,
+    default: null
+  },
   isEmergencyContactsNotified: {
     type: Boolean,
     default: false
   },
+  // SOS alert raised by the trip monitor; later trip alerts are added to its timeline while it is open
+  sosAlertId: {
+    type: Schema.Types.ObjectId,
+    ref: 'SOSAlert',
+    default: null
+  },
   alertHistory: [{
     message: { type: String },
-    alertType: { type: String, enum: ['location_timeout', 'destination_mismatch', 'overdue', 'manual', 'system'] },
+    alertType: { type: String, enum: ['location_timeout', 'destination_mismatch', 'route_deviation', 'overdue', 'running_late', 'manual', 'system'] },
     timestamp: { type: Date, default: Date.now }
   }],
   alertThresholds: {
     locationTimeoutMinutes: { type: Number, default: 30, min: 5, max: 180 },
-    destinationToleranceMeters: { type: Number, default: 500, min: 50, max: 5000 }
+    destinationToleranceMeters: { type: Number, default: 500, min: 50, max: 5000 },
+    lateMarginMinutes: { type: Number, default: 15, min: 5, max: 120 }
   },
+  sharedWith: [TripShareSchema],
+  // Set when the trip was created from a template or materialised from a recurrence
+  templateId: { type: Schema.Types.ObjectId, ref: 'TripTemplate', default: null },
+  recurrenceId: { type: Schema.Types.ObjectId, ref: 'TripRecurrence', default: null },
+  occurrenceDate: { type: String, default: null }, // local 'YYYY-MM-DD' of the occurrence
   isActive: { type: Boolean, default: true, index: true },
   syncVersion: { type: Number, default: 1 }
 }, {
@@ -120,6 +216,12 @@ TripEventSchema.index({ userId: 1, startTime: 1 });
 TripEventSchema.index({ userId: 1, endTime: 1 });
 TripEventSchema.index({ status: 1, endTime: 1 });
 TripEventSchema.index({ status: 1, lastLocationUpdate: 1 });
+TripEventSchema.index({ status: 1, startTime: 1 });
+TripEventSchema.index({ status: 1, archivedAt: 1 });
+TripEventSchema.index({ 'sharedWith.userId': 1 });
+TripEventSchema.index({ 'sharedWith.tokenHash': 1 }, { sparse: true });
+// One trip per recurrence occurrence, so re-running the materialiser never duplicates trips
+TripEventSchema.index({ recurrenceId: 1, occurrenceDate: 1 }, { unique: true, partialFilterExpression: { recurrenceId: { $type: 'objectId' } } });
 
 // Virtuals
 TripEventSchema.virtual('duration').get(function() { return this.endTime - this.startTime; });
@@ -149,12 +251,16 @@ TripEventSchema.methods.updateStatus = function(newStatus) {
   this.status = newStatus;
   this.syncVersion += 1;
   this.addAlert('system', `Status changed from ${oldStatus} to ${newStatus}`);
+  if (newStatus === 'active' && !this.startedAt) this.startedAt = new Date();
+  if (ENDED_STATUSES.includes(newStatus)) this.endedAt = new Date();
   if (newStatus === 'active' && oldStatus === 'scheduled') this.lastLocationUpdate = new Date();
   if (['completed','missed','cancelled'].includes(newStatus) && !this.lastLocationUpdate) this.lastLocationUpdate = new Date();
 };
 
+// Trips that already raised an alert stay watched, so a later silence alerts again
 TripEventSchema.methods.shouldTriggerLocationAlert = function() {
-  if (!this.isCurrentlyActive || !this.lastLocationUpdate) return false;
+  const now = new Date();
+  if (!['active', 'alert_triggered'].includes(this.status) || now < this.startTime || now > this.endTime || !this.lastLocationUpdate) return false;
   const diff = new Date() - this.lastLocationUpdate;
   const thresholdMs = (this.alertThresholds?.locationTimeoutMinutes || 30) * 60 * 1000;
   return diff > thresholdMs;
@@ -179,20 +285,86 @@ TripEventSchema.methods.shouldTriggerDestinationAlert = function() {
   return distance > tol;
 };
 
+// Ended without the trip being completed and with no location to tell whether the user arrived
+TripEventSchema.methods.shouldTriggerOverdueAlert = function() {
+  return this.hasEnded && ['active', 'alert_triggered'].includes(this.status) && !this.currentLocation;
+};
+
+// Distance in meters from the planned route, or null without one
+TripEventSchema.methods.distanceFromRoute = function(latitude, longitude) {
+  if (!this.plannedRoute || !this.plannedRoute.polyline) return null;
+  return pointToPolylineMeters(latitude, longitude, decodePolyline(this.plannedRoute.polyline));
+};
+
+// Count a fix against the corridor (half the corridor width either side of the route)
+TripEventSchema.methods.recordRouteFix = function(latitude, longitude) {
+  const distance = this.distanceFromRoute(latitude, longitude);
+  if (distance === null) return;
+  if (distance > this.plannedRoute.corridorWidthMeters / 2) {
+    this.routeDeviation.consecutiveOffRoute += 1;
+  } else {
+    this.routeDeviation.consecutiveOffRoute = 0;
+    this.routeDeviation.alertedAt = null;
+  }
+  this.routeDeviation.lastDistanceMeters = Math.round(distance);
+};
+
+TripEventSchema.methods.shouldTriggerRouteDeviationAlert = function() {
+  if (!this.plannedRoute || this.routeDeviation.alertedAt || !['active', 'alert_triggered'].includes(this.status)) return false;
+  return this.routeDeviation.consecutiveOffRoute > this.plannedRoute.maxOffRouteFixes;
+};
+
+// Predicted to arrive later than endTime plus the late margin, while the trip is still running
+TripEventSchema.methods.isRunningLate = function() {
+  if (this.status !== 'active' || !this.predictedArrival || this.hasEnded) return false;
+  const marginMs = (this.alertThresholds?.lateMarginMinutes || 15) * 60 * 1000;
+  return this.predictedArrival - this.endTime > marginMs;
+};
+
+// Whether an alert of this type was already recorded (since `since`, when given)
+TripEventSchema.methods.hasAlert = function(alertType, since = null) {
+  return this.alertHistory.some(alert => alert.alertType === alertType && (!since || alert.timestamp > since));
+};
+
+TripEventSchema.methods.isFinished = function() {
+  return ENDED_STATUSES.includes(this.status) || !this.isActive;
+};
+
+// Shares that currently grant access; none once the trip has ended
+TripEventSchema.methods.activeShares = function() {
+  if (this.isFinished()) return [];
+  return this.sharedWith.filter(share => !share.revokedAt);
+};
+
+TripEventSchema.methods.isSharedWithUser = function(userId) {
+  return this.activeShares().some(share => share.userId && String(share.userId) === String(userId));
+};
+
 // Statics
 TripEventSchema.statics.findActiveTrips = function() {
   const now = new Date();
   return this.find({ status: 'active', startTime: { $lte: now }, endTime: { $gte: now }, isActive: true }).populate('userId', 'name email phone');
 };
-TripEventSchema.statics.findOverdueTrips = function() { const now = new Date(); return this.find({ status: 'active', endTime: { $lt: now }, isActive: true }).populate('userId', 'name email phone'); };
-TripEventSchema.statics.findTripsNeedingLocationCheck = function() { const now = new Date(); const thirty = new Date(now.getTime() - 30*60*1000); return this.find({ status: 'active', startTime: { $lte: now }, endTime: { $gte: now }, $or: [{ lastLocationUpdate: { $lt: thirty } }, { lastLocationUpdate: null }], isActive: true }).populate('userId', 'name email phone'); };
+TripEventSchema.statics.findOverdueTrips = function() { const now = new Date(); return this.find({ status: { $in: ['active', 'alert_triggered'] }, endTime: { $lt: now }, isActive: true }).populate('userId', 'name email phone'); };
+// Pre-filter on the smallest allowed timeout; shouldTriggerLocationAlert applies each trip's own threshold
+TripEventSchema.statics.findTripsNeedingLocationCheck = function(minTimeoutMinutes = 5) { const now = new Date(); const cutoff = new Date(now.getTime() - minTimeoutMinutes*60*1000); return this.find({ status: { $in: ['active', 'alert_triggered'] }, startTime: { $lte: now }, endTime: { $gte: now }, $or: [{ lastLocationUpdate: { $lt: cutoff } }, { lastLocationUpdate: null }], isActive: true }).populate('userId', 'name email phone'); };
+TripEventSchema.statics.findTripsOffRoute = function() { return this.find({ status: { $in: ['active', 'alert_triggered'] }, isActive: true, plannedRoute: { $ne: null }, 'routeDeviation.alertedAt': null, 'routeDeviation.consecutiveOffRoute': { $gt: 0 } }); };
+// Active trips predicted to arrive after their end time; isRunningLate applies each trip's margin
+TripEventSchema.statics.findTripsPredictedLate = function() { const now = new Date(); return this.find({ status: 'active', endTime: { $gte: now }, predictedArrival: { $ne: null }, isActive: true, $expr: { $gt: ['$predictedArrival', '$endTime'] } }); };
 TripEventSchema.statics.getUserTrips = function(userId, status = null) { const q = { userId, isActive: true }; if (status) q.status = status; return this.find(q).sort({ startTime: -1 }); };
 
 // Pre-save
 TripEventSchema.pre('save', function(next) {
   if (this.startTime >= this.endTime) return next(new Error('End time must be after start time'));
+  // Viewers lose access as soon as the trip ends, however it ended
+  if (this.isModified('status') && ENDED_STATUSES.includes(this.status)) {
+    const now = new Date();
+    this.sharedWith.forEach(share => { if (!share.revokedAt) share.revokedAt = now; });
+  }
   next();
 });
 
 const TripEvent = mongoose.model('TripEvent', TripEventSchema);
+TripEvent.TripLocationSchema = TripLocationSchema;
+TripEvent.ENDED_STATUSES = ENDED_STATUSES;
 module.exports = TripEvent;
\ No newline at end of file
@@ -1,11 +1,12 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { TripLocationSchema } = require('./TripEvent');
 
-const TripLocationSchema = new Schema({
+// Recorded position along an archived trip
+const TrackPointSchema = new Schema({
   latitude: { type: Number, required: true },
   longitude: { type: Number, required: true },
-  address: { type: String, trim: true, maxlength: 500 },
-  name: { type: String, trim: true, maxlength: 200 }
+  timestamp: { type: Date, required: true }
 }, { _id: false });
 
 const TripHistorySchema = new Schema({
@@ -16,11 +17,33 @@ const TripHistorySchema = new Schema({
   destination: { type: TripLocationSchema, required: true },
   notes: { type: String, trim: true, maxlength: 1000 },
   travelMode: { type: String, enum: ['walking','driving','public_transport','cycling','other'], default: 'other' },
+  // How the trip ended; entries saved by the client are trips they completed
+  status: { type: String, enum: ['completed', 'missed', 'cancelled'], default: 'completed' },
+  // Set when archived from a finished TripEvent (see tripHistoryService)
+  tripEventId: { type: Schema.Types.ObjectId, ref: 'TripEvent', default: null },
+  templateId: { type: Schema.Types.ObjectId, ref: 'TripTemplate', default: null },
+  recurrenceId: { type: Schema.Types.ObjectId, ref: 'TripRecurrence', default: null },
+  startedAt: { type: Date, default: null },
+  endedAt: { type: Date, default: null },
+  durationMinutes: { type: Number, default: null },
+  distanceMeters: { type: Number, default: 0 },
+  // Completed trips only: arrived by the planned end time
+  onTime: { type: Boolean, default: null },
+  track: [TrackPointSchema],
+  alerts: [{
+    _id: false,
+    alertType: { type: String },
+    message: { type: String },
+    timestamp: { type: Date }
+  }],
   backendId: { type: String },
   syncedAt: { type: Date, default: Date.now }
 }, { timestamps: true });
 
 TripHistorySchema.index({ userId: 1, startTime: -1 });
+TripHistorySchema.index({ userId: 1, status: 1, startTime: -1 });
+// A trip event is archived once, however many times archiving runs
+TripHistorySchema.index({ tripEventId: 1 }, { unique: true, partialFilterExpression: { tripEventId: { $type: 'objectId' } } });
 
 const TripHistory = mongoose.model('TripHistory', TripHistorySchema);
 module.exports = TripHistory;
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const recurrence = require('../utils/recurrence');
+
+// A repeating trip: the template's trip, at a local time, on the days an RRULE selects.
+// The materialiser creates the upcoming occurrences as scheduled TripEvents ahead of time.
+const tripRecurrenceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TripTemplate',
+    required: true
+  },
+  // RRULE, e.g. "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR"
+  rrule: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      validator: v => recurrence.parseRule(v) !== null,
+      message: 'Unsupported recurrence rule'
+    }
+  },
+  // First local date ('YYYY-MM-DD') and local start time ('HH:MM') in timeZone
+  startDate: {
+    type: String,
+    required: true,
+    validate: {
+      validator: v => recurrence.isValidDate(v),
+      message: 'startDate must be a YYYY-MM-DD date'
+    }
+  },
+  startTime: {
+    type: String,
+    required: true,
+    match: recurrence.TIME_PATTERN
+  },
+  durationMinutes: {
+    type: Number,
+    required: true,
+    min: 5,
+    max: 24 * 60
+  },
+  timeZone: {
+    type: String,
+    required: true,
+    validate: {
+      validator: v => recurrence.isValidTimeZone(v),
+      message: 'Unknown time zone'
+    }
+  },
+  // Local dates on which the trip does not happen
+  exceptions: [{
+    type: String,
+    match: recurrence.DATE_PATTERN
+  }],
+  isPaused: {
+    type: Boolean,
+    default: false
+  },
+  // Occurrences starting before this instant have been materialised
+  materializedUntil: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+tripRecurrenceSchema.index({ userId: 1, createdAt: -1 });
+tripRecurrenceSchema.index({ isPaused: 1, materializedUntil: 1 });
+
+tripRecurrenceSchema.methods.occurrencesBetween = function(from, to) {
+  return recurrence.occurrencesBetween(this, from, to);
+};
+
+module.exports = mongoose.model('TripRecurrence', tripRecurrenceSchema);
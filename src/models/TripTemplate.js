@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const TripEvent = require('./TripEvent');
+
+const TRAVEL_MODES = ['walking', 'driving', 'public_transport', 'cycling', 'other'];
+
+// A saved trip ("Commute to work") that can be started with one call or repeated by a recurrence
+const tripTemplateSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Title given to the trips created from the template; defaults to the template name
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: null
+  },
+  destination: {
+    type: TripEvent.TripLocationSchema,
+    required: true
+  },
+  travelMode: {
+    type: String,
+    enum: TRAVEL_MODES,
+    default: 'other'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  durationMinutes: {
+    type: Number,
+    min: 5,
+    max: 24 * 60,
+    default: 60
+  },
+  alertThresholds: {
+    locationTimeoutMinutes: { type: Number, default: 30, min: 5, max: 180 },
+    destinationToleranceMeters: { type: Number, default: 500, min: 50, max: 5000 },
+    lateMarginMinutes: { type: Number, default: 15, min: 5, max: 120 }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+tripTemplateSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+/**
+ * Fields copied onto each TripEvent created from the template
+ */
+tripTemplateSchema.methods.tripFields = function() {
+  return {
+    userId: this.userId,
+    templateId: this._id,
+    title: this.title || this.name,
+    destination: this.destination.toObject ? this.destination.toObject() : this.destination,
+    travelMode: this.travelMode,
+    notes: this.notes,
+    alertThresholds: {
+      locationTimeoutMinutes: this.alertThresholds.locationTimeoutMinutes,
+      destinationToleranceMeters: this.alertThresholds.destinationToleranceMeters,
+      lateMarginMinutes: this.alertThresholds.lateMarginMinutes
+    }
+  };
+};
+
+tripTemplateSchema.statics.TRAVEL_MODES = TRAVEL_MODES;
+
+module.exports = mongoose.model('TripTemplate', tripTemplateSchema);
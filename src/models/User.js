@@ -41,6 +41,16 @@ const userSchema = new mongoose.Schema({
     deviationThresholdMeters: { type: Number, default: 500 },
     inactivityThresholdMinutes: { type: Number, default: 30 }
   },
+  // Who sees this user in nearby discovery and live location broadcasts
+  privacy: {
+    visibility: {
+      type: String,
+      enum: ['nobody', 'contacts', 'groups', 'anonymous'],
+      default: 'anonymous'
+    },
+    // Temporary "share with everyone" override; ignored once in the past
+    shareWithEveryoneUntil: { type: Date, default: null }
+  },
   // Default/safe location for deviation checking
   defaultLocation: {
     latitude: { 
@@ -113,6 +123,8 @@ const userSchema = new mongoose.Schema({
   }
 });
 
+userSchema.statics.VISIBILITY_MODES = ['nobody', 'contacts', 'groups', 'anonymous'];
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -120,6 +132,14 @@ userSchema.pre('save', async function(next) {
   next();
 });
 
+// Effective nearby visibility right now, taking the override and the location sharing switch into account
+userSchema.methods.effectiveVisibility = function(now = new Date()) {
+  const privacy = this.privacy || {};
+  if (privacy.shareWithEveryoneUntil && privacy.shareWithEveryoneUntil > now) return 'everyone';
+  if (this.settings && this.settings.locationSharing === false) return 'nobody';
+  return privacy.visibility || 'anonymous';
+};
+
 // Instance method to check password
 userSchema.methods.validatePassword = async function(password) {
   return bcrypt.compare(password, this.password);
@@ -0,0 +1,206 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const CheckIn = require('../models/CheckIn');
+const Group = require('../models/Group');
+const auth = require('../middleware/auth');
+const checkInService = require('../services/checkInService');
+const privacyService = require('../services/privacyService');
+const { groupRoom, emitToRoom } = require('../services/realtime');
+
+const router = express.Router();
+
+// Furthest ahead a check-in can be scheduled
+const MAX_SCHEDULE_AHEAD_MS = 7 * 24 * 60 * 60 * 1000;
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation error',
+    errors: errors.array()
+  });
+  return true;
+};
+
+/**
+ * Check in now
+ * POST /api/v1/check-ins
+ */
+router.post('/', auth, [
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).toFloat(),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).toFloat(),
+  body('accuracy').optional().isFloat({ min: 0 }).toFloat(),
+  body('placeName').optional().isLength({ max: 200 }).trim(),
+  body('message').optional().isLength({ max: 500 }).trim(),
+  body('tags').optional().isArray({ max: 10 }),
+  body('tags.*').optional().isString().isLength({ max: 30 }).trim(),
+  body('scheduledCheckInId').optional().isMongoId()
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    if ((req.body.latitude === undefined) !== (req.body.longitude === undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'latitude and longitude must be provided together'
+      });
+    }
+
+    const { checkIn, fulfilled } = await checkInService.recordCheckIn(req.user._id, req.body, { source: 'app' });
+
+    // Let the user's groups see the check-in, unless they hide from everyone
+    const visibility = await privacyService.visibilityFor([String(req.user._id)]);
+    if (visibility.get(String(req.user._id)) !== 'nobody') {
+      const groups = await Group.findForMember(req.user._id).select('_id');
+      if (groups.length > 0) {
+        emitToRoom(groups.map(group => groupRoom(group._id)), 'user_checked_in', {
+          checkInId: String(checkIn._id),
+          userId: String(req.user._id),
+          userName: req.user.name,
+          location: checkIn.placeName,
+          message: checkIn.message,
+          tags: checkIn.tags,
+          coordinates: checkIn.location && checkIn.location.latitude !== undefined ? checkIn.location : null,
+          timestamp: checkIn.checkedInAt.getTime()
+        });
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: fulfilled > 0 ? `Checked in; ${fulfilled} scheduled check-in(s) completed` : 'Checked in',
+      data: {
+        checkIn,
+        fulfilled
+      }
+    });
+  } catch (error) {
+    console.error('Check in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Schedule an expected check-in ("I'll check in by 22:00")
+ * POST /api/v1/check-ins/scheduled
+ */
+router.post('/scheduled', auth, [
+  body('dueBy').isISO8601().custom(value => {
+    const due = new Date(value);
+    if (due <= new Date()) throw new Error('dueBy must be in the future');
+    if (due - Date.now() > MAX_SCHEDULE_AHEAD_MS) throw new Error('dueBy must be within 7 days');
+    return true;
+  }),
+  body('graceMinutes').optional().isInt({ min: 0, max: 60 }).toInt(),
+  body('placeName').optional().isLength({ max: 200 }).trim(),
+  body('message').optional().isLength({ max: 500 }).trim()
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { dueBy, graceMinutes, placeName, message } = req.body;
+    const checkIn = await checkInService.schedule(req.user._id, { dueBy, graceMinutes, placeName, message });
+
+    res.status(201).json({
+      success: true,
+      message: 'Check-in scheduled',
+      data: {
+        checkIn
+      }
+    });
+  } catch (error) {
+    if (error instanceof checkInService.CheckInError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Schedule check-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * List the user's check-ins, newest first
+ * GET /api/v1/check-ins
+ */
+router.get('/', auth, [
+  query('status').optional().isIn(CheckIn.STATUSES),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { status, limit = 20, offset = 0 } = req.query;
+    const filter = { userId: req.user._id };
+    if (status) filter.status = status;
+
+    const [checkIns, total] = await Promise.all([
+      CheckIn.find(filter).sort({ createdAt: -1 }).skip(offset).limit(limit),
+      CheckIn.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        checkIns,
+        pagination: {
+          total,
+          limit,
+          offset,
+          hasMore: total > offset + checkIns.length
+        }
+      }
+    });
+  } catch (error) {
+    console.error('List check-ins error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Cancel a scheduled check-in
+ * POST /api/v1/check-ins/:checkInId/cancel
+ */
+router.post('/:checkInId/cancel', auth, [
+  param('checkInId').isMongoId()
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const checkIn = await checkInService.cancel(req.user._id, req.params.checkInId);
+
+    res.json({
+      success: true,
+      message: 'Scheduled check-in cancelled',
+      data: {
+        checkIn
+      }
+    });
+  } catch (error) {
+    if (error instanceof checkInService.CheckInError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Cancel check-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
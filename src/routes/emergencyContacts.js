@@ -2,6 +2,7 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const EmergencyContact = require('../models/EmergencyContact');
 const auth = require('../middleware/auth');
+const notificationService = require('../services/notificationService');
 
 const router = express.Router();
 
@@ -39,6 +40,7 @@ router.get('/', auth, async (req, res) => {
 router.post('/', auth, [
   body('name').isLength({ min: 2, max: 50 }).trim(),
   body('phone').matches(/^[\+]?[1-9][\d]{0,15}$/),
+  body('email').optional({ values: 'falsy' }).isEmail().trim(),
   body('relationship').isLength({ min: 1, max: 50 }).trim(),
   body('isPrimary').optional().isBoolean()
 ], async (req, res) => {
@@ -52,7 +54,7 @@ router.post('/', auth, [
       });
     }
 
-    const { name, phone, relationship, isPrimary = false } = req.body;
+    const { name, phone, email, relationship, isPrimary = false } = req.body;
 
     console.log(`➕ Adding emergency contact for user: ${req.user._id}`);
     console.log(`   Name: ${name}`);
@@ -64,6 +66,7 @@ router.post('/', auth, [
       userId: req.user._id,
       name,
       phone,
+      email: email || null,
       relationship,
       isPrimary
     });
@@ -71,6 +74,8 @@ router.post('/', auth, [
     const savedContact = await contact.save();
     console.log(`✅ Emergency contact saved successfully with ID: ${savedContact._id}`);
 
+    notificationService.notifyContactChange(req.user._id, savedContact, 'added');
+
     res.status(201).json({
       success: true,
       message: 'Emergency contact added successfully',
@@ -97,6 +102,7 @@ router.post('/', auth, [
 router.put('/:contactId', auth, [
   body('name').optional().isLength({ min: 2, max: 50 }).trim(),
   body('phone').optional().matches(/^[\+]?[1-9][\d]{0,15}$/),
+  body('email').optional({ values: 'falsy' }).isEmail().trim(),
   body('relationship').optional().isLength({ min: 1, max: 50 }).trim(),
   body('isPrimary').optional().isBoolean()
 ], async (req, res) => {
@@ -111,7 +117,9 @@ router.put('/:contactId', auth, [
     }
 
     const { contactId } = req.params;
-    const updateData = req.body;
+    // Opt-out is controlled by the contact (SMS STOP/START), not the user; the normalised
+    // number that replies are matched on is derived from phone by the model
+    const { smsOptOut, smsOptOutAt, phoneE164, ...updateData } = req.body;
 
     const contact = await EmergencyContact.findOneAndUpdate(
       { _id: contactId, userId: req.user._id },
@@ -126,6 +134,8 @@ router.put('/:contactId', auth, [
       });
     }
 
+    notificationService.notifyContactChange(req.user._id, contact, 'updated');
+
     res.json({
       success: true,
       message: 'Emergency contact updated successfully',
@@ -159,6 +169,8 @@ router.delete('/:contactId', auth, async (req, res) => {
       });
     }
 
+    notificationService.notifyContactChange(req.user._id, contact, 'removed');
+
     res.json({
       success: true,
       message: 'Emergency contact deleted successfully'
@@ -0,0 +1,319 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Group = require('../models/Group');
+const auth = require('../middleware/auth');
+const groupService = require('../services/groupService');
+const rateLimit = require('express-rate-limit');
+
+const router = express.Router();
+
+// Invite links are public; keep guessing codes expensive
+const inviteLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 30,
+  message: { success: false, message: 'Too many requests, please try again later.' }
+});
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation error',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const sendError = (res, error, context) => {
+  if (error instanceof groupService.GroupError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error'
+  });
+};
+
+/**
+ * List groups the user belongs to or asked to join
+ * GET /api/v1/groups
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const groups = await Group.find({ 'members.userId': req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        groups: await Promise.all(groups.map(group => groupService.toResponse(group, req.user._id))),
+        count: groups.length
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'List groups');
+  }
+});
+
+/**
+ * Create a group; the creator becomes its owner
+ * POST /api/v1/groups
+ */
+router.post('/', auth, [
+  body('name').isLength({ min: 1, max: 60 }).trim(),
+  body('description').optional().isLength({ max: 300 }).trim(),
+  body('type').optional().isIn(Group.TYPES),
+  body('requiresApproval').optional().isBoolean()
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { name, description, type, requiresApproval } = req.body;
+    const group = await groupService.create(req.user, { name, description, type, requiresApproval });
+
+    res.status(201).json({
+      success: true,
+      message: 'Group created successfully',
+      data: {
+        group: await groupService.toResponse(group, req.user._id)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Create group');
+  }
+});
+
+/**
+ * Join a group with an invite code (from a link or typed in)
+ * POST /api/v1/groups/join
+ */
+router.post('/join', auth, [
+  body('code').isString().isLength({ min: 4, max: 20 }).trim()
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { group, status } = await groupService.joinWithCode(req.user, req.body.code);
+
+    res.json({
+      success: true,
+      message: status === 'active' ? `You joined ${group.name}` : `Request sent; an admin of ${group.name} needs to approve it`,
+      data: {
+        status,
+        group: await groupService.toResponse(group, req.user._id)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Join group');
+  }
+});
+
+/**
+ * Invite link target: what the group is, so the app can offer to join it with POST /join. No auth required.
+ * GET /api/v1/groups/join/:code
+ */
+router.get('/join/:code', inviteLimiter, [
+  param('code').isString().isLength({ min: 4, max: 20 }).trim()
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const group = await groupService.findByInviteCode(req.params.code);
+
+    res.json({
+      success: true,
+      message: `You have been invited to join ${group.name}`,
+      data: {
+        invite: groupService.invitePreview(group)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Get group invite');
+  }
+});
+
+/**
+ * Group details and members
+ * GET /api/v1/groups/:groupId
+ */
+router.get('/:groupId', auth, [
+  param('groupId').isMongoId()
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const group = await groupService.findForUser(req.params.groupId, req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        group: await groupService.toResponse(group, req.user._id)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Get group');
+  }
+});
+
+/**
+ * Update group details (owner or admin)
+ * PUT /api/v1/groups/:groupId
+ */
+router.put('/:groupId', auth, [
+  param('groupId').isMongoId(),
+  body('name').optional().isLength({ min: 1, max: 60 }).trim(),
+  body('description').optional().isLength({ max: 300 }).trim(),
+  body('type').optional().isIn(Group.TYPES),
+  body('requiresApproval').optional().isBoolean()
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const group = await groupService.findManagedBy(req.params.groupId, req.user._id);
+    ['name', 'description', 'type', 'requiresApproval'].forEach(field => {
+      if (req.body[field] !== undefined) group[field] = req.body[field];
+    });
+    await group.save();
+
+    res.json({
+      success: true,
+      message: 'Group updated successfully',
+      data: {
+        group: await groupService.toResponse(group, req.user._id)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Update group');
+  }
+});
+
+/**
+ * Delete a group (owner only)
+ * DELETE /api/v1/groups/:groupId
+ */
+router.delete('/:groupId', auth, [
+  param('groupId').isMongoId()
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const group = await groupService.findForUser(req.params.groupId, req.user._id);
+    await groupService.deleteGroup(group, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Group deleted successfully'
+    });
+  } catch (error) {
+    sendError(res, error, 'Delete group');
+  }
+});
+
+/**
+ * Replace the invite code, invalidating old links (owner or admin)
+ * POST /api/v1/groups/:groupId/invite-code
+ */
+router.post('/:groupId/invite-code', auth, [
+  param('groupId').isMongoId()
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const group = await groupService.findManagedBy(req.params.groupId, req.user._id);
+    await groupService.rotateInviteCode(group);
+
+    res.json({
+      success: true,
+      message: 'Invite code replaced',
+      data: {
+        inviteCode: group.inviteCode,
+        inviteUrl: groupService.inviteUrl(group)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Rotate invite code');
+  }
+});
+
+/**
+ * Approve a pending join request (owner or admin)
+ * POST /api/v1/groups/:groupId/members/:userId/approve
+ */
+router.post('/:groupId/members/:userId/approve', auth, [
+  param('groupId').isMongoId(),
+  param('userId').isMongoId()
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const group = await groupService.findManagedBy(req.params.groupId, req.user._id);
+    await groupService.approve(group, req.user, req.params.userId);
+
+    res.json({
+      success: true,
+      message: 'Member approved',
+      data: {
+        group: await groupService.toResponse(group, req.user._id)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Approve member');
+  }
+});
+
+/**
+ * Change a member's role (owner only). Making someone the owner transfers ownership.
+ * PUT /api/v1/groups/:groupId/members/:userId
+ */
+router.put('/:groupId/members/:userId', auth, [
+  param('groupId').isMongoId(),
+  param('userId').isMongoId(),
+  body('role').isIn(Group.ROLES)
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const group = await groupService.findForUser(req.params.groupId, req.user._id);
+    await groupService.setRole(group, req.user._id, req.params.userId, req.body.role);
+
+    res.json({
+      success: true,
+      message: 'Member role updated',
+      data: {
+        group: await groupService.toResponse(group, req.user._id)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Update member role');
+  }
+});
+
+/**
+ * Remove a member or decline a join request (owner or admin), or leave the group (own user id)
+ * DELETE /api/v1/groups/:groupId/members/:userId
+ */
+router.delete('/:groupId/members/:userId', auth, [
+  param('groupId').isMongoId(),
+  param('userId').isMongoId()
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const group = await groupService.findForUser(req.params.groupId, req.user._id);
+    await groupService.removeMember(group, req.user._id, req.params.userId);
+
+    const leaving = String(req.params.userId) === String(req.user._id);
+    res.json({
+      success: true,
+      message: leaving ? 'You left the group' : 'Member removed'
+    });
+  } catch (error) {
+    sendError(res, error, 'Remove member');
+  }
+});
+
+module.exports = router;
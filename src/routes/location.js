@@ -1,5 +1,5 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Location = require('../models/Location');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
@@ -24,19 +24,18 @@ router.post('/update', auth, [
       });
     }
 
-    const { latitude, longitude, accuracy, address } = req.body;
+    const { latitude, longitude, accuracy, address, timestamp } = req.body;
 
-    // Update location in Location model
-    const location = await Location.findOneAndUpdate(
-      { userId: req.user._id },
-      {
-        latitude,
-        longitude,
-        accuracy: accuracy || 0,
-        address: address || ''
-      },
-      { upsert: true, new: true, runValidators: true }
-    );
+    // Append breadcrumb to the location history
+    const location = await Location.create({
+      userId: req.user._id,
+      latitude,
+      longitude,
+      accuracy: accuracy || 0,
+      address: address || '',
+      timestamp: timestamp ? new Date(timestamp) : new Date(),
+      source: 'app'
+    });
 
     // Update user's last known location and activity for auto SOS
     try {
@@ -51,13 +50,7 @@ router.post('/update', auth, [
       success: true,
       message: 'Location updated successfully',
       data: {
-        location: {
-          latitude: location.latitude,
-          longitude: location.longitude,
-          accuracy: location.accuracy,
-          address: location.address,
-          updatedAt: location.updatedAt
-        }
+        location: location.toBreadcrumb()
       }
     });
   } catch (error) {
@@ -72,7 +65,7 @@ router.post('/update', auth, [
 // Get current location
 router.get('/current', auth, async (req, res) => {
   try {
-    const location = await Location.findOne({ userId: req.user._id });
+    const location = await Location.findLatest(req.user._id);
 
     if (!location) {
       return res.status(404).json({
@@ -84,13 +77,7 @@ router.get('/current', auth, async (req, res) => {
     res.json({
       success: true,
       data: {
-        location: {
-          latitude: location.latitude,
-          longitude: location.longitude,
-          accuracy: location.accuracy,
-          address: location.address,
-          updatedAt: location.updatedAt
-        }
+        location: location.toBreadcrumb()
       }
     });
   } catch (error) {
@@ -154,27 +141,20 @@ router.post('/batch-update', auth, [
 
     for (const loc of sortedLocations) {
       try {
-        // Update location in Location model
-        const location = await Location.findOneAndUpdate(
-          { userId: req.user._id },
-          {
-            latitude: loc.latitude,
-            longitude: loc.longitude,
-            accuracy: loc.accuracy || 0,
-            address: loc.address || ''
-          },
-          { upsert: true, new: true, runValidators: true }
-        );
+        // Append breadcrumb to the location history
+        const location = await Location.create({
+          userId: req.user._id,
+          latitude: loc.latitude,
+          longitude: loc.longitude,
+          accuracy: loc.accuracy || 0,
+          address: loc.address || '',
+          timestamp: loc.timestamp ? new Date(loc.timestamp) : new Date(),
+          source: 'batch'
+        });
 
         results.push({
           success: true,
-          location: {
-            latitude: location.latitude,
-            longitude: location.longitude,
-            accuracy: location.accuracy,
-            address: location.address,
-            updatedAt: location.updatedAt
-          }
+          location: location.toBreadcrumb()
         });
 
         // Update user's last known location (only for the most recent location)
@@ -217,17 +197,50 @@ router.post('/batch-update', auth, [
   }
 });
 
-// Get location history (for debugging and analysis)
-router.get('/history', auth, async (req, res) => {
+// Get location history, optionally restricted to a time range and/or bounding box
+router.get('/history', auth, [
+  query('limit').optional().isInt({ min: 1, max: 1000 }),
+  query('offset').optional().isInt({ min: 0 }),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('bbox').optional().custom(value => {
+    const parts = String(value).split(',').map(Number);
+    if (parts.length !== 4 || parts.some(isNaN)) {
+      throw new Error('bbox must be minLongitude,minLatitude,maxLongitude,maxLatitude');
+    }
+    const [minLng, minLat, maxLng, maxLat] = parts;
+    if (minLng < -180 || maxLng > 180 || minLat < -90 || maxLat > 90 || minLng >= maxLng || minLat >= maxLat) {
+      throw new Error('bbox coordinates are out of range');
+    }
+    return true;
+  }),
+  query('source').optional().isIn(['app', 'batch', 'mobile_sync', 'test_sync'])
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
     const limit = parseInt(req.query.limit) || 10;
     const offset = parseInt(req.query.offset) || 0;
+    const { from, to, source } = req.query;
+    const bbox = req.query.bbox ? req.query.bbox.split(',').map(Number) : null;
+
+    const filter = Location.historyQuery(req.user._id, { from, to, bbox, source });
 
     // Get location history from Location model
-    const locations = await Location.find({ userId: req.user._id })
-      .sort({ updatedAt: -1 })
-      .limit(Math.min(limit, 100))
-      .skip(offset);
+    const [locations, total] = await Promise.all([
+      Location.find(filter)
+        .sort({ timestamp: -1 })
+        .skip(offset)
+        .limit(limit),
+      Location.countDocuments(filter)
+    ]);
 
     // Get user's SOS-related location data
     const user = await User.findById(req.user._id)
@@ -236,23 +249,24 @@ router.get('/history', auth, async (req, res) => {
     res.json({
       success: true,
       data: {
-        history: locations.map(loc => ({
-          latitude: loc.latitude,
-          longitude: loc.longitude,
-          accuracy: loc.accuracy,
-          address: loc.address,
-          updatedAt: loc.updatedAt
-        })),
+        history: locations.map(loc => loc.toBreadcrumb()),
         current: {
           lastKnownLocation: user.lastKnownLocation,
           defaultLocation: user.defaultLocation,
           lastActiveAt: user.lastActiveAt,
           autoSOSEnabled: user.settings?.autoSOSEnabled || false
         },
+        filters: {
+          from: from || null,
+          to: to || null,
+          bbox,
+          source: source || null
+        },
         pagination: {
           limit,
           offset,
-          total: locations.length
+          total,
+          hasMore: total > offset + locations.length
         }
       }
     });
@@ -30,6 +30,11 @@ router.post('/sync',
       .optional()
       .isFloat({ min: 0 })
       .withMessage('Accuracy must be a positive number'),
+    body('locations.*.address')
+      .optional()
+      .isString()
+      .trim()
+      .withMessage('Address must be a string'),
     body('deviceInfo.offlineDuration')
       .optional()
       .isInt({ min: 0 })
@@ -92,7 +97,8 @@ router.post('/sync',
             userId: userId,
             latitude: locationData.latitude,
             longitude: locationData.longitude,
-            accuracy: locationData.accuracy,
+            accuracy: locationData.accuracy || 0,
+            address: locationData.address,
             timestamp: new Date(locationData.timestamp),
             source: 'mobile_sync',
             metadata: {
@@ -123,15 +129,22 @@ router.post('/sync',
           new Date(b.timestamp) - new Date(a.timestamp)
         )[0];
 
-        // Update user record
-        await User.findByIdAndUpdate(userId, {
-          lastKnownLocation: {
-            latitude: mostRecentLocation.latitude,
-            longitude: mostRecentLocation.longitude,
-            timestamp: mostRecentLocation.timestamp
-          },
-          lastActiveAt: new Date()
-        });
+        // Only move the user's last known location forward, never back to an older offline fix
+        const lastKnownAt = user.lastKnownLocation?.updatedAt;
+        if (!lastKnownAt || mostRecentLocation.timestamp > lastKnownAt) {
+          await User.findByIdAndUpdate(userId, {
+            lastKnownLocation: {
+              latitude: mostRecentLocation.latitude,
+              longitude: mostRecentLocation.longitude,
+              accuracy: mostRecentLocation.accuracy || 0,
+              address: mostRecentLocation.address || null,
+              updatedAt: mostRecentLocation.timestamp
+            },
+            lastActiveAt: new Date()
+          });
+        } else {
+          await User.findByIdAndUpdate(userId, { lastActiveAt: new Date() });
+        }
 
         console.log(`✅ Updated user ${userId} last known location and activity`);
       }
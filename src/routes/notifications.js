@@ -1,42 +1,30 @@
 const express = require('express');
-const { query } = require('express-validator');
+const { query, param, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
 
 const router = express.Router();
 const DeviceToken = require('../models/DeviceToken');
+const Notification = require('../models/Notification');
 const sosService = require('../services/sosService');
 const User = require('../models/User');
 
-// Mock notifications data
-const mockNotifications = [
-  {
-    id: '1',
-    type: 'safety',
-    title: 'Location Updated',
-    message: 'Your location has been successfully updated',
-    isRead: false,
-    priority: 'low',
-    createdAt: new Date()
-  },
-  {
-    id: '2',
-    type: 'alert',
-    title: 'Emergency Contact Added',
-    message: 'New emergency contact has been added to your profile',
-    isRead: true,
-    priority: 'medium',
-    createdAt: new Date(Date.now() - 86400000) // 1 day ago
-  }
-];
-
 // Get notifications
 router.get('/', auth, [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
-  query('type').optional().isIn(['alert', 'safety', 'system', 'all']),
+  query('type').optional().isIn([...Notification.TYPES, 'all']),
   query('unreadOnly').optional().isBoolean()
 ], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
     const {
       page = 1,
       limit = 20,
@@ -44,32 +32,43 @@ router.get('/', auth, [
       unreadOnly = false
     } = req.query;
 
-    let filteredNotifications = [...mockNotifications];
-
-    // Filter by type
-    if (type !== 'all') {
-      filteredNotifications = filteredNotifications.filter(n => n.type === type);
-    }
-
-    // Filter by read status
-    if (unreadOnly === 'true') {
-      filteredNotifications = filteredNotifications.filter(n => !n.isRead);
-    }
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const filter = Notification.inboxQuery(req.user._id, {
+      type,
+      unreadOnly: unreadOnly === true || unreadOnly === 'true'
+    });
 
-    // Pagination
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + parseInt(limit);
-    const paginatedNotifications = filteredNotifications.slice(startIndex, endIndex);
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Notification.countDocuments(filter),
+      Notification.countUnread(req.user._id)
+    ]);
 
     res.json({
       success: true,
       data: {
-        notifications: paginatedNotifications,
+        notifications: notifications.map(n => ({
+          id: n._id,
+          type: n.type,
+          title: n.title,
+          message: n.message,
+          isRead: n.isRead,
+          readAt: n.readAt,
+          priority: n.priority,
+          data: n.data,
+          expiresAt: n.expiresAt,
+          createdAt: n.createdAt
+        })),
+        unreadCount,
         pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: filteredNotifications.length,
-          totalPages: Math.ceil(filteredNotifications.length / limit)
+          page: pageNum,
+          limit: limitNum,
+          total,
+          totalPages: Math.ceil(total / limitNum)
         }
       }
     });
@@ -82,20 +81,81 @@ router.get('/', auth, [
   }
 });
 
+// Get unread notification count
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countUnread(req.user._id);
+
+    res.json({
+      success: true,
+      data: { unreadCount }
+    });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Mark all notifications as read
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    const result = await Notification.markAllAsRead(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: { updated: result.modifiedCount || 0 }
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 // Mark notification as read
-router.put('/:notificationId/read', auth, async (req, res) => {
+router.put('/:notificationId/read', auth, [
+  param('notificationId').isMongoId()
+], async (req, res) => {
   try {
-    const { notificationId } = req.params;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const notification = await Notification.findOne({
+      _id: req.params.notificationId,
+      userId: req.user._id
+    });
 
-    // In a real implementation, you would update the notification in the database
-    const notification = mockNotifications.find(n => n.id === notificationId);
-    if (notification) {
-      notification.isRead = true;
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
     }
 
+    await notification.markAsRead();
+
     res.json({
       success: true,
-      message: 'Notification marked as read'
+      message: 'Notification marked as read',
+      data: {
+        notification: {
+          id: notification._id,
+          isRead: notification.isRead,
+          readAt: notification.readAt
+        }
+      }
     });
   } catch (error) {
     console.error('Mark notification read error:', error);
@@ -106,6 +166,45 @@ router.put('/:notificationId/read', auth, async (req, res) => {
   }
 });
 
+// Delete notification
+router.delete('/:notificationId', auth, [
+  param('notificationId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const notification = await Notification.findOneAndDelete({
+      _id: req.params.notificationId,
+      userId: req.user._id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification deleted'
+    });
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 // List device tokens (admin / debug) - returns limited info
 router.get('/device-tokens', auth, async (req, res) => {
   try {
@@ -0,0 +1,288 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const IncidentReport = require('../models/IncidentReport');
+const safetyScoreService = require('../services/safetyScoreService');
+const { isValidGeohash } = require('../utils/geohash');
+const { decodePolyline } = require('../utils/polyline');
+
+const router = express.Router();
+
+const isTimeZone = value => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    throw new Error('timezone must be a valid IANA time zone');
+  }
+};
+
+/**
+ * Safety score for a point
+ * GET /api/v1/safety/score?latitude=&longitude=&at=&timezone=
+ */
+router.get('/score', auth, [
+  query('latitude').isFloat({ min: -90, max: 90 }),
+  query('longitude').isFloat({ min: -180, max: 180 }),
+  query('at').optional().isISO8601(),
+  query('timezone').optional().custom(isTimeZone)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const result = await safetyScoreService.scorePoint({
+      latitude: parseFloat(req.query.latitude),
+      longitude: parseFloat(req.query.longitude),
+      at: req.query.at ? new Date(req.query.at) : new Date(),
+      timezone: req.query.timezone || null
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Get point safety score error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Safety score for a geohash cell
+ * GET /api/v1/safety/areas/:geohash
+ */
+router.get('/areas/:geohash', auth, [
+  param('geohash').custom(value => {
+    if (!isValidGeohash(value) || value.length < 4) {
+      throw new Error('geohash must be a valid geohash of at least 4 characters');
+    }
+    return true;
+  }),
+  query('at').optional().isISO8601(),
+  query('timezone').optional().custom(isTimeZone)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const result = await safetyScoreService.scoreArea({
+      geohash: req.params.geohash.toLowerCase(),
+      at: req.query.at ? new Date(req.query.at) : new Date(),
+      timezone: req.query.timezone || null
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Get area safety score error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Safety score for a route, given as an encoded polyline or a list of points
+ * POST /api/v1/safety/route
+ */
+router.post('/route', auth, [
+  body('polyline').optional().isString(),
+  body('points').optional().isArray({ min: 2, max: 5000 }),
+  body('points.*.latitude').optional().isFloat({ min: -90, max: 90 }),
+  body('points.*.longitude').optional().isFloat({ min: -180, max: 180 }),
+  body('at').optional().isISO8601(),
+  body('timezone').optional().custom(isTimeZone)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    let points;
+    if (req.body.polyline) {
+      try {
+        points = decodePolyline(req.body.polyline);
+      } catch (decodeError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid encoded polyline'
+        });
+      }
+    } else if (req.body.points) {
+      points = req.body.points.map(p => ({ latitude: parseFloat(p.latitude), longitude: parseFloat(p.longitude) }));
+    }
+
+    if (!points || points.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'A polyline or at least two points are required'
+      });
+    }
+
+    const result = await safetyScoreService.scoreRoute({
+      points,
+      at: req.body.at ? new Date(req.body.at) : new Date(),
+      timezone: req.body.timezone || null
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Get route safety score error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Submit an incident report
+ * POST /api/v1/safety/reports
+ */
+router.post('/reports', auth, [
+  body('latitude').isFloat({ min: -90, max: 90 }),
+  body('longitude').isFloat({ min: -180, max: 180 }),
+  body('category').isIn(IncidentReport.CATEGORIES),
+  body('severity').optional().isInt({ min: 1, max: 5 }),
+  body('description').optional().isLength({ max: 500 }).trim(),
+  body('occurredAt').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { latitude, longitude, category, severity, description, occurredAt } = req.body;
+
+    const occurred = occurredAt ? new Date(occurredAt) : new Date();
+    if (occurred > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'occurredAt cannot be in the future'
+      });
+    }
+
+    const report = await IncidentReport.create({
+      userId: req.user._id,
+      latitude,
+      longitude,
+      category,
+      severity,
+      description,
+      occurredAt: occurred
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Incident reported successfully',
+      data: {
+        report: {
+          id: report._id,
+          category: report.category,
+          severity: report.severity,
+          description: report.description,
+          location: { latitude: report.latitude, longitude: report.longitude },
+          occurredAt: report.occurredAt,
+          createdAt: report.createdAt
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Create incident report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * List incident reports near a point
+ * GET /api/v1/safety/reports?latitude=&longitude=&radius=
+ */
+router.get('/reports', auth, [
+  query('latitude').isFloat({ min: -90, max: 90 }),
+  query('longitude').isFloat({ min: -180, max: 180 }),
+  query('radius').optional().isInt({ min: 100, max: 10000 }),
+  query('limit').optional().isInt({ min: 1, max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const latitude = parseFloat(req.query.latitude);
+    const longitude = parseFloat(req.query.longitude);
+    const radius = parseInt(req.query.radius || '1000');
+    const limit = parseInt(req.query.limit || '50');
+
+    const reports = await IncidentReport.find({
+      status: 'active',
+      point: {
+        $nearSphere: {
+          $geometry: { type: 'Point', coordinates: [longitude, latitude] },
+          $maxDistance: radius
+        }
+      }
+    }).limit(limit);
+
+    res.json({
+      success: true,
+      data: {
+        reports: reports.map(report => ({
+          id: report._id,
+          category: report.category,
+          severity: report.severity,
+          description: report.description,
+          location: { latitude: report.latitude, longitude: report.longitude },
+          occurredAt: report.occurredAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('List incident reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,15 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const SOSAlert = require('../models/SOSAlert');
 const ContactNotification = require('../models/ContactNotification');
-const EmergencyContact = require('../models/EmergencyContact');
 const auth = require('../middleware/auth');
 const sosService = require('../services/sosService');
+const dispatchService = require('../services/dispatchService');
+const escalationService = require('../services/escalationService');
+const liveTrackingService = require('../services/liveTrackingService');
+const trackingTokenService = require('../services/trackingTokenService');
+const EscalationPolicy = require('../models/EscalationPolicy');
 
 const router = express.Router();
 
@@ -44,62 +48,16 @@ router.post('/trigger', auth, sosLimiter, [
       immediateAlert = false
     } = req.body;
 
-    // Create SOS alert
-    const alert = new SOSAlert({
-      userId: req.user._id,
-      status: 'active',
+    const alert = await sosService.createAlert(req.user, {
+      latitude,
+      longitude,
+      address,
       emergencyType,
-      location: {
-        latitude,
-        longitude,
-        address: address || 'Location not specified'
-      },
-      message: message || 'Emergency assistance required',
-      emergencyServicesNotified: false,
-      immediateAlert
+      message,
+      immediateAlert,
+      source: 'app'
     });
 
-    await alert.save();
-
-    // Get user's emergency contacts
-    const emergencyContacts = await EmergencyContact.find({ userId: req.user._id })
-      .sort({ isPrimary: -1, createdAt: 1 });
-
-    // Create contact notifications
-    const contactNotifications = await Promise.all(
-      emergencyContacts.map(async contact => {
-        const notification = new ContactNotification({
-          alertId: alert._id,
-          contactId: contact._id,
-          notificationStatus: 'pending'
-        });
-        return await notification.save();
-      })
-    );
-
-    // Trigger emergency services notification
-    if (immediateAlert) {
-      try {
-        const result = await sosService.notifyEmergencyServices(alert, req.user);
-        if (result.success) {
-          alert.emergencyServicesNotified = true;
-          alert.emergencyServicesNotifiedAt = result.notifiedAt;
-          await alert.save();
-        }
-      } catch (serviceError) {
-        console.error('Emergency services notification failed:', serviceError);
-      }
-    }
-
-    // Send notifications to emergency contacts (async)
-    sosService.notifyEmergencyContacts(alert, emergencyContacts, req.user)
-      .catch(error => console.error('Contact notifications failed:', error));
-
-    // Send push notifications to other app users (async)
-    sosService.notifyPushToAllUsers(alert, req.user)
-      .then(res => console.log('Push notify result:', res))
-      .catch(err => console.error('Push notifications failed:', err));
-
     // Populate contact details for response
     const populatedNotifications = await ContactNotification.find({ alertId: alert._id })
       .populate('contactId', 'name phone relationship');
@@ -127,6 +85,7 @@ router.post('/trigger', auth, sosLimiter, [
             notificationStatus: cn.notificationStatus,
             notifiedAt: cn.notifiedAt
           })),
+          escalation: alert.escalation,
           createdAt: alert.createdAt,
           updatedAt: alert.updatedAt
         }
@@ -141,6 +100,37 @@ router.post('/trigger', auth, sosLimiter, [
   }
 });
 
+// Get active alerts
+router.get('/alerts/active', auth, async (req, res) => {
+  try {
+    const alerts = await SOSAlert.find({
+      userId: req.user._id,
+      status: { $in: SOSAlert.OPEN_STATUSES }
+    })
+    .select('_id status emergencyType location createdAt')
+    .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        alerts: alerts.map(alert => ({
+          id: alert._id,
+          status: alert.status,
+          emergencyType: alert.emergencyType,
+          location: alert.location,
+          createdAt: alert.createdAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get active alerts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 // Get alert status
 router.get('/alerts/:alertId', auth, async (req, res) => {
   try {
@@ -180,8 +170,17 @@ router.get('/alerts/:alertId', auth, async (req, res) => {
             phone: cn.contactId.phone,
             relationship: cn.contactId.relationship,
             notificationStatus: cn.notificationStatus,
-            notifiedAt: cn.notifiedAt
+            notifiedAt: cn.notifiedAt,
+            deliveredAt: cn.deliveredAt,
+            channel: cn.channel,
+            attempts: cn.attemptCount,
+            failureReason: cn.failureReason
           })),
+          acknowledgements: alert.acknowledgements,
+          escalation: alert.escalation,
+          resolvedAt: alert.resolvedAt,
+          resolutionNote: alert.resolutionNote,
+          cancelledAt: alert.cancelledAt,
           createdAt: alert.createdAt,
           updatedAt: alert.updatedAt
         }
@@ -207,7 +206,7 @@ router.post('/alerts/:alertId/cancel', auth, [
     const alert = await SOSAlert.findOne({
       _id: alertId,
       userId: req.user._id,
-      status: 'active'
+      status: { $in: SOSAlert.OPEN_STATUSES }
     });
 
     if (!alert) {
@@ -220,8 +219,15 @@ router.post('/alerts/:alertId/cancel', auth, [
     alert.status = 'cancelled';
     alert.cancelledAt = new Date();
     alert.cancelReason = reason || 'Cancelled by user';
+    alert.timeline.push({ type: 'cancelled', at: alert.cancelledAt, message: alert.cancelReason });
     await alert.save();
 
+    // Stop anything still waiting to go out (recording the ladder's end), and end live tracking
+    await dispatchService.cancelForAlert(alert._id);
+    await escalationService.advance(alert);
+    await liveTrackingService.endSession(alert);
+    await trackingTokenService.revokeForAlert(alert._id);
+
     res.json({
       success: true,
       message: 'SOS alert cancelled successfully',
@@ -243,30 +249,281 @@ router.post('/alerts/:alertId/cancel', auth, [
   }
 });
 
-// Get active alerts
-router.get('/alerts/active', auth, async (req, res) => {
+// Resolve alert (the emergency is over, or it was a false alarm)
+router.post('/alerts/:alertId/resolve', auth, [
+  param('alertId').isMongoId(),
+  body('outcome').optional().isIn(['resolved', 'false_alarm']),
+  body('note').optional().isLength({ max: 500 }).trim()
+], async (req, res) => {
   try {
-    const alerts = await SOSAlert.find({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { outcome = 'resolved', note } = req.body;
+
+    const alert = await SOSAlert.findOne({
+      _id: req.params.alertId,
       userId: req.user._id,
-      status: 'active'
-    })
-    .select('_id status emergencyType location createdAt')
-    .sort({ createdAt: -1 });
+      status: { $in: SOSAlert.OPEN_STATUSES }
+    });
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active alert not found'
+      });
+    }
+
+    const previousStatus = alert.status;
+    alert.status = outcome;
+    alert.resolvedAt = new Date();
+    alert.resolutionNote = note;
+    alert.timeline.push({
+      type: 'resolved',
+      at: alert.resolvedAt,
+      message: outcome === 'false_alarm' ? 'Marked as a false alarm' : 'Alert resolved',
+      data: { outcome, previousStatus, note: note || null }
+    });
+    await alert.save();
+
+    await dispatchService.cancelForAlert(alert._id);
+    await escalationService.advance(alert);
+    await liveTrackingService.endSession(alert);
+    await trackingTokenService.revokeForAlert(alert._id);
 
     res.json({
       success: true,
+      message: 'SOS alert resolved successfully',
       data: {
-        alerts: alerts.map(alert => ({
+        alert: {
           id: alert._id,
           status: alert.status,
-          emergencyType: alert.emergencyType,
-          location: alert.location,
-          createdAt: alert.createdAt
-        }))
+          resolvedAt: alert.resolvedAt,
+          resolutionNote: alert.resolutionNote
+        }
       }
     });
   } catch (error) {
-    console.error('Get active alerts error:', error);
+    console.error('Resolve alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get alert timeline (post-incident review)
+router.get('/alerts/:alertId/timeline', auth, [
+  param('alertId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const alert = await SOSAlert.findOne({ _id: req.params.alertId, userId: req.user._id })
+      .select('status timeline createdAt resolvedAt cancelledAt');
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    const timeline = alert.timeline
+      .map(event => event.toObject())
+      .sort((a, b) => a.at - b.at);
+
+    res.json({
+      success: true,
+      data: {
+        alertId: alert._id,
+        status: alert.status,
+        createdAt: alert.createdAt,
+        closedAt: alert.resolvedAt || alert.cancelledAt,
+        timeline
+      }
+    });
+  } catch (error) {
+    console.error('Get alert timeline error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Stream live positions into an alert's track (alert owner only)
+router.post('/alerts/:alertId/locations', auth, [
+  param('alertId').isMongoId(),
+  body('locations').optional().isArray({ min: 1, max: 100 }),
+  body('locations.*.latitude').optional().isFloat({ min: -90, max: 90 }),
+  body('locations.*.longitude').optional().isFloat({ min: -180, max: 180 }),
+  body('locations.*.timestamp').optional().isISO8601(),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }),
+  body('accuracy').optional().isFloat({ min: 0 }),
+  body('timestamp').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    // Either a batch of buffered positions or a single position
+    const positions = req.body.locations
+      || (req.body.latitude !== undefined && req.body.longitude !== undefined ? [req.body] : null);
+
+    if (!positions) {
+      return res.status(400).json({
+        success: false,
+        message: 'latitude and longitude, or a locations array, are required'
+      });
+    }
+
+    const result = await liveTrackingService.recordPositions(req.params.alertId, req.user._id, positions, { source: 'rest' });
+
+    res.status(201).json({
+      success: true,
+      message: 'Location recorded',
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof liveTrackingService.TrackingError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Record SOS location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get an alert's live position and breadcrumb trail (owner or app-user emergency contacts)
+router.get('/alerts/:alertId/track', auth, [
+  param('alertId').isMongoId(),
+  query('since').optional().isISO8601(),
+  query('limit').optional().isInt({ min: 1, max: 2000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const alert = await SOSAlert.findById(req.params.alertId);
+    if (!alert || !(await liveTrackingService.canView(alert, req.user._id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    const track = await liveTrackingService.getTrack(alert, {
+      since: req.query.since ? new Date(req.query.since) : null,
+      limit: parseInt(req.query.limit || '500')
+    });
+
+    res.json({
+      success: true,
+      data: track
+    });
+  } catch (error) {
+    console.error('Get SOS track error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get the user's escalation policy (the default ladder when none is configured)
+router.get('/escalation-policy', auth, async (req, res) => {
+  try {
+    const policy = await EscalationPolicy.findOne({ userId: req.user._id });
+
+    res.json({
+      success: true,
+      data: {
+        policy: {
+          steps: policy ? policy.steps : EscalationPolicy.DEFAULT_STEPS,
+          isDefault: !policy,
+          updatedAt: policy ? policy.updatedAt : null
+        },
+        targets: EscalationPolicy.TARGETS
+      }
+    });
+  } catch (error) {
+    console.error('Get escalation policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Replace the user's escalation policy
+router.put('/escalation-policy', auth, [
+  body('steps').isArray({ min: 1, max: 10 }),
+  body('steps.*.afterMinutes').isInt({ min: 0, max: 1440 }).toInt(),
+  body('steps.*.target').isIn(EscalationPolicy.TARGETS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const steps = req.body.steps.map(({ afterMinutes, target }) => ({ afterMinutes, target }));
+
+    const policy = await EscalationPolicy.findOneAndUpdate(
+      { userId: req.user._id },
+      { userId: req.user._id, steps: steps.sort((a, b) => a.afterMinutes - b.afterMinutes) },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Escalation policy updated successfully',
+      data: {
+        policy: {
+          steps: policy.steps,
+          isDefault: false,
+          updatedAt: policy.updatedAt
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Update escalation policy error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
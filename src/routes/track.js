@@ -0,0 +1,201 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const SOSAlert = require('../models/SOSAlert');
+const User = require('../models/User');
+const trackingTokenService = require('../services/trackingTokenService');
+
+const router = express.Router();
+
+// Public page: keep guessing and scraping expensive
+const trackLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 30, // limit each IP to 30 page loads per windowMs
+  message: 'Too many requests, please try again later.'
+});
+
+// Inline scripts are blocked by the default CSP, so the page refreshes itself via meta refresh
+const REFRESH_SECONDS = 30;
+
+const STATUS_LABELS = {
+  active: 'Needs help',
+  acknowledged: 'Acknowledged by a contact',
+  responder_en_route: 'Help is on the way',
+  resolved: 'Resolved',
+  false_alarm: 'False alarm',
+  cancelled: 'Cancelled'
+};
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const renderPage = ({ title, body, refresh = false }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex, nofollow">
+${refresh ? `<meta http-equiv="refresh" content="${REFRESH_SECONDS}">` : ''}
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: -apple-system, Roboto, Helvetica, Arial, sans-serif; margin: 0; background: #f5f5f5; color: #222; }
+  main { max-width: 560px; margin: 0 auto; padding: 16px; }
+  .card { background: #fff; border-radius: 8px; padding: 16px; margin-bottom: 12px; box-shadow: 0 1px 3px rgba(0,0,0,.12); }
+  .alert { border-left: 6px solid #d32f2f; }
+  .ended { border-left: 6px solid #757575; }
+  h1 { font-size: 1.3em; margin: 0 0 8px; }
+  .status { font-weight: bold; }
+  .button { display: inline-block; background: #d32f2f; color: #fff; padding: 10px 16px; border-radius: 6px; text-decoration: none; margin-top: 8px; }
+  .muted { color: #666; font-size: .9em; }
+  ul { padding-left: 18px; }
+</style>
+</head>
+<body><main>${body}</main></body>
+</html>`;
+
+const mapsUrl = ({ latitude, longitude }) => `https://www.google.com/maps?q=${latitude},${longitude}`;
+
+const sendMessagePage = (res, statusCode, title, message) => {
+  res.status(statusCode).type('html').send(renderPage({
+    title,
+    body: `<div class="card ended"><h1>${escapeHtml(title)}</h1><p>${escapeHtml(message)}</p></div>`
+  }));
+};
+
+const TRIP_STATUS_LABELS = {
+  scheduled: 'Not started yet',
+  active: 'On the way',
+  alert_triggered: 'Trip alert raised',
+  completed: 'Arrived',
+  missed: 'Trip did not start',
+  cancelled: 'Cancelled'
+};
+
+/**
+ * "Follow my trip" page for an emergency contact the trip was shared with
+ * GET /track/trip/:token
+ */
+router.get('/trip/:token', trackLimiter, async (req, res) => {
+  try {
+    res.set('Cache-Control', 'no-store');
+
+    const resolved = await trackingTokenService.resolveTrip(req.params.token);
+    if (!resolved || !resolved.share) {
+      return sendMessagePage(res, 404, 'Link not found', 'This trip link is not valid.');
+    }
+
+    const { trip, share } = resolved;
+    if (share.revokedAt || trip.isFinished()) {
+      return sendMessagePage(res, 410, 'This trip has ended',
+        trip.status === 'completed'
+          ? 'The traveller arrived at their destination. Trip sharing has stopped.'
+          : 'This trip is no longer shared with you.');
+    }
+
+    const user = await User.findById(trip.userId).select('name');
+    const name = user ? user.name : 'Your contact';
+    const position = trip.currentLocation;
+    const alerting = trip.status === 'alert_triggered';
+    // The live estimate once the trip has one, as app viewers see it
+    const expectedArrival = trip.predictedArrival || trip.endTime;
+
+    share.lastViewedAt = new Date();
+    await trip.save();
+
+    res.type('html').send(renderPage({
+      title: `Follow ${name}'s trip`,
+      refresh: true,
+      body: `
+<div class="card${alerting ? ' alert' : ''}">
+  <h1>${alerting ? '🚨 ' : ''}${escapeHtml(name)}: ${escapeHtml(trip.title)}</h1>
+  <p class="status">Status: ${escapeHtml(TRIP_STATUS_LABELS[trip.status])}</p>
+  <p>Heading to ${escapeHtml(trip.destination.name || trip.destination.address || `${trip.destination.latitude.toFixed(5)}, ${trip.destination.longitude.toFixed(5)}`)}</p>
+  <p class="muted">Expected to arrive by <time datetime="${escapeHtml(expectedArrival.toISOString())}">${escapeHtml(expectedArrival.toUTCString())}</time></p>
+</div>
+<div class="card">
+  <h1>Latest location</h1>
+  ${position ? `
+  <p>${escapeHtml(position.latitude.toFixed(5))}, ${escapeHtml(position.longitude.toFixed(5))} (${escapeHtml(Math.round(trip.calculateDistanceToDestination()))} m from the destination)</p>
+  <p class="muted">Updated <time datetime="${escapeHtml(trip.lastLocationUpdate.toISOString())}">${escapeHtml(trip.lastLocationUpdate.toUTCString())}</time></p>
+  <a class="button" href="${escapeHtml(mapsUrl(position))}" rel="noopener noreferrer">Open in Maps</a>` : '<p>No location shared yet.</p>'}
+</div>
+<div class="card">
+  <p class="muted">This page refreshes every ${REFRESH_SECONDS} seconds and stops working when the trip ends.</p>
+</div>`
+    }));
+  } catch (error) {
+    console.error('Trip tracking page error:', error);
+    sendMessagePage(res, 500, 'Something went wrong', 'Please try again in a moment.');
+  }
+});
+
+/**
+ * Live tracking page for an emergency contact
+ * GET /track/:token
+ */
+router.get('/:token', trackLimiter, async (req, res) => {
+  try {
+    res.set('Cache-Control', 'no-store');
+
+    const record = await trackingTokenService.resolve(req.params.token);
+    if (!record) {
+      return sendMessagePage(res, 404, 'Link not found', 'This tracking link is not valid.');
+    }
+
+    const alert = await SOSAlert.findById(record.alertId);
+    if (!alert || !record.isUsable() || !SOSAlert.OPEN_STATUSES.includes(alert.status)) {
+      const label = alert ? STATUS_LABELS[alert.status] : null;
+      return sendMessagePage(res, 410, 'This alert has ended',
+        label && !SOSAlert.OPEN_STATUSES.includes(alert.status)
+          ? `The emergency alert is no longer active (${label.toLowerCase()}). Live tracking has stopped.`
+          : 'This tracking link has expired. Live tracking has stopped.');
+    }
+
+    const user = await User.findById(alert.userId).select('name');
+    const name = user ? user.name : 'Your contact';
+    const last = alert.tracking && alert.tracking.lastLocation && alert.tracking.lastLocation.latitude !== undefined
+      ? alert.tracking.lastLocation
+      : null;
+    const position = last || { ...alert.location, recordedAt: alert.createdAt };
+
+    record.viewCount += 1;
+    record.lastViewedAt = new Date();
+    await record.save();
+
+    const responders = alert.acknowledgements.length;
+
+    res.type('html').send(renderPage({
+      title: `${name} needs help`,
+      refresh: true,
+      body: `
+<div class="card alert">
+  <h1>🚨 ${escapeHtml(name)} needs help</h1>
+  <p class="status">Status: ${escapeHtml(STATUS_LABELS[alert.status])}</p>
+  <p>${escapeHtml(alert.message)}</p>
+  <p class="muted">Alert raised <time datetime="${escapeHtml(alert.createdAt.toISOString())}">${escapeHtml(alert.createdAt.toUTCString())}</time></p>
+</div>
+<div class="card">
+  <h1>${last ? 'Live location' : 'Location when the alert was raised'}</h1>
+  <p>${escapeHtml(position.latitude.toFixed(5))}, ${escapeHtml(position.longitude.toFixed(5))}${position.accuracy ? ` (±${escapeHtml(Math.round(position.accuracy))} m)` : ''}</p>
+  ${!last && alert.location.address ? `<p>${escapeHtml(alert.location.address)}</p>` : ''}
+  <p class="muted">Updated <time datetime="${escapeHtml(new Date(position.recordedAt).toISOString())}">${escapeHtml(new Date(position.recordedAt).toUTCString())}</time></p>
+  <a class="button" href="${escapeHtml(mapsUrl(position))}" rel="noopener noreferrer">Open in Maps</a>
+</div>
+<div class="card">
+  <ul>
+    <li>${responders === 0 ? 'No one has responded yet.' : `${responders} contact${responders === 1 ? ' has' : 's have'} responded.`}</li>
+    <li>If you believe they are in immediate danger, call your local emergency number.</li>
+  </ul>
+  <p class="muted">This page refreshes every ${REFRESH_SECONDS} seconds and stops working when the alert ends.</p>
+</div>`
+    }));
+  } catch (error) {
+    console.error('Tracking page error:', error);
+    sendMessagePage(res, 500, 'Something went wrong', 'Please try again in a moment.');
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,12 @@
 const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
 const TripEvent = require('../models/TripEvent');
+const User = require('../models/User');
 const auth = require('../middleware/auth');
+const tripLifecycleService = require('../services/tripLifecycleService');
+const tripSharingService = require('../services/tripSharingService');
+const routingService = require('../services/routingService');
+const { decodePolyline } = require('../utils/polyline');
 const rateLimit = require('express-rate-limit');
 
 const router = express.Router();
@@ -10,6 +15,20 @@ const router = express.Router();
 const tripEventLimiter = rateLimit({ windowMs: 15*60*1000, max: 50, message: { success: false, message: 'Too many trip event requests, try later' } });
 router.use(tripEventLimiter);
 
+// Encoded polyline as returned by POST /map/route, plus the corridor around it
+const isPolyline = v => { try { return decodePolyline(v).length >= 2; } catch (e) { return false; } };
+function plannedRouteValidation(prefix, optional) {
+  const polyline = body(`${prefix}polyline`);
+  return [
+    (optional ? polyline.optional() : polyline).isString().custom(isPolyline).withMessage('Must be an encoded polyline with at least two points'),
+    body(`${prefix}corridorWidthMeters`).optional().isInt({ min:25, max:2000 }).toInt(),
+    body(`${prefix}maxOffRouteFixes`).optional().isInt({ min:1, max:20 }).toInt()
+  ];
+}
+
+// Road network profile used to plan a trip's route for each travel mode
+const ROUTING_MODES = { walking: 'walking', cycling: 'cycling', driving: 'driving', public_transport: 'driving', other: 'driving' };
+
 const tripEventValidation = [
   body('title').notEmpty().withMessage('Title is required').isLength({ min:1, max:200 }).trim(),
   body('startTime').isISO8601().withMessage('Start time must be ISO8601').custom(v => { const d = new Date(v); const oneYearAgo = new Date(); oneYearAgo.setFullYear(oneYearAgo.getFullYear()-1); if (d < oneYearAgo) throw new Error('Start time cannot be more than 1 year in the past'); return true; }),
@@ -19,7 +38,9 @@ const tripEventValidation = [
   body('notes').optional().isLength({ max:1000 }).trim(),
   body('travelMode').optional().isIn(['walking','driving','public_transport','cycling','other']),
   body('alertThresholds.locationTimeoutMinutes').optional().isInt({ min:5, max:180 }),
-  body('alertThresholds.destinationToleranceMeters').optional().isInt({ min:50, max:5000 })
+  body('alertThresholds.destinationToleranceMeters').optional().isInt({ min:50, max:5000 }),
+  body('alertThresholds.lateMarginMinutes').optional().isInt({ min:5, max:120 }),
+  ...plannedRouteValidation('plannedRoute.', true)
 ];
 
 // Create
@@ -27,8 +48,9 @@ router.post('/create', auth, tripEventValidation, async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) return res.status(400).json({ success:false, message:'Validation errors', errors: errors.array() });
   try {
-    const { title, startTime, endTime, destination, notes, travelMode, alertThresholds } = req.body;
-    const trip = new TripEvent({ userId: req.user._id, title, startTime: new Date(startTime), endTime: new Date(endTime), destination, notes, travelMode: travelMode || 'other', alertThresholds: alertThresholds || undefined });
+    const { title, startTime, endTime, destination, notes, travelMode, alertThresholds, plannedRoute } = req.body;
+    const route = plannedRoute && plannedRoute.polyline ? { polyline: plannedRoute.polyline, source: 'client', corridorWidthMeters: plannedRoute.corridorWidthMeters, maxOffRouteFixes: plannedRoute.maxOffRouteFixes } : null;
+    const trip = new TripEvent({ userId: req.user._id, title, startTime: new Date(startTime), endTime: new Date(endTime), destination, notes, travelMode: travelMode || 'other', alertThresholds: alertThresholds || undefined, plannedRoute: route });
     await trip.save();
     return res.status(201).json({ success:true, message:'Trip event created', data: { tripEvent: trip } });
   } catch (err) {
@@ -43,15 +65,75 @@ router.get('/user/:userId?', auth, [ param('userId').optional().isMongoId(), que
   if (!errors.isEmpty()) return res.status(400).json({ success:false, message:'Validation errors', errors: errors.array() });
   try {
     const userId = req.params.userId || req.user._id;
-    if (userId.toString() !== req.user._id.toString()) return res.status(403).json({ success:false, message:'Access denied' });
     const { status, limit = 20, offset = 0 } = req.query;
     const q = { userId, isActive: true }; if (status) q.status = status;
+    if (userId.toString() !== req.user._id.toString()) {
+      // Another user's trips: only those they currently share with the requester, as read-only views
+      q.status = { $nin: TripEvent.ENDED_STATUSES, ...(status ? { $eq: status } : {}) };
+      q.sharedWith = { $elemMatch: { userId: req.user._id, revokedAt: null } };
+      const shared = await TripEvent.find(q).sort({ startTime:-1 }).limit(parseInt(limit)).skip(parseInt(offset));
+      const total = await TripEvent.countDocuments(q);
+      const ownerName = shared.length > 0 ? await tripSharingService.ownerName(shared[0]) : null;
+      return res.json({ success:true, message:'Shared trip events retrieved', data: { tripEvents: shared.map(t => tripSharingService.viewerView(t, ownerName)), pagination: { total, limit: parseInt(limit), offset: parseInt(offset), hasMore: total > parseInt(offset) + shared.length } } });
+    }
     const trips = await TripEvent.find(q).sort({ startTime:-1 }).limit(parseInt(limit)).skip(parseInt(offset));
     const total = await TripEvent.countDocuments(q);
     return res.json({ success:true, message:'Trip events retrieved', data: { tripEvents: trips, pagination: { total, limit: parseInt(limit), offset: parseInt(offset), hasMore: total > parseInt(offset) + trips.length } } });
   } catch (err) { console.error('Get trip events error:', err); return res.status(500).json({ success:false, message:'Internal server error' }); }
 });
 
+// Trips other users currently share with me
+router.get('/shared', auth, async (req, res) => {
+  try {
+    const trips = await TripEvent.find({ isActive: true, status: { $nin: TripEvent.ENDED_STATUSES }, sharedWith: { $elemMatch: { userId: req.user._id, revokedAt: null } } }).sort({ startTime: 1 }).limit(100);
+    const owners = await User.find({ _id: { $in: trips.map(t => t.userId) } }).select('name');
+    const names = new Map(owners.map(o => [String(o._id), o.name]));
+    return res.json({ success:true, message:'Shared trips', data: { tripEvents: trips.map(t => tripSharingService.viewerView(t, names.get(String(t.userId)) || 'Deleted user')), count: trips.length } });
+  } catch (err) { console.error('Get shared trips error:', err); return res.status(500).json({ success:false, message:'Internal server error' }); }
+});
+
+// Read-only view of a trip shared with me
+router.get('/shared/:tripId', auth, [ param('tripId').isMongoId() ], async (req, res) => {
+  const errors = validationResult(req); if (!errors.isEmpty()) return res.status(400).json({ success:false, message:'Validation errors', errors: errors.array() });
+  try {
+    const trip = await TripEvent.findById(req.params.tripId);
+    if (!trip || !trip.isSharedWithUser(req.user._id)) return res.status(404).json({ success:false, message:'Trip event not found' });
+    const share = trip.sharedWith.find(s => s.userId && String(s.userId) === String(req.user._id) && !s.revokedAt);
+    share.lastViewedAt = new Date(); await trip.save();
+    return res.json({ success:true, message:'Shared trip retrieved', data: { tripEvent: tripSharingService.viewerView(trip, await tripSharingService.ownerName(trip)) } });
+  } catch (err) { console.error('Get shared trip error:', err); return res.status(500).json({ success:false, message:'Internal server error' }); }
+});
+
+// Share a trip with emergency contacts (tracking link by SMS) and/or group members (in the app)
+router.post('/:tripId/share', auth, [ param('tripId').isMongoId(), body('contactIds').optional().isArray({ max: 20 }), body('contactIds.*').isMongoId(), body('userIds').optional().isArray({ max: 50 }), body('userIds.*').isMongoId() ], async (req, res) => {
+  const errors = validationResult(req); if (!errors.isEmpty()) return res.status(400).json({ success:false, message:'Validation errors', errors: errors.array() });
+  try {
+    const { contactIds = [], userIds = [] } = req.body;
+    if (contactIds.length + userIds.length === 0) return res.status(400).json({ success:false, message:'Provide contactIds or userIds to share with' });
+    const trip = await TripEvent.findOne({ _id: req.params.tripId, userId: req.user._id, isActive: true });
+    if (!trip) return res.status(404).json({ success:false, message:'Trip event not found' });
+    const added = await tripSharingService.share(trip, req.user, { contactIds, userIds });
+    return res.status(added.length > 0 ? 201 : 200).json({ success:true, message: added.length > 0 ? `Trip shared with ${added.length} viewer(s)` : 'Trip already shared with everyone listed', data: { sharedWith: trip.activeShares() } });
+  } catch (err) {
+    if (err instanceof tripSharingService.TripSharingError) return res.status(err.statusCode).json({ success:false, message: err.message });
+    console.error('Share trip error:', err); return res.status(500).json({ success:false, message:'Internal server error' });
+  }
+});
+
+// Stop sharing a trip with one viewer
+router.delete('/:tripId/share/:shareId', auth, [ param('tripId').isMongoId(), param('shareId').isMongoId() ], async (req, res) => {
+  const errors = validationResult(req); if (!errors.isEmpty()) return res.status(400).json({ success:false, message:'Validation errors', errors: errors.array() });
+  try {
+    const trip = await TripEvent.findOne({ _id: req.params.tripId, userId: req.user._id, isActive: true });
+    if (!trip) return res.status(404).json({ success:false, message:'Trip event not found' });
+    await tripSharingService.unshare(trip, req.params.shareId);
+    return res.json({ success:true, message:'Trip no longer shared with this viewer', data: { sharedWith: trip.activeShares() } });
+  } catch (err) {
+    if (err instanceof tripSharingService.TripSharingError) return res.status(err.statusCode).json({ success:false, message: err.message });
+    console.error('Unshare trip error:', err); return res.status(500).json({ success:false, message:'Internal server error' });
+  }
+});
+
 // Get specific trip
 router.get('/:tripId', auth, [ param('tripId').isMongoId() ], async (req, res) => {
   const errors = validationResult(req); if (!errors.isEmpty()) return res.status(400).json({ success:false, message:'Validation errors', errors: errors.array() });
@@ -69,33 +151,83 @@ router.patch('/update/:tripId', auth, [ param('tripId').isMongoId() ], async (re
     const trip = await TripEvent.findOne({ _id: req.params.tripId, userId: req.user._id, isActive: true });
     if (!trip) return res.status(404).json({ success:false, message:'Trip event not found' });
     if (['completed','cancelled'].includes(trip.status)) return res.status(400).json({ success:false, message:'Cannot update completed or cancelled trips' });
-    const allowed = ['title','startTime','endTime','destination','notes','travelMode','status','alertThresholds'];
+    const allowed = ['title','startTime','endTime','destination','notes','travelMode','alertThresholds'];
+    // Moving the end of a running trip is an extension; history still judges arrival by the first plan
+    if (req.body.endTime !== undefined && ['active','alert_triggered'].includes(trip.status) && !trip.originalEndTime) trip.originalEndTime = trip.endTime;
     allowed.forEach(f => { if (req.body[f] !== undefined) { trip[f] = (f==='startTime' || f==='endTime') ? new Date(req.body[f]) : req.body[f]; } });
-    if (req.body.status) { trip.updateStatus(req.body.status); }
-    await trip.save();
+    // Status changes archive ended trips and tell the owner's devices and shared viewers
+    if (req.body.status) await tripLifecycleService.transition(trip, req.body.status);
+    else await trip.save();
     return res.json({ success:true, message:'Trip event updated', data: { tripEvent: trip } });
   } catch (err) { console.error('Update trip event error:', err); return res.status(500).json({ success:false, message:'Internal server error' }); }
 });
 
 // Update location
-router.patch('/location/:tripId', auth, [ param('tripId').isMongoId(), body('latitude').isFloat({ min:-90, max:90 }), body('longitude').isFloat({ min:-180, max:180 }) ], async (req, res) => {
+router.patch('/location/:tripId', auth, [ param('tripId').isMongoId(), body('latitude').isFloat({ min:-90, max:90 }).toFloat(), body('longitude').isFloat({ min:-180, max:180 }).toFloat(), body('accuracy').optional().isFloat({ min:0 }).toFloat() ], async (req, res) => {
   const errors = validationResult(req); if (!errors.isEmpty()) return res.status(400).json({ success:false, message:'Validation errors', errors: errors.array() });
   try {
     const trip = await TripEvent.findOne({ _id: req.params.tripId, userId: req.user._id, isActive: true });
     if (!trip) return res.status(404).json({ success:false, message:'Trip event not found' });
-    if (trip.status !== 'active') return res.status(400).json({ success:false, message:'Can only update location for active trips' });
-    const { latitude, longitude, address, name } = req.body; trip.updateLocation(latitude, longitude, address, name); await trip.save();
-    return res.json({ success:true, message:'Trip location updated', data: { currentLocation: trip.currentLocation, lastLocationUpdate: trip.lastLocationUpdate, distanceToDestination: trip.calculateDistanceToDestination() } });
+    if (!['active','alert_triggered'].includes(trip.status)) return res.status(400).json({ success:false, message:'Can only update location for active trips' });
+    const { latitude, longitude, accuracy, address, name } = req.body;
+    const completed = await tripLifecycleService.recordLocation(trip, { latitude, longitude, accuracy, address, name });
+    return res.json({ success:true, message: completed ? 'Arrived at destination; trip completed' : 'Trip location updated', data: { status: trip.status, currentLocation: trip.currentLocation, lastLocationUpdate: trip.lastLocationUpdate, distanceToDestination: trip.calculateDistanceToDestination(), predictedArrival: trip.predictedArrival, runningLate: trip.isRunningLate() } });
   } catch (err) { console.error('Update trip location error:', err); return res.status(500).json({ success:false, message:'Internal server error' }); }
 });
 
+// Set the planned route: a polyline from POST /map/route (or the client's own), or planned here from an origin
+router.put('/:tripId/route', auth, [ param('tripId').isMongoId(), ...plannedRouteValidation('', true), body('origin.latitude').optional().isFloat({ min:-90, max:90 }).toFloat(), body('origin.longitude').optional().isFloat({ min:-180, max:180 }).toFloat(), body('routeType').optional().isIn(['fastest','safest','shortest']) ], async (req, res) => {
+  const errors = validationResult(req); if (!errors.isEmpty()) return res.status(400).json({ success:false, message:'Validation errors', errors: errors.array() });
+  try {
+    const { polyline, origin, routeType = 'safest', corridorWidthMeters, maxOffRouteFixes } = req.body;
+    if (!polyline && !(origin && origin.latitude !== undefined && origin.longitude !== undefined)) return res.status(400).json({ success:false, message:'Provide a polyline or an origin to plan the route from' });
+    const trip = await TripEvent.findOne({ _id: req.params.tripId, userId: req.user._id, isActive: true });
+    if (!trip) return res.status(404).json({ success:false, message:'Trip event not found' });
+    if (trip.isFinished()) return res.status(400).json({ success:false, message:'Cannot change the route of an ended trip' });
+    let route = { polyline, source: 'client' };
+    let planned = null;
+    if (!polyline) {
+      const { points, ...found } = await routingService.findRoute({ origin, destination: trip.destination, routeType, travelMode: ROUTING_MODES[trip.travelMode] || 'driving' });
+      route = { polyline: found.polyline, source: 'map_route' };
+      planned = { distance: found.distance, duration: found.duration, routeType: found.routeType };
+    }
+    trip.plannedRoute = { ...route, corridorWidthMeters, maxOffRouteFixes };
+    trip.routeDeviation = { consecutiveOffRoute: 0, lastDistanceMeters: null, alertedAt: null };
+    trip.syncVersion += 1;
+    await trip.save();
+    return res.json({ success:true, message:'Planned route saved', data: { plannedRoute: trip.plannedRoute, route: planned } });
+  } catch (err) {
+    if (err instanceof routingService.RoutingError) return res.status(err.statusCode).json({ success:false, message: err.message });
+    console.error('Set trip route error:', err); return res.status(500).json({ success:false, message:'Internal server error' });
+  }
+});
+
+// Extend a running trip, e.g. when prompted that it is running late
+router.post('/:tripId/extend', auth, [ param('tripId').isMongoId(), body('minutes').optional().isInt({ min:5, max:720 }).toInt(), body('endTime').optional().isISO8601() ], async (req, res) => {
+  const errors = validationResult(req); if (!errors.isEmpty()) return res.status(400).json({ success:false, message:'Validation errors', errors: errors.array() });
+  try {
+    const { minutes, endTime } = req.body;
+    if ((minutes === undefined) === (endTime === undefined)) return res.status(400).json({ success:false, message:'Provide either minutes or endTime' });
+    const trip = await TripEvent.findOne({ _id: req.params.tripId, userId: req.user._id, isActive: true });
+    if (!trip) return res.status(404).json({ success:false, message:'Trip event not found' });
+    if (!['active','alert_triggered'].includes(trip.status)) return res.status(400).json({ success:false, message:'Can only extend active trips' });
+    const newEnd = endTime ? new Date(endTime) : new Date(trip.endTime.getTime() + minutes * 60 * 1000);
+    if (newEnd <= trip.endTime || newEnd <= new Date()) return res.status(400).json({ success:false, message:'The new end time must be later than the current one and in the future' });
+    await tripLifecycleService.extend(trip, newEnd);
+    return res.json({ success:true, message:'Trip extended', data: { endTime: trip.endTime, predictedArrival: trip.predictedArrival, runningLate: trip.isRunningLate() } });
+  } catch (err) { console.error('Extend trip event error:', err); return res.status(500).json({ success:false, message:'Internal server error' }); }
+});
+
 // Delete (soft)
 router.delete('/:tripId', auth, [ param('tripId').isMongoId() ], async (req, res) => {
   const errors = validationResult(req); if (!errors.isEmpty()) return res.status(400).json({ success:false, message:'Validation errors', errors: errors.array() });
   try {
     const trip = await TripEvent.findOne({ _id: req.params.tripId, userId: req.user._id, isActive: true });
     if (!trip) return res.status(404).json({ success:false, message:'Trip event not found' });
-    trip.isActive = false; trip.updateStatus('cancelled'); await trip.save();
+    // Cancel while still active, so the viewers it is shared with are told before it is hidden
+    await tripLifecycleService.transition(trip, 'cancelled');
+    trip.isActive = false;
+    await trip.save();
     return res.json({ success:true, message:'Trip event deleted' });
   } catch (err) { console.error('Delete trip event error:', err); return res.status(500).json({ success:false, message:'Internal server error' }); }
 });
@@ -0,0 +1,268 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const TripRecurrence = require('../models/TripRecurrence');
+const auth = require('../middleware/auth');
+const tripPlanningService = require('../services/tripPlanningService');
+const recurrence = require('../utils/recurrence');
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['templateId', 'rrule', 'startDate', 'startTime', 'durationMinutes', 'timeZone', 'isPaused'];
+
+// Upcoming occurrences shown with a recurrence
+const PREVIEW_DAYS = 14;
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation error',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const sendError = (res, error, context) => {
+  if (error instanceof tripPlanningService.TripPlanningError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(e => ({ field: e.path, message: e.message }))
+    });
+  }
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error'
+  });
+};
+
+const dateParam = (chain) => chain.custom(value => {
+  if (!recurrence.isValidDate(value)) throw new Error('Date must be YYYY-MM-DD');
+  return true;
+});
+
+// Shared by create (required fields) and update (everything optional)
+const recurrenceValidation = (optional) => {
+  const field = (chain) => optional ? chain.optional() : chain;
+  return [
+    field(body('templateId')).isMongoId(),
+    field(body('rrule')).isString().custom(value => {
+      if (!recurrence.parseRule(value)) {
+        throw new Error('Unsupported rule; use FREQ=DAILY or FREQ=WEEKLY with optional INTERVAL, BYDAY, UNTIL and COUNT');
+      }
+      return true;
+    }),
+    dateParam(field(body('startDate'))),
+    field(body('startTime')).matches(recurrence.TIME_PATTERN).withMessage('startTime must be HH:MM'),
+    field(body('timeZone')).custom(value => {
+      if (!recurrence.isValidTimeZone(value)) throw new Error('Unknown time zone');
+      return true;
+    }),
+    body('durationMinutes').optional().isInt({ min: 5, max: 24 * 60 }).toInt(),
+    body('exceptions').optional().isArray({ max: 366 }),
+    dateParam(body('exceptions.*').optional()),
+    body('isPaused').optional().isBoolean().toBoolean()
+  ];
+};
+
+const withPreview = (item) => {
+  const now = new Date();
+  return {
+    ...item.toJSON(),
+    upcoming: item.isPaused ? [] : item.occurrencesBetween(now, new Date(now.getTime() + PREVIEW_DAYS * 24 * 60 * 60 * 1000))
+  };
+};
+
+/**
+ * List the user's recurring trips
+ * GET /api/v1/trip-recurrences
+ */
+router.get('/', auth, [
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { limit = 20, offset = 0 } = req.query;
+    const filter = { userId: req.user._id };
+    const [recurrences, total] = await Promise.all([
+      TripRecurrence.find(filter).sort({ createdAt: -1 }).skip(offset).limit(limit),
+      TripRecurrence.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        recurrences,
+        pagination: {
+          total,
+          limit,
+          offset,
+          hasMore: total > offset + recurrences.length
+        }
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'List recurring trips');
+  }
+});
+
+/**
+ * Repeat a trip template on a schedule, e.g. weekdays at 08:00 Europe/London
+ * POST /api/v1/trip-recurrences
+ */
+router.post('/', auth, recurrenceValidation(false), async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const fields = {};
+    [...EDITABLE_FIELDS, 'exceptions'].forEach(key => { if (req.body[key] !== undefined) fields[key] = req.body[key]; });
+    const created = await tripPlanningService.createRecurrence(req.user._id, fields);
+
+    res.status(201).json({
+      success: true,
+      message: 'Recurring trip created',
+      data: {
+        recurrence: withPreview(created)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Create recurring trip');
+  }
+});
+
+/**
+ * Get a recurring trip with its upcoming occurrences
+ * GET /api/v1/trip-recurrences/:recurrenceId
+ */
+router.get('/:recurrenceId', auth, [
+  param('recurrenceId').isMongoId()
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const found = await tripPlanningService.findRecurrence(req.user._id, req.params.recurrenceId);
+
+    res.json({
+      success: true,
+      data: {
+        recurrence: withPreview(found)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Get recurring trip');
+  }
+});
+
+/**
+ * Change the schedule, template or pause state. Upcoming trips are re-created to match.
+ * PATCH /api/v1/trip-recurrences/:recurrenceId
+ */
+router.patch('/:recurrenceId', auth, [
+  param('recurrenceId').isMongoId(),
+  ...recurrenceValidation(true)
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const found = await tripPlanningService.findRecurrence(req.user._id, req.params.recurrenceId);
+    const changes = {};
+    [...EDITABLE_FIELDS, 'exceptions'].forEach(key => { if (req.body[key] !== undefined) changes[key] = req.body[key]; });
+    const updated = await tripPlanningService.updateRecurrence(found, changes);
+
+    res.json({
+      success: true,
+      message: 'Recurring trip updated',
+      data: {
+        recurrence: withPreview(updated)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Update recurring trip');
+  }
+});
+
+/**
+ * Skip one occurrence
+ * POST /api/v1/trip-recurrences/:recurrenceId/exceptions
+ */
+router.post('/:recurrenceId/exceptions', auth, [
+  param('recurrenceId').isMongoId(),
+  dateParam(body('date'))
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const found = await tripPlanningService.findRecurrence(req.user._id, req.params.recurrenceId);
+    const updated = await tripPlanningService.addException(found, req.body.date);
+
+    res.json({
+      success: true,
+      message: `Trip on ${req.body.date} skipped`,
+      data: {
+        recurrence: withPreview(updated)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Add recurring trip exception');
+  }
+});
+
+/**
+ * Restore a skipped occurrence
+ * DELETE /api/v1/trip-recurrences/:recurrenceId/exceptions/:date
+ */
+router.delete('/:recurrenceId/exceptions/:date', auth, [
+  param('recurrenceId').isMongoId(),
+  dateParam(param('date'))
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const found = await tripPlanningService.findRecurrence(req.user._id, req.params.recurrenceId);
+    const updated = await tripPlanningService.removeException(found, req.params.date);
+
+    res.json({
+      success: true,
+      message: `Trip on ${req.params.date} restored`,
+      data: {
+        recurrence: withPreview(updated)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Remove recurring trip exception');
+  }
+});
+
+/**
+ * Stop repeating a trip. Upcoming scheduled trips are removed; past trips stay in history.
+ * DELETE /api/v1/trip-recurrences/:recurrenceId
+ */
+router.delete('/:recurrenceId', auth, [
+  param('recurrenceId').isMongoId()
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const found = await tripPlanningService.findRecurrence(req.user._id, req.params.recurrenceId);
+    await tripPlanningService.deleteRecurrence(found);
+
+    res.json({
+      success: true,
+      message: 'Recurring trip deleted'
+    });
+  } catch (error) {
+    sendError(res, error, 'Delete recurring trip');
+  }
+});
+
+module.exports = router;
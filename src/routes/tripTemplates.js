@@ -0,0 +1,222 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const TripTemplate = require('../models/TripTemplate');
+const auth = require('../middleware/auth');
+const tripPlanningService = require('../services/tripPlanningService');
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['name', 'title', 'destination', 'travelMode', 'notes', 'durationMinutes', 'alertThresholds'];
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation error',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const sendError = (res, error, context) => {
+  if (error instanceof tripPlanningService.TripPlanningError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(e => ({ field: e.path, message: e.message }))
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'You already have a trip template with this name'
+    });
+  }
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error'
+  });
+};
+
+// Shared by create (required fields) and update (everything optional)
+const templateValidation = (optional) => {
+  const field = (chain) => optional ? chain.optional() : chain;
+  return [
+    field(body('name')).isLength({ min: 1, max: 100 }).trim(),
+    body('title').optional().isLength({ min: 1, max: 200 }).trim(),
+    field(body('destination.latitude')).isFloat({ min: -90, max: 90 }).toFloat(),
+    field(body('destination.longitude')).isFloat({ min: -180, max: 180 }).toFloat(),
+    body('destination.address').optional().isLength({ max: 500 }).trim(),
+    body('destination.name').optional().isLength({ max: 100 }).trim(),
+    body('travelMode').optional().isIn(TripTemplate.TRAVEL_MODES),
+    body('notes').optional().isLength({ max: 1000 }).trim(),
+    body('durationMinutes').optional().isInt({ min: 5, max: 24 * 60 }).toInt(),
+    body('alertThresholds.locationTimeoutMinutes').optional().isInt({ min: 5, max: 180 }).toInt(),
+    body('alertThresholds.destinationToleranceMeters').optional().isInt({ min: 50, max: 5000 }).toInt(),
+    body('alertThresholds.lateMarginMinutes').optional().isInt({ min: 5, max: 120 }).toInt()
+  ];
+};
+
+/**
+ * List the user's trip templates
+ * GET /api/v1/trip-templates
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const templates = await TripTemplate.find({ userId: req.user._id }).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        templates,
+        count: templates.length
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'List trip templates');
+  }
+});
+
+/**
+ * Save a trip template
+ * POST /api/v1/trip-templates
+ */
+router.post('/', auth, templateValidation(false), async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const fields = {};
+    EDITABLE_FIELDS.forEach(key => { if (req.body[key] !== undefined) fields[key] = req.body[key]; });
+    const template = await TripTemplate.create({ ...fields, userId: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Trip template saved',
+      data: {
+        template
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Create trip template');
+  }
+});
+
+/**
+ * Get a trip template
+ * GET /api/v1/trip-templates/:templateId
+ */
+router.get('/:templateId', auth, [
+  param('templateId').isMongoId()
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const template = await tripPlanningService.findTemplate(req.user._id, req.params.templateId);
+
+    res.json({
+      success: true,
+      data: {
+        template
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Get trip template');
+  }
+});
+
+/**
+ * Update a trip template. Recurring trips pick up the changes for occurrences not yet created.
+ * PATCH /api/v1/trip-templates/:templateId
+ */
+router.patch('/:templateId', auth, [
+  param('templateId').isMongoId(),
+  ...templateValidation(true)
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const template = await tripPlanningService.findTemplate(req.user._id, req.params.templateId);
+    EDITABLE_FIELDS.forEach(key => {
+      if (req.body[key] === undefined) return;
+      if (key === 'destination' || key === 'alertThresholds') {
+        // Merge partial updates of nested fields
+        template[key] = { ...(template[key] ? template[key].toObject() : {}), ...req.body[key] };
+      } else {
+        template[key] = req.body[key];
+      }
+    });
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Trip template updated',
+      data: {
+        template
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Update trip template');
+  }
+});
+
+/**
+ * Delete a trip template that no recurring trip uses
+ * DELETE /api/v1/trip-templates/:templateId
+ */
+router.delete('/:templateId', auth, [
+  param('templateId').isMongoId()
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const template = await tripPlanningService.findTemplate(req.user._id, req.params.templateId);
+    await tripPlanningService.deleteTemplate(template);
+
+    res.json({
+      success: true,
+      message: 'Trip template deleted'
+    });
+  } catch (error) {
+    sendError(res, error, 'Delete trip template');
+  }
+});
+
+/**
+ * Create a trip from a template. startTime defaults to now, endTime to the template's duration after it.
+ * POST /api/v1/trip-templates/:templateId/instantiate
+ */
+router.post('/:templateId/instantiate', auth, [
+  param('templateId').isMongoId(),
+  body('startTime').optional().isISO8601(),
+  body('endTime').optional().isISO8601(),
+  body('title').optional().isLength({ min: 1, max: 200 }).trim(),
+  body('notes').optional().isLength({ max: 1000 }).trim()
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const template = await tripPlanningService.findTemplate(req.user._id, req.params.templateId);
+    const { startTime, endTime, title, notes } = req.body;
+    const trip = await tripPlanningService.instantiateTemplate(template, { startTime, endTime, title, notes });
+
+    res.status(201).json({
+      success: true,
+      message: 'Trip event created',
+      data: {
+        tripEvent: trip
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Instantiate trip template');
+  }
+});
+
+module.exports = router;
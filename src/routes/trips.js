@@ -2,6 +2,8 @@ const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
 const TripHistory = require('../models/TripHistory');
 const auth = require('../middleware/auth');
+const tripHistoryService = require('../services/tripHistoryService');
+const { isValidTimeZone } = require('../utils/recurrence');
 const rateLimit = require('express-rate-limit');
 
 const router = express.Router();
@@ -33,20 +35,54 @@ router.post('/', auth, createValidation, async (req, res) => {
   }
 });
 
-// Fetch user trips (with optional limit)
-router.get('/user/:userId?', auth, [ param('userId').optional().isMongoId(), query('limit').optional().isInt({ min:1, max:200 }) ], async (req, res) => {
+const rangeValidation = [
+  query('from').optional().isISO8601().toDate(),
+  query('to').optional().isISO8601().toDate()
+];
+
+// Fetch user trips, newest first, filtered by status, travel mode and start time range
+router.get('/user/:userId?', auth, [ param('userId').optional().isMongoId(), query('status').optional().isIn(['completed','missed','cancelled']), query('travelMode').optional().isIn(['walking','driving','public_transport','cycling','other']), ...rangeValidation, query('limit').optional().isInt({ min:1, max:200 }).toInt(), query('offset').optional().isInt({ min:0 }).toInt() ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) return res.status(400).json({ success:false, message:'Validation errors', errors: errors.array() });
   try {
     const userId = req.params.userId || req.user._id;
     if (userId.toString() !== req.user._id.toString()) return res.status(403).json({ success:false, message:'Access denied' });
-    const limit = parseInt(req.query.limit || '20');
-    const trips = await TripHistory.find({ userId }).sort({ startTime: -1 }).limit(limit);
-    return res.json({ success:true, message:'Trip history retrieved', data: { trips } });
+    const { status, travelMode, from, to, limit = 20, offset = 0 } = req.query;
+    const { trips, pagination } = await tripHistoryService.list(userId, { status, travelMode, from, to, limit, offset });
+    return res.json({ success:true, message:'Trip history retrieved', data: { trips, pagination } });
   } catch (err) {
     console.error('Fetch trip history error:', err);
     return res.status(500).json({ success:false, message:'Internal server error' });
   }
 });
 
+// Trips per month, on-time rate and distance by travel mode; defaults to the last 12 months
+router.get('/stats', auth, [ ...rangeValidation, query('timeZone').optional().custom(v => { if (!isValidTimeZone(v)) throw new Error('Unknown time zone'); return true; }) ], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ success:false, message:'Validation errors', errors: errors.array() });
+  try {
+    const { from, to, timeZone } = req.query;
+    if (from && to && from > to) return res.status(400).json({ success:false, message:'from must be before to' });
+    const stats = await tripHistoryService.stats(req.user._id, { from, to, timeZone });
+    return res.json({ success:true, message:'Trip stats retrieved', data: { stats } });
+  } catch (err) {
+    console.error('Trip stats error:', err);
+    return res.status(500).json({ success:false, message:'Internal server error' });
+  }
+});
+
+// Fetch one trip with its recorded track and alerts
+router.get('/:tripId', auth, [ param('tripId').isMongoId() ], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ success:false, message:'Validation errors', errors: errors.array() });
+  try {
+    const trip = await TripHistory.findOne({ _id: req.params.tripId, userId: req.user._id });
+    if (!trip) return res.status(404).json({ success:false, message:'Trip not found' });
+    return res.json({ success:true, message:'Trip retrieved', data: { trip } });
+  } catch (err) {
+    console.error('Fetch trip error:', err);
+    return res.status(500).json({ success:false, message:'Internal server error' });
+  }
+});
+
 module.exports = router;
@@ -3,9 +3,23 @@ const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const DeviceToken = require('../models/DeviceToken');
 const auth = require('../middleware/auth');
+const privacyService = require('../services/privacyService');
 
 const router = express.Router();
 
+// Longest "share with everyone" override a user can set, in minutes
+const MAX_SHARE_WITH_EVERYONE_MINUTES = 24 * 60;
+
+const privacyResponse = (user) => {
+  const until = user.privacy && user.privacy.shareWithEveryoneUntil;
+  return {
+    visibility: (user.privacy && user.privacy.visibility) || 'anonymous',
+    shareWithEveryoneUntil: until && until > new Date() ? until : null,
+    locationSharing: user.settings.locationSharing,
+    effectiveVisibility: user.effectiveVisibility()
+  };
+};
+
 // Get user profile
 router.get('/profile', auth, async (req, res) => {
   try {
@@ -99,6 +113,7 @@ router.put('/settings', auth, [
       { $set: settingsUpdate },
       { new: true }
     );
+    privacyService.invalidate(req.user._id);
 
     res.json({
       success: true,
@@ -116,6 +131,125 @@ router.put('/settings', auth, [
   }
 });
 
+// Get nearby visibility settings
+router.get('/privacy', auth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        privacy: privacyResponse(req.user)
+      }
+    });
+  } catch (error) {
+    console.error('Get privacy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Set who can see the user in nearby discovery and location broadcasts
+router.put('/privacy', auth, [
+  body('visibility').isIn(User.VISIBILITY_MODES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: { 'privacy.visibility': req.body.visibility } },
+      { new: true, runValidators: true }
+    );
+    privacyService.invalidate(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Privacy settings updated successfully',
+      data: {
+        privacy: privacyResponse(updatedUser)
+      }
+    });
+  } catch (error) {
+    console.error('Update privacy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Temporarily share identity and exact location with everyone nearby
+router.post('/privacy/share-with-everyone', auth, [
+  body('minutes').isInt({ min: 1, max: MAX_SHARE_WITH_EVERYONE_MINUTES }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const until = new Date(Date.now() + req.body.minutes * 60 * 1000);
+    const updatedUser = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: { 'privacy.shareWithEveryoneUntil': until } },
+      { new: true }
+    );
+    privacyService.invalidate(req.user._id);
+
+    res.json({
+      success: true,
+      message: `Sharing with everyone nearby until ${until.toISOString()}`,
+      data: {
+        privacy: privacyResponse(updatedUser)
+      }
+    });
+  } catch (error) {
+    console.error('Share with everyone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// End the "share with everyone" override early
+router.delete('/privacy/share-with-everyone', auth, async (req, res) => {
+  try {
+    const updatedUser = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: { 'privacy.shareWithEveryoneUntil': null } },
+      { new: true }
+    );
+    privacyService.invalidate(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Stopped sharing with everyone',
+      data: {
+        privacy: privacyResponse(updatedUser)
+      }
+    });
+  } catch (error) {
+    console.error('Stop sharing with everyone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 // Save or update device token for push notifications
 router.post('/device-token', auth, [
   body('token').isString().notEmpty(),
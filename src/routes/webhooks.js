@@ -0,0 +1,78 @@
+const express = require('express');
+const twilio = require('twilio');
+const twilioSignature = require('../middleware/twilioSignature');
+const dispatchService = require('../services/dispatchService');
+const contactReplyService = require('../services/contactReplyService');
+
+const router = express.Router();
+
+/**
+ * Twilio delivery receipts for SMS (MessageSid/MessageStatus) and calls (CallSid/CallStatus)
+ * POST /api/v1/webhooks/twilio/status
+ */
+router.post('/twilio/status', twilioSignature, async (req, res) => {
+  try {
+    const providerMessageId = req.body.MessageSid || req.body.CallSid;
+    const status = req.body.MessageStatus || req.body.CallStatus;
+
+    if (!providerMessageId || !status) {
+      return res.status(400).json({
+        success: false,
+        message: 'MessageSid/CallSid and a status are required'
+      });
+    }
+
+    const notification = await dispatchService.recordDeliveryReceipt({
+      providerMessageId,
+      status,
+      errorCode: req.body.ErrorCode || null
+    });
+
+    if (!notification) {
+      console.warn(`Twilio status callback for unknown SID ${providerMessageId} (${status})`);
+    }
+
+    // Twilio only needs a 2xx; unknown SIDs are acknowledged so they are not retried
+    res.status(204).end();
+  } catch (error) {
+    console.error('Twilio status callback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Inbound SMS replies from emergency contacts (OK, ON MY WAY, CALLED 911, STOP)
+ * POST /api/v1/webhooks/twilio/sms
+ */
+router.post('/twilio/sms', twilioSignature, async (req, res) => {
+  try {
+    const { From: from, Body: body } = req.body;
+
+    if (!from) {
+      return res.status(400).json({
+        success: false,
+        message: 'From is required'
+      });
+    }
+
+    const result = await contactReplyService.handleInboundSMS({ from, body });
+
+    const twiml = new twilio.twiml.MessagingResponse();
+    if (result.reply) {
+      twiml.message(result.reply);
+    }
+
+    res.type('text/xml').send(twiml.toString());
+  } catch (error) {
+    console.error('Twilio inbound SMS error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,35 +1,16 @@
 const User = require('../models/User');
-const SOSAlert = require('../models/SOSAlert');
 const EmergencyContact = require('../models/EmergencyContact');
+const TripEvent = require('../models/TripEvent');
+const ContactNotification = require('../models/ContactNotification');
 const sosService = require('./sosService');
-const twilio = require('twilio');
+const { getProvider } = require('./providers');
 
 class AutoSOSService {
   constructor() {
-    // Initialize Twilio client
-    this.twilioClient = null;
-    this.initializeTwilio();
-    
     // Track processed alerts to prevent duplicates
     this.processedAlerts = new Set();
   }
 
-  /**
-   * Initialize Twilio client for SMS functionality
-   */
-  initializeTwilio() {
-    const accountSid = process.env.TWILIO_ACCOUNT_SID;
-    const authToken = process.env.TWILIO_AUTH_TOKEN;
-    
-    if (accountSid && authToken) {
-      this.twilioClient = twilio(accountSid, authToken);
-      console.log('✅ Twilio client initialized successfully');
-    } else {
-      console.warn('⚠️  Twilio credentials not found. SMS functionality will be disabled.');
-      console.warn('   Please set TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN environment variables');
-    }
-  }
-
   /**
    * Check all users for auto SOS conditions
    * Called periodically by cron job
@@ -76,6 +57,16 @@ class AutoSOSService {
         return false;
       }
 
+      // Travellers with a planned route are watched against its corridor by the trip monitor instead
+      if (sosCheck.reason === 'location_deviation' && await TripEvent.exists({
+        userId: user._id,
+        status: { $in: ['active', 'alert_triggered'] },
+        isActive: true,
+        plannedRoute: { $ne: null }
+      })) {
+        return false;
+      }
+
       // Check if we already processed an alert for this user recently
       const alertKey = `${user._id}_${sosCheck.reason}`;
       if (this.processedAlerts.has(alertKey)) {
@@ -105,45 +96,33 @@ class AutoSOSService {
   }
 
   /**
-   * Trigger automatic SOS alert
+   * Trigger automatic SOS alert.
+   * sosCheck: { reason, details, source }; source defaults to 'auto' (e.g. 'check_in' for a missed check-in).
    */
   async triggerAutoSOS(user, sosCheck) {
     try {
-      // Create SOS alert record
-      const alertData = {
-        userId: user._id,
-        status: 'active',
+      // The shared path starts the escalation ladder (which reaches emergency services only if nobody
+      // acknowledges) and records the alert in the inbox, the user's groups and other app users' push
+      const sosAlert = await sosService.createAlert(user, {
+        latitude: user.lastKnownLocation?.latitude || 0,
+        longitude: user.lastKnownLocation?.longitude || 0,
+        address: user.lastKnownLocation?.address || 'Location unavailable',
         emergencyType: 'general',
-        location: {
-          latitude: user.lastKnownLocation?.latitude || 0,
-          longitude: user.lastKnownLocation?.longitude || 0,
-          address: user.lastKnownLocation?.address || 'Location unavailable'
-        },
         message: `AUTOMATIC SOS ALERT: ${sosCheck.details}. Last known location provided.`,
-        immediateAlert: true
-      };
-
-      const sosAlert = await SOSAlert.create(alertData);
+        source: sosCheck.source || 'auto'
+      });
       console.log(`📝 Created auto SOS alert with ID: ${sosAlert._id}`);
 
-      // Get user's emergency contacts
-      const emergencyContacts = await EmergencyContact.find({ 
-        userId: user._id 
-      }).sort({ isPrimary: -1 });
-
-      if (emergencyContacts.length === 0) {
+      const contactCount = await EmergencyContact.countDocuments({ userId: user._id });
+      if (contactCount === 0) {
         console.warn(`⚠️  No emergency contacts found for user ${user.email}`);
-        return { sosAlert, contactsNotified: 0 };
       }
 
-      // Send notifications to emergency contacts
-      const notificationResults = await this.notifyEmergencyContacts(
-        sosAlert, 
-        emergencyContacts, 
-        user
-      );
+      const notificationResults = await ContactNotification.find({ alertId: sosAlert._id })
+        .select('contactId notificationStatus')
+        .lean();
 
-      console.log(`📱 Notified ${notificationResults.length} emergency contacts`);
+      console.log(`📱 Queued notifications for ${notificationResults.length} emergency contacts`);
 
       return {
         sosAlert,
@@ -158,61 +137,23 @@ class AutoSOSService {
   }
 
   /**
-   * Send notifications to emergency contacts
+   * Send notifications to emergency contacts.
+   * Delivery (SMS, voice, email, push with retries) is handled by the dispatch pipeline.
    */
   async notifyEmergencyContacts(sosAlert, contacts, user) {
-    const results = [];
-    
-    for (const contact of contacts) {
-      try {
-        // Create notification message
-        const message = this.createEmergencyMessage(sosAlert, user, contact);
-        
-        // Send SMS if Twilio is available
-        if (this.twilioClient) {
-          const smsResult = await this.sendEmergencySMS(contact.phone, message);
-          results.push({
-            contactId: contact._id,
-            method: 'sms',
-            status: smsResult.success ? 'sent' : 'failed',
-            details: smsResult
-          });
-        }
-        
-        // Also use existing SOS service notification
-        const sosNotification = await sosService.notifyEmergencyContacts(
-          sosAlert, 
-          [contact], 
-          user
-        );
-        
-        results.push({
-          contactId: contact._id,
-          method: 'sos_service',
-          status: 'sent',
-          details: sosNotification
-        });
-
-      } catch (error) {
-        console.error(`❌ Failed to notify contact ${contact.name}:`, error);
-        results.push({
-          contactId: contact._id,
-          status: 'failed',
-          error: error.message
-        });
-      }
-    }
-    
-    return results;
+    return sosService.notifyEmergencyContacts(sosAlert, contacts, user);
   }
 
   /**
-   * Create emergency message text
+   * Create emergency message text.
+   * With a tracking URL the contact gets a live-location page instead of a static map pin.
    */
-  createEmergencyMessage(sosAlert, user, contact) {
-    const locationText = sosAlert.location.latitude && sosAlert.location.longitude
-      ? `https://www.google.com/maps?q=${sosAlert.location.latitude},${sosAlert.location.longitude}`
-      : 'Location unavailable';
+  createEmergencyMessage(sosAlert, user, contact, { trackingUrl = null } = {}) {
+    const locationText = trackingUrl
+      ? `${trackingUrl} (live)`
+      : sosAlert.location.latitude && sosAlert.location.longitude
+        ? `https://www.google.com/maps?q=${sosAlert.location.latitude},${sosAlert.location.longitude}`
+        : 'Location unavailable';
     
     const timestamp = new Date().toLocaleString();
     
@@ -228,39 +169,19 @@ Time: ${timestamp}
 
 Please contact them immediately or call emergency services.
 
+Reply OK, ON MY WAY or CALLED 911 to let them know you're responding.
+
 - Safe Travel App`;
   }
 
   /**
-   * Send SMS using Twilio
+   * Send a one-off SMS through the configured provider
    */
   async sendEmergencySMS(phoneNumber, message) {
-    try {
-      if (!this.twilioClient) {
-        throw new Error('Twilio client not initialized');
-      }
-
-      const twilioMessage = await this.twilioClient.messages.create({
-        body: message,
-        to: phoneNumber,
-        from: process.env.TWILIO_PHONE_NUMBER || process.env.TWILIO_FROM_NUMBER
-      });
-
-      console.log(`📱 SMS sent successfully to ${phoneNumber}, SID: ${twilioMessage.sid}`);
-      
-      return {
-        success: true,
-        messageSid: twilioMessage.sid,
-        status: twilioMessage.status
-      };
-
-    } catch (error) {
-      console.error(`❌ Failed to send SMS to ${phoneNumber}:`, error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
+    const result = await getProvider('sms').sendSMS(phoneNumber, message);
+    return result.success
+      ? { success: true, messageSid: result.providerMessageId, status: result.status }
+      : { success: false, error: result.error };
   }
 
   /**
@@ -0,0 +1,152 @@
+const CheckIn = require('../models/CheckIn');
+const User = require('../models/User');
+const autoSOSService = require('./autoSOSService');
+const notificationService = require('./notificationService');
+const { emitToUser } = require('./realtime');
+
+// A check-in satisfies scheduled check-ins that are overdue or due within this window
+const FULFIL_WINDOW_MS = 2 * 60 * 60 * 1000;
+
+class CheckInError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'CheckInError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Check-ins and "check in by" deadlines. A scheduled check-in that is not satisfied by its
+ * deadline (plus grace period) raises an automatic SOS through the usual escalation pipeline.
+ */
+class CheckInService {
+  /**
+   * Record a check-in and mark the scheduled check-ins it satisfies as completed.
+   * Pass scheduledCheckInId to satisfy a specific scheduled check-in regardless of its deadline.
+   */
+  async recordCheckIn(userId, { latitude, longitude, accuracy, placeName, message, tags, scheduledCheckInId } = {}, { source = 'app' } = {}) {
+    const now = new Date();
+    const checkIn = await CheckIn.create({
+      userId,
+      status: 'completed',
+      message: message || '',
+      placeName: placeName || null,
+      location: latitude !== undefined && longitude !== undefined
+        ? { latitude, longitude, accuracy: accuracy !== undefined ? accuracy : null }
+        : undefined,
+      tags: tags || [],
+      source,
+      checkedInAt: now
+    });
+
+    const pending = { userId, status: 'scheduled' };
+    if (scheduledCheckInId) {
+      pending._id = scheduledCheckInId;
+    } else {
+      pending.dueBy = { $lte: new Date(now.getTime() + FULFIL_WINDOW_MS) };
+    }
+    const fulfilled = await CheckIn.updateMany(pending, {
+      $set: { status: 'completed', checkedInAt: now, fulfilledBy: checkIn._id }
+    });
+
+    // Checking in is activity; it also holds off inactivity-based auto SOS
+    await User.updateOne({ _id: userId }, { $set: { lastActiveAt: now } });
+
+    if (fulfilled.modifiedCount > 0) {
+      emitToUser(userId, 'scheduled_check_in_completed', {
+        checkInId: String(checkIn._id),
+        fulfilled: fulfilled.modifiedCount
+      });
+    }
+
+    return { checkIn, fulfilled: fulfilled.modifiedCount };
+  }
+
+  async schedule(userId, { dueBy, graceMinutes = 0, message, placeName }) {
+    const due = new Date(dueBy);
+    if (due <= new Date()) {
+      throw new CheckInError('The check-in deadline must be in the future', 400);
+    }
+
+    return CheckIn.create({
+      userId,
+      status: 'scheduled',
+      dueBy: due,
+      graceMinutes,
+      escalateAt: new Date(due.getTime() + graceMinutes * 60 * 1000),
+      message: message || '',
+      placeName: placeName || null
+    });
+  }
+
+  async cancel(userId, checkInId) {
+    const checkIn = await CheckIn.findOneAndUpdate(
+      { _id: checkInId, userId, status: 'scheduled' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+    if (!checkIn) {
+      throw new CheckInError('Scheduled check-in not found', 404);
+    }
+    return checkIn;
+  }
+
+  /**
+   * Escalate every scheduled check-in whose deadline and grace period have passed (called by the scheduler).
+   * Each one is claimed before escalating, so concurrent runs never raise two alerts for it.
+   */
+  async escalateMissed() {
+    let escalated = 0;
+
+    for (;;) {
+      const now = new Date();
+      const checkIn = await CheckIn.findOneAndUpdate(
+        { status: 'scheduled', escalateAt: { $lte: now } },
+        { $set: { status: 'missed', missedAt: now } },
+        { new: true, sort: { escalateAt: 1 } }
+      );
+      if (!checkIn) break;
+
+      try {
+        await this.escalate(checkIn);
+        escalated++;
+      } catch (error) {
+        console.error(`❌ Failed to escalate missed check-in ${checkIn._id}:`, error);
+      }
+    }
+
+    return escalated;
+  }
+
+  async escalate(checkIn) {
+    const user = await User.findById(checkIn.userId).select('+lastActiveAt +lastKnownLocation +defaultLocation');
+    if (!user || !user.isActive) return null;
+
+    const place = checkIn.placeName ? ` at ${checkIn.placeName}` : '';
+    const note = checkIn.message ? ` (note: "${checkIn.message}")` : '';
+    console.log(`⏰ ${user.email} missed a check-in due ${checkIn.dueBy.toISOString()}`);
+
+    const { sosAlert } = await autoSOSService.triggerAutoSOS(user, {
+      shouldTrigger: true,
+      reason: 'missed_check_in',
+      details: `Missed check-in${place} due by ${checkIn.dueBy.toUTCString()}${note}`,
+      source: 'check_in'
+    });
+
+    checkIn.sosAlertId = sosAlert._id;
+    await checkIn.save();
+
+    notificationService.notify(user._id, {
+      type: 'safety',
+      priority: 'critical',
+      title: 'Missed check-in',
+      message: 'You did not check in on time, so your emergency contacts are being alerted. Resolve the alert if you are safe.',
+      screen: 'sos_alert',
+      params: { alertId: String(sosAlert._id), checkInId: String(checkIn._id) }
+    });
+    return sosAlert;
+  }
+}
+
+module.exports = new CheckInService();
+module.exports.CheckInError = CheckInError;
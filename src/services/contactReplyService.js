@@ -0,0 +1,200 @@
+const EmergencyContact = require('../models/EmergencyContact');
+const ContactNotification = require('../models/ContactNotification');
+const SOSAlert = require('../models/SOSAlert');
+const User = require('../models/User');
+const dispatchService = require('./dispatchService');
+const escalationService = require('./escalationService');
+const notificationService = require('./notificationService');
+const { emitToUser } = require('./realtime');
+const { toE164 } = require('../utils/phone');
+
+// Reply keywords (after upper-casing and stripping punctuation) -> intent
+const REPLY_KEYWORDS = [
+  { intent: 'stop', pattern: /^(STOP|STOPALL|UNSUBSCRIBE|CANCEL|END|QUIT)$/ },
+  { intent: 'start', pattern: /^(START|UNSTOP|YES START)$/ },
+  { intent: 'called_emergency_services', pattern: /^(CALLED ?(911|112|999|POLICE|EMERGENCY)?|911)$/ },
+  { intent: 'on_my_way', pattern: /^(ON MY WAY|OMW|COMING|ON THE WAY)$/ },
+  { intent: 'ok', pattern: /^(OK|OKAY|K|YES|Y|ACK|GOT IT|RECEIVED)$/ }
+];
+
+const RESPONSE_LABELS = {
+  ok: 'saw your alert',
+  on_my_way: 'is on the way',
+  called_emergency_services: 'called emergency services'
+};
+
+const HELP_TEXT = 'Safe Travel: reply OK, ON MY WAY or CALLED 911 to let them know you are responding. Reply STOP to stop alerts.';
+
+/**
+ * Classify a free-text SMS reply. Returns one of the intents above, or null.
+ */
+const parseReply = (text) => {
+  const normalized = String(text || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9 ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const match = REPLY_KEYWORDS.find(({ pattern }) => pattern.test(normalized));
+  return match ? match.intent : null;
+};
+
+class ContactReplyService {
+  /**
+   * Contacts with this number. Senders arrive in E.164 and contacts store their number normalised the same way.
+   */
+  async findContactsByPhone(phone) {
+    const phoneE164 = toE164(phone);
+    if (!phoneE164) return [];
+    return EmergencyContact.find({ phoneE164 });
+  }
+
+  /**
+   * Most recent active alert this phone number was notified about
+   */
+  async findActiveNotification(contacts) {
+    const notifications = await ContactNotification.find({
+      contactId: { $in: contacts.map(c => c._id) },
+      notificationStatus: { $in: ['sent', 'delivered'] }
+    })
+      .sort({ notifiedAt: -1 })
+      .limit(10);
+
+    for (const notification of notifications) {
+      const alert = await SOSAlert.findOne({ _id: notification.alertId, status: { $in: SOSAlert.OPEN_STATUSES } });
+      if (alert) {
+        return { notification, alert, contact: contacts.find(c => c._id.equals(notification.contactId)) };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Handle an inbound SMS. Returns { intent, reply } where reply is the text to send back (or null).
+   */
+  async handleInboundSMS({ from, body }) {
+    const intent = parseReply(body);
+    const contacts = await this.findContactsByPhone(from);
+
+    if (contacts.length === 0) {
+      console.warn(`Inbound SMS from unknown number ${from}`);
+      return { intent, reply: null };
+    }
+
+    if (intent === 'stop' || intent === 'start') {
+      return this.updateOptOut(contacts, intent === 'stop');
+    }
+
+    const match = await this.findActiveNotification(contacts);
+    if (!match) {
+      return { intent, reply: 'Safe Travel: there is no active emergency alert for you to respond to.' };
+    }
+
+    if (!intent) {
+      return { intent, reply: HELP_TEXT };
+    }
+
+    await this.acknowledge(match, intent, body);
+    const user = await User.findById(match.alert.userId).select('name');
+    return { intent, reply: `Safe Travel: thank you. We've let ${user ? user.name : 'them'} know you responded.` };
+  }
+
+  /**
+   * Record an acknowledgement on the alert, tell the victim, and stop notifying further contacts
+   */
+  async acknowledge({ notification, alert, contact }, response, message) {
+    const acknowledgement = {
+      contactId: contact._id,
+      contactName: contact.name,
+      response,
+      message: String(message || '').slice(0, 500),
+      channel: 'sms',
+      receivedAt: new Date()
+    };
+
+    // OK / CALLED 911 acknowledge an active alert; ON MY WAY means help is coming
+    const nextStatus = response === 'on_my_way' ? 'responder_en_route' : 'acknowledged';
+    const statusChanges = alert.status === 'active' || (alert.status === 'acknowledged' && nextStatus === 'responder_en_route');
+    const timeline = [{
+      type: 'contact_acknowledged',
+      at: acknowledgement.receivedAt,
+      message: `${contact.name} ${RESPONSE_LABELS[response]}`,
+      data: { contactId: contact._id, response, channel: 'sms' }
+    }];
+    if (statusChanges) {
+      timeline.push({
+        type: 'status_changed',
+        at: acknowledgement.receivedAt,
+        message: `Status changed from ${alert.status} to ${nextStatus}`,
+        data: { from: alert.status, to: nextStatus }
+      });
+    }
+
+    await SOSAlert.updateOne({ _id: alert._id }, {
+      $push: { acknowledgements: acknowledgement, timeline: { $each: timeline } },
+      ...(statusChanges ? { $set: { status: nextStatus } } : {})
+    });
+
+    // A reply proves the message arrived, even if the delivery receipt has not
+    if (notification.notificationStatus !== 'delivered') {
+      notification.notificationStatus = 'delivered';
+      notification.deliveredAt = new Date();
+      await notification.save();
+    }
+
+    const cancelled = await dispatchService.cancelForAlert(alert._id);
+    alert.acknowledgements.push(acknowledgement);
+    await escalationService.advance(alert);
+    console.log(`✅ ${contact.name} acknowledged alert ${alert._id} (${response}); cancelled ${cancelled} pending notification(s)`);
+
+    emitToUser(alert.userId, 'sos_acknowledged', {
+      alertId: String(alert._id),
+      status: statusChanges ? nextStatus : alert.status,
+      contactId: String(contact._id),
+      contactName: contact.name,
+      response,
+      receivedAt: acknowledgement.receivedAt
+    });
+
+    notificationService.notify(alert.userId, {
+      type: 'sos',
+      priority: 'high',
+      title: `${contact.name} ${RESPONSE_LABELS[response]}`,
+      message: `${contact.name} replied to your SOS alert: "${acknowledgement.message}"`,
+      screen: 'sos_alert',
+      params: { alertId: String(alert._id) }
+    });
+
+    return acknowledgement;
+  }
+
+  async updateOptOut(contacts, optOut) {
+    await EmergencyContact.updateMany(
+      { _id: { $in: contacts.map(c => c._id) } },
+      { $set: { smsOptOut: optOut, smsOptOutAt: optOut ? new Date() : null } }
+    );
+
+    if (optOut) {
+      contacts.forEach(contact => {
+        notificationService.notify(contact.userId, {
+          type: 'contact',
+          priority: 'high',
+          title: `${contact.name} opted out of SMS alerts`,
+          message: `${contact.name} replied STOP and will no longer receive emergency alerts by SMS.`,
+          screen: 'emergency_contacts',
+          params: { contactId: String(contact._id) }
+        });
+        emitToUser(contact.userId, 'contact_opted_out', {
+          contactId: String(contact._id),
+          contactName: contact.name
+        });
+      });
+    }
+
+    // Twilio answers STOP/START itself for opted-out numbers; no reply of our own
+    return { intent: optOut ? 'stop' : 'start', reply: null };
+  }
+}
+
+module.exports = new ContactReplyService();
+module.exports.parseReply = parseReply;
@@ -0,0 +1,350 @@
+const DispatchJob = require('../models/DispatchJob');
+const ContactNotification = require('../models/ContactNotification');
+const EmergencyContact = require('../models/EmergencyContact');
+const SOSAlert = require('../models/SOSAlert');
+const User = require('../models/User');
+const trackingTokenService = require('./trackingTokenService');
+const { getProvider } = require('./providers');
+
+const DEFAULT_CHANNEL_ORDER = ['sms', 'voice', 'email', 'push'];
+const POLL_INTERVAL_MS = 5000;
+const LEASE_MS = 60 * 1000;
+const BATCH_SIZE = 20;
+const MAX_BACKOFF_SECONDS = 300;
+
+// Provider-reported statuses (Twilio message and call statuses) mapped to notification statuses.
+// Anything not listed (queued, sending, ringing, in-progress...) is an intermediate state.
+const RECEIPT_STATUS = {
+  delivered: 'delivered',
+  read: 'delivered',
+  completed: 'delivered',
+  undelivered: 'failed',
+  failed: 'failed',
+  busy: 'failed',
+  'no-answer': 'failed',
+  canceled: 'failed'
+};
+
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) || value <= 0 ? fallback : value;
+};
+
+/**
+ * Durable delivery of emergency-contact notifications.
+ * Each ContactNotification gets a DispatchJob that walks the configured channel order,
+ * retrying each channel with exponential backoff before falling back to the next one.
+ * Jobs live in MongoDB so pending deliveries survive a restart.
+ */
+class DispatchService {
+  constructor() {
+    this.timer = null;
+    this.isProcessing = false;
+  }
+
+  get channelOrder() {
+    const configured = (process.env.DISPATCH_CHANNEL_ORDER || '')
+      .split(',')
+      .map(c => c.trim().toLowerCase())
+      .filter(c => DispatchJob.CHANNELS.includes(c));
+    return configured.length > 0 ? Array.from(new Set(configured)) : DEFAULT_CHANNEL_ORDER;
+  }
+
+  get maxAttemptsPerChannel() {
+    return intFromEnv('DISPATCH_MAX_ATTEMPTS', 3);
+  }
+
+  get retryBaseSeconds() {
+    return intFromEnv('DISPATCH_RETRY_BASE_SECONDS', 15);
+  }
+
+  get deadlineMinutes() {
+    return intFromEnv('DISPATCH_DEADLINE_MINUTES', 15);
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.processDueJobs().catch(err => console.error('Dispatch worker error:', err));
+    }, POLL_INTERVAL_MS);
+    console.log(`📨 Dispatch worker started (channels: ${this.channelOrder.join(' → ')})`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Queue delivery of a ContactNotification. Idempotent: an existing job is left untouched.
+   * Contacts without an email address skip email; contacts who replied STOP skip SMS.
+   */
+  async enqueue(notification, contact, alert) {
+    const channels = this.channelOrder
+      .filter(channel => channel !== 'email' || contact.email)
+      .filter(channel => channel !== 'sms' || !contact.smsOptOut);
+    const now = new Date();
+
+    const job = await DispatchJob.findOneAndUpdate(
+      { notificationId: notification._id },
+      {
+        $setOnInsert: {
+          notificationId: notification._id,
+          alertId: alert._id,
+          contactId: contact._id,
+          userId: alert.userId,
+          status: 'queued',
+          channels,
+          nextAttemptAt: now,
+          deadline: new Date(now.getTime() + this.deadlineMinutes * 60 * 1000)
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    // Deliver right away rather than waiting for the next poll
+    setImmediate(() => {
+      this.processDueJobs().catch(err => console.error('Dispatch worker error:', err));
+    });
+
+    return job;
+  }
+
+  /**
+   * Apply a provider delivery receipt to the ContactNotification it belongs to.
+   * A failed receipt re-opens the dispatch job on its next channel.
+   * Returns the updated notification, or null when the reference is unknown.
+   */
+  async recordDeliveryReceipt({ providerMessageId, status, errorCode = null }) {
+    const notification = await ContactNotification.findOne({ providerMessageId });
+    if (!notification) return null;
+
+    const outcome = RECEIPT_STATUS[String(status).toLowerCase()];
+    // Receipts can arrive out of order; never move a delivered notification backwards
+    if (!outcome || notification.notificationStatus === 'delivered') {
+      return notification;
+    }
+
+    if (outcome === 'delivered') {
+      notification.notificationStatus = 'delivered';
+      notification.deliveredAt = new Date();
+      notification.failureReason = null;
+      await notification.save();
+      return notification;
+    }
+
+    notification.notificationStatus = 'failed';
+    notification.failureReason = `${notification.channel}: ${status}${errorCode ? ` (error ${errorCode})` : ''}`;
+    await notification.save();
+
+    const job = await DispatchJob.findOne({ notificationId: notification._id, status: { $in: ['completed', 'failed'] } });
+    if (job && job.channelIndex + 1 < job.channels.length && new Date() <= job.deadline) {
+      job.completedAt = null;
+      await this.fallBack(job, notification);
+    }
+
+    return notification;
+  }
+
+  /**
+   * Cancel queued jobs, e.g. once an alert is resolved
+   */
+  async cancelForAlert(alertId) {
+    const result = await DispatchJob.updateMany(
+      { alertId, status: 'queued' },
+      { $set: { status: 'cancelled', completedAt: new Date() } }
+    );
+    return result.modifiedCount || 0;
+  }
+
+  /**
+   * Claim and process every job that is due. Jobs are leased so that a crashed
+   * worker's jobs become claimable again once the lease runs out.
+   */
+  async processDueJobs() {
+    if (this.isProcessing) return 0;
+    this.isProcessing = true;
+
+    let processed = 0;
+    try {
+      while (processed < BATCH_SIZE) {
+        const now = new Date();
+        const job = await DispatchJob.findOneAndUpdate(
+          {
+            $or: [
+              { status: 'queued', nextAttemptAt: { $lte: now } },
+              { status: 'processing', lockedUntil: { $lt: now } }
+            ]
+          },
+          { $set: { status: 'processing', lockedUntil: new Date(now.getTime() + LEASE_MS) } },
+          { sort: { nextAttemptAt: 1 }, new: true }
+        );
+        if (!job) break;
+
+        try {
+          await this.processJob(job);
+        } catch (error) {
+          console.error(`Dispatch job ${job._id} failed unexpectedly:`, error);
+          await this.scheduleRetry(job, null, error.message);
+        }
+        processed++;
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+
+    return processed;
+  }
+
+  async processJob(job) {
+    const [notification, contact, alert] = await Promise.all([
+      ContactNotification.findById(job.notificationId),
+      EmergencyContact.findById(job.contactId),
+      SOSAlert.findById(job.alertId)
+    ]);
+
+    if (!notification || !contact || !alert) {
+      return this.finish(job, 'cancelled');
+    }
+    if (!SOSAlert.OPEN_STATUSES.includes(alert.status)) {
+      return this.finish(job, 'cancelled');
+    }
+    if (new Date() > job.deadline) {
+      return this.giveUp(job, notification, 'Delivery deadline exceeded');
+    }
+
+    const user = await User.findById(alert.userId);
+    const channel = job.currentChannel;
+    const result = await this.sendOnChannel(channel, { contact, alert, user });
+    const now = new Date();
+
+    job.attempts.push({
+      channel,
+      status: result.success ? 'sent' : 'failed',
+      providerMessageId: result.providerMessageId || null,
+      error: result.success ? null : result.error,
+      at: now
+    });
+    job.attemptsOnChannel += 1;
+
+    notification.channel = channel;
+    notification.attemptCount += 1;
+    notification.lastAttemptAt = now;
+
+    if (result.success) {
+      notification.notificationStatus = 'sent';
+      notification.notifiedAt = now;
+      notification.providerMessageId = result.providerMessageId || null;
+      notification.failureReason = null;
+      await notification.save();
+      await SOSAlert.recordEvent(alert._id, 'contact_notified', `${contact.name} notified by ${channel}`, {
+        contactId: contact._id,
+        channel,
+        attempt: notification.attemptCount
+      });
+      return this.finish(job, 'completed');
+    }
+
+    notification.failureReason = `${channel}: ${result.error}`;
+    await notification.save();
+
+    if (result.retryable && job.attemptsOnChannel < this.maxAttemptsPerChannel) {
+      return this.scheduleRetry(job, notification, result.error);
+    }
+    return this.fallBack(job, notification);
+  }
+
+  /**
+   * Send the alert message on one channel; missing user or contact details count as a permanent failure
+   */
+  async sendOnChannel(channel, { contact, alert, user }) {
+    if (!user) {
+      return { success: false, error: 'Alert owner not found', retryable: false };
+    }
+
+    // Required lazily: autoSOSService depends on sosService, which depends on this module
+    const autoSOSService = require('./autoSOSService');
+    let trackingUrl = null;
+    try {
+      trackingUrl = await trackingTokenService.urlFor(alert, contact);
+    } catch (error) {
+      console.error('Could not create tracking link:', error.message);
+    }
+    const message = autoSOSService.createEmergencyMessage(alert, user, contact, { trackingUrl });
+    const provider = getProvider(channel);
+
+    switch (channel) {
+      case 'sms':
+        if (contact.smsOptOut) {
+          return { success: false, error: 'Contact opted out of SMS', retryable: false };
+        }
+        return provider.sendSMS(contact.phone, message);
+      case 'voice':
+        return provider.makeCall(contact.phone,
+          `This is an emergency alert from Safe Travel. ${user.name} has triggered an SOS alert and might be in danger. ` +
+          'Please contact them immediately or call emergency services.');
+      case 'email':
+        if (!contact.email) {
+          return { success: false, error: 'Contact has no email address', retryable: false };
+        }
+        return provider.sendEmail(contact.email, `🚨 Emergency alert: ${user.name} might be in danger`, message);
+      case 'push':
+        return provider.sendToContact(contact, `${user.name} needs help`, alert.message || message, {
+          type: 'sos_contact',
+          alertId: String(alert._id)
+        });
+      default:
+        return { success: false, error: `Unknown channel ${channel}`, retryable: false };
+    }
+  }
+
+  async scheduleRetry(job, notification, reason) {
+    const exponent = Math.max(0, job.attemptsOnChannel - 1);
+    const delaySeconds = Math.min(MAX_BACKOFF_SECONDS, this.retryBaseSeconds * Math.pow(2, exponent));
+    const nextAttemptAt = new Date(Date.now() + delaySeconds * 1000);
+
+    // A retry that would land after the deadline is pointless; try the next channel instead
+    if (notification && nextAttemptAt > job.deadline) {
+      return this.fallBack(job, notification);
+    }
+
+    job.status = 'queued';
+    job.nextAttemptAt = nextAttemptAt;
+    job.lockedUntil = null;
+    await job.save();
+    console.log(`🔁 Dispatch job ${job._id} retrying ${job.currentChannel} in ${delaySeconds}s (${reason})`);
+  }
+
+  async fallBack(job, notification) {
+    if (job.channelIndex + 1 >= job.channels.length) {
+      return this.giveUp(job, notification, notification.failureReason || 'All channels failed');
+    }
+
+    job.channelIndex += 1;
+    job.attemptsOnChannel = 0;
+    job.status = 'queued';
+    job.nextAttemptAt = new Date();
+    job.lockedUntil = null;
+    await job.save();
+    console.log(`↪️  Dispatch job ${job._id} falling back to ${job.currentChannel}`);
+  }
+
+  async giveUp(job, notification, reason) {
+    notification.notificationStatus = 'failed';
+    notification.failureReason = reason;
+    await notification.save();
+    console.warn(`❌ Could not notify contact ${job.contactId} for alert ${job.alertId}: ${reason}`);
+    return this.finish(job, 'failed');
+  }
+
+  async finish(job, status) {
+    job.status = status;
+    job.lockedUntil = null;
+    job.completedAt = new Date();
+    await job.save();
+  }
+}
+
+module.exports = new DispatchService();
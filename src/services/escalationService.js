@@ -0,0 +1,158 @@
+const SOSAlert = require('../models/SOSAlert');
+const User = require('../models/User');
+const EmergencyContact = require('../models/EmergencyContact');
+const EscalationPolicy = require('../models/EscalationPolicy');
+const sosService = require('./sosService');
+
+const TARGET_LABELS = {
+  primary_contact: 'primary emergency contact',
+  all_contacts: 'all emergency contacts',
+  emergency_services: 'emergency services'
+};
+
+/**
+ * Walks active SOS alerts through their owner's escalation ladder.
+ * Each step runs once; steps stop as soon as a contact acknowledges the alert.
+ */
+class EscalationService {
+  /**
+   * Snapshot the user's ladder onto a new alert and run the steps that are already due
+   */
+  async startForAlert(alert, user) {
+    const steps = await EscalationPolicy.stepsForUser(alert.userId);
+
+    alert.escalation = {
+      steps,
+      currentStep: 0,
+      startedAt: alert.createdAt || new Date(),
+      completedAt: null,
+      stoppedReason: null
+    };
+    await alert.save();
+
+    return this.advance(alert, user);
+  }
+
+  /**
+   * Advance every active alert whose ladder is not finished (called by the scheduler)
+   */
+  async advanceAll() {
+    const alerts = await SOSAlert.find({
+      status: 'active',
+      'escalation.startedAt': { $ne: null },
+      'escalation.completedAt': null
+    });
+
+    let stepsRun = 0;
+    for (const alert of alerts) {
+      try {
+        stepsRun += await this.advance(alert);
+      } catch (error) {
+        console.error(`❌ Escalation failed for alert ${alert._id}:`, error);
+      }
+    }
+    return stepsRun;
+  }
+
+  /**
+   * Run every due step of one alert. Returns the number of steps run.
+   */
+  async advance(alert, user = null) {
+    const { escalation } = alert;
+    if (!escalation || !escalation.startedAt || escalation.completedAt) return 0;
+
+    const acknowledgedBy = alert.acknowledgements && alert.acknowledgements[0];
+    if (acknowledgedBy) {
+      await this.stop(alert, 'acknowledged', `Escalation stopped: ${acknowledgedBy.contactName} acknowledged the alert`);
+      return 0;
+    }
+    if (alert.status !== 'active') {
+      await this.stop(alert, alert.status, `Escalation stopped: alert ${alert.status.replace(/_/g, ' ')}`);
+      return 0;
+    }
+
+    const owner = user || await User.findById(alert.userId);
+    if (!owner) return 0;
+
+    let stepsRun = 0;
+    while (escalation.currentStep < escalation.steps.length) {
+      const index = escalation.currentStep;
+      const step = escalation.steps[index];
+      const dueAt = new Date(escalation.startedAt.getTime() + step.afterMinutes * 60 * 1000);
+      if (dueAt > new Date()) break;
+
+      // Claim the step so concurrent runs never execute it twice
+      const claimed = await SOSAlert.updateOne(
+        { _id: alert._id, status: 'active', 'escalation.currentStep': index },
+        { $set: { 'escalation.currentStep': index + 1 } }
+      );
+      escalation.currentStep = index + 1;
+      if (claimed.modifiedCount === 0) continue;
+
+      const result = await this.runStep(alert, owner, step);
+      await SOSAlert.recordEvent(alert._id, 'escalated',
+        `Escalation step ${index + 1}: notified ${TARGET_LABELS[step.target]}`,
+        { step: index + 1, afterMinutes: step.afterMinutes, target: step.target, ...result });
+      stepsRun++;
+    }
+
+    if (escalation.currentStep >= escalation.steps.length) {
+      await SOSAlert.updateOne(
+        { _id: alert._id, 'escalation.completedAt': null },
+        { $set: { 'escalation.completedAt': new Date(), 'escalation.stoppedReason': 'completed' } }
+      );
+    }
+
+    return stepsRun;
+  }
+
+  async runStep(alert, user, step) {
+    if (step.target === 'emergency_services') {
+      if (alert.emergencyServicesNotified) {
+        return { skipped: 'already_notified' };
+      }
+      const result = await sosService.notifyEmergencyServices(alert, user);
+      if (result.success) {
+        await SOSAlert.updateOne({ _id: alert._id }, {
+          $set: { emergencyServicesNotified: true, emergencyServicesNotifiedAt: result.notifiedAt },
+          $push: {
+            timeline: {
+              type: 'emergency_services_notified',
+              at: result.notifiedAt,
+              message: 'Emergency services notified'
+            }
+          }
+        });
+        alert.emergencyServicesNotified = true;
+        alert.emergencyServicesNotifiedAt = result.notifiedAt;
+      }
+      return { emergencyServicesNotified: Boolean(result.success) };
+    }
+
+    const contacts = await EmergencyContact.find({ userId: alert.userId })
+      .sort({ isPrimary: -1, createdAt: 1 });
+    // Without a flagged primary, the oldest contact stands in for it
+    const targets = step.target === 'primary_contact' ? contacts.slice(0, 1) : contacts;
+
+    if (targets.length === 0) {
+      return { contactsNotified: 0 };
+    }
+
+    const notifications = await sosService.notifyEmergencyContacts(alert, targets, user);
+    return { contactsNotified: notifications.filter(n => n.status !== 'failed').length };
+  }
+
+  async stop(alert, reason, message) {
+    const result = await SOSAlert.updateOne(
+      { _id: alert._id, 'escalation.completedAt': null },
+      {
+        $set: { 'escalation.completedAt': new Date(), 'escalation.stoppedReason': reason },
+        $push: { timeline: { type: 'escalation_stopped', at: new Date(), message, data: { reason } } }
+      }
+    );
+    alert.escalation.completedAt = new Date();
+    return result.modifiedCount > 0;
+  }
+}
+
+module.exports = new EscalationService();
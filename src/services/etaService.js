@@ -0,0 +1,92 @@
+const Location = require('../models/Location');
+const { haversineMeters } = require('../utils/geo');
+
+// Typical door-to-door speeds (km/h) per travel mode, used when there is too little movement to measure
+const MODE_SPEEDS_KMH = {
+  walking: 5,
+  cycling: 15,
+  driving: 40,
+  public_transport: 20,
+  other: 20
+};
+
+// Roads are longer than the straight line to the destination
+const DETOUR_FACTOR = 1.3;
+
+// Movement measured over this window of breadcrumbs drives the estimate
+const OBSERVATION_WINDOW_MS = 15 * 60 * 1000;
+const MIN_OBSERVATION_MS = 2 * 60 * 1000;
+
+// Weight of the measured speed against the mode's typical speed, and the range it may move the estimate in
+const OBSERVED_WEIGHT = 0.7;
+const MIN_SPEED_RATIO = 0.25;
+const MAX_SPEED_RATIO = 2.5;
+
+/**
+ * Arrival estimates for active trips from their recent breadcrumbs, travel mode and remaining distance
+ */
+class EtaService {
+  modeSpeed(travelMode) {
+    return (MODE_SPEEDS_KMH[travelMode] || MODE_SPEEDS_KMH.other) / 3.6;
+  }
+
+  /**
+   * Average speed (m/s) along the breadcrumbs, or null when they span too little time
+   */
+  observedSpeed(breadcrumbs) {
+    if (breadcrumbs.length < 2) return null;
+
+    const elapsedMs = breadcrumbs[breadcrumbs.length - 1].timestamp - breadcrumbs[0].timestamp;
+    if (elapsedMs < MIN_OBSERVATION_MS) return null;
+
+    let meters = 0;
+    for (let i = 1; i < breadcrumbs.length; i++) {
+      const a = breadcrumbs[i - 1];
+      const b = breadcrumbs[i];
+      meters += haversineMeters(a.latitude, a.longitude, b.latitude, b.longitude);
+    }
+    return meters / (elapsedMs / 1000);
+  }
+
+  /**
+   * Estimate the trip's arrival. Returns { predictedArrival, remainingMeters, speedKmh, basis }
+   * or null when the trip has no current location yet.
+   */
+  async estimate(trip, now = new Date()) {
+    if (!trip.currentLocation) return null;
+
+    const breadcrumbs = await Location.find({
+      tripId: trip._id,
+      timestamp: { $gte: new Date(now.getTime() - OBSERVATION_WINDOW_MS) }
+    }).sort({ timestamp: 1 }).select('latitude longitude timestamp').limit(200);
+
+    const typical = this.modeSpeed(trip.travelMode);
+    const observed = this.observedSpeed(breadcrumbs);
+    const speed = observed === null
+      ? typical
+      : Math.min(typical * MAX_SPEED_RATIO, Math.max(typical * MIN_SPEED_RATIO,
+        OBSERVED_WEIGHT * observed + (1 - OBSERVED_WEIGHT) * typical));
+
+    const remainingMeters = trip.calculateDistanceToDestination() * DETOUR_FACTOR;
+    return {
+      predictedArrival: new Date(now.getTime() + (remainingMeters / speed) * 1000),
+      remainingMeters: Math.round(remainingMeters),
+      speedKmh: parseFloat((speed * 3.6).toFixed(1)),
+      basis: observed === null ? 'travel_mode' : 'recent_movement'
+    };
+  }
+
+  /**
+   * Refresh the trip's predictedArrival (not saved). Returns the estimate.
+   */
+  async refresh(trip, now = new Date()) {
+    const estimate = await this.estimate(trip, now);
+    if (estimate) {
+      trip.predictedArrival = estimate.predictedArrival;
+      trip.etaUpdatedAt = now;
+    }
+    return estimate;
+  }
+}
+
+module.exports = new EtaService();
@@ -0,0 +1,298 @@
+const Group = require('../models/Group');
+const User = require('../models/User');
+const notificationService = require('./notificationService');
+const { groupRoom, emitToRoom, emitToUser, joinUserToRoom, removeUserFromRoom } = require('./realtime');
+
+class GroupError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'GroupError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Invite codes are unique; retry the rare collision instead of failing the request
+const INVITE_CODE_ATTEMPTS = 5;
+
+/**
+ * Trusted circles and travel groups. Membership changes are mirrored onto the members'
+ * sockets (room `group:<groupId>`) so live locations, check-ins and SOS alerts reach
+ * exactly the active members.
+ */
+class GroupService {
+  /**
+   * Shareable invite link, answered by GET /api/v1/groups/join/:code; null when the server has no public address
+   */
+  inviteUrl(group) {
+    const baseUrl = process.env.PUBLIC_BASE_URL;
+    if (!baseUrl) return null;
+    return `${baseUrl.replace(/\/+$/, '')}/api/v1/groups/join/${group.inviteCode}`;
+  }
+
+  /**
+   * Group as seen by a member. Invite details and pending requests are only shown to owners and admins;
+   * members are hidden from someone whose own request is still pending.
+   */
+  async toResponse(group, userId) {
+    const canManage = group.canManage(userId);
+    const visible = canManage ? group.members : (group.isActiveMember(userId) ? group.activeMembers() : []);
+    const users = await User.find({ _id: { $in: visible.map(m => m.userId) } }).select('name profileImage');
+    const byId = new Map(users.map(u => [String(u._id), u]));
+
+    return {
+      id: group._id,
+      name: group.name,
+      description: group.description,
+      type: group.type,
+      ownerId: group.ownerId,
+      requiresApproval: group.requiresApproval,
+      maxMembers: group.maxMembers,
+      myRole: (group.memberFor(userId) || {}).role || null,
+      myStatus: (group.memberFor(userId) || {}).status || null,
+      members: visible.map(member => {
+        const user = byId.get(String(member.userId));
+        return {
+          userId: member.userId,
+          name: user ? user.name : 'Deleted user',
+          profileImage: user ? user.profileImage : null,
+          role: member.role,
+          status: member.status,
+          requestedAt: member.requestedAt,
+          joinedAt: member.joinedAt
+        };
+      }),
+      ...(canManage ? { inviteCode: group.inviteCode, inviteUrl: this.inviteUrl(group) } : {}),
+      createdAt: group.createdAt
+    };
+  }
+
+  async uniqueInviteCode() {
+    for (let attempt = 0; attempt < INVITE_CODE_ATTEMPTS; attempt++) {
+      const code = Group.generateInviteCode();
+      if (!(await Group.exists({ inviteCode: code }))) return code;
+    }
+    throw new Error('Could not generate a unique invite code');
+  }
+
+  async create(user, { name, description, type, requiresApproval }) {
+    const group = await Group.create({
+      name,
+      description,
+      type,
+      requiresApproval,
+      ownerId: user._id,
+      inviteCode: await this.uniqueInviteCode(),
+      members: [{ userId: user._id, role: 'owner', status: 'active', joinedAt: new Date() }]
+    });
+
+    joinUserToRoom(user._id, groupRoom(group._id));
+    console.log(`👥 ${user.name} created group ${group.name} (${group._id})`);
+    return group;
+  }
+
+  /**
+   * Load a group the user belongs to (pending members included); 404 otherwise so group ids are not probeable
+   */
+  async findForUser(groupId, userId) {
+    const group = await Group.findById(groupId);
+    if (!group || !group.memberFor(userId)) {
+      throw new GroupError('Group not found', 404);
+    }
+    return group;
+  }
+
+  async findManagedBy(groupId, userId) {
+    const group = await this.findForUser(groupId, userId);
+    if (!group.canManage(userId)) {
+      throw new GroupError('Only the group owner or an admin can do this', 403);
+    }
+    return group;
+  }
+
+  async rotateInviteCode(group) {
+    group.inviteCode = await this.uniqueInviteCode();
+    await group.save();
+    return group;
+  }
+
+  async findByInviteCode(code) {
+    const group = await Group.findOne({ inviteCode: String(code).trim().toUpperCase() });
+    if (!group) {
+      throw new GroupError('Invalid invite code', 404);
+    }
+    return group;
+  }
+
+  /**
+   * What someone opening an invite link sees before joining: no members or locations
+   */
+  invitePreview(group) {
+    return {
+      code: group.inviteCode,
+      name: group.name,
+      type: group.type,
+      requiresApproval: group.requiresApproval,
+      memberCount: group.activeMembers().length,
+      isFull: group.members.length >= group.maxMembers
+    };
+  }
+
+  /**
+   * Join with an invite code. Returns the group and whether the user is now active or waiting for approval.
+   */
+  async joinWithCode(user, code) {
+    const group = await this.findByInviteCode(code);
+
+    const existing = group.memberFor(user._id);
+    if (existing) {
+      return { group, status: existing.status };
+    }
+    if (group.members.length >= group.maxMembers) {
+      throw new GroupError('This group is full', 409);
+    }
+
+    const status = group.requiresApproval ? 'pending' : 'active';
+    group.members.push({
+      userId: user._id,
+      role: 'member',
+      status,
+      joinedAt: status === 'active' ? new Date() : null
+    });
+    await group.save();
+
+    if (status === 'active') {
+      this.memberActivated(group, user._id, user.name);
+    } else {
+      const managers = group.members.filter(m => m.status === 'active' && ['owner', 'admin'].includes(m.role));
+      managers.forEach(manager => {
+        notificationService.notify(manager.userId, {
+          type: 'group',
+          priority: 'medium',
+          title: `${user.name} wants to join ${group.name}`,
+          message: `${user.name} asked to join your group. Approve them to share live locations and alerts.`,
+          screen: 'group',
+          params: { groupId: String(group._id) }
+        });
+        emitToUser(manager.userId, 'group_join_requested', {
+          groupId: String(group._id),
+          userId: String(user._id),
+          userName: user.name
+        });
+      });
+    }
+
+    return { group, status };
+  }
+
+  async approve(group, approver, memberUserId) {
+    const member = group.memberFor(memberUserId);
+    if (!member) {
+      throw new GroupError('Member not found', 404);
+    }
+    if (member.status === 'active') {
+      return group;
+    }
+
+    member.status = 'active';
+    member.joinedAt = new Date();
+    member.approvedBy = approver._id;
+    await group.save();
+
+    const user = await User.findById(memberUserId).select('name');
+    this.memberActivated(group, memberUserId, user ? user.name : 'A new member');
+
+    notificationService.notify(memberUserId, {
+      type: 'group',
+      priority: 'medium',
+      title: `You joined ${group.name}`,
+      message: `${approver.name} approved your request to join ${group.name}.`,
+      screen: 'group',
+      params: { groupId: String(group._id) }
+    });
+    return group;
+  }
+
+  /**
+   * Remove a member (by a manager) or leave (memberUserId is the actor). The owner cannot leave or be removed.
+   */
+  async removeMember(group, actorId, memberUserId) {
+    const member = group.memberFor(memberUserId);
+    if (!member) {
+      throw new GroupError('Member not found', 404);
+    }
+    if (member.role === 'owner') {
+      throw new GroupError('The owner cannot leave the group; delete it or transfer ownership first', 400);
+    }
+
+    const leaving = String(actorId) === String(memberUserId);
+    if (!leaving) {
+      const actor = group.memberFor(actorId);
+      // Admins manage members; only the owner removes admins
+      if (!group.canManage(actorId) || (member.role === 'admin' && actor.role !== 'owner')) {
+        throw new GroupError('You cannot remove this member', 403);
+      }
+    }
+
+    group.members = group.members.filter(m => String(m.userId) !== String(memberUserId));
+    await group.save();
+
+    removeUserFromRoom(memberUserId, groupRoom(group._id));
+    emitToRoom(groupRoom(group._id), 'group_member_left', {
+      groupId: String(group._id),
+      userId: String(memberUserId),
+      removed: !leaving
+    });
+    if (!leaving) {
+      emitToUser(memberUserId, 'group_removed', { groupId: String(group._id), groupName: group.name });
+    }
+    return group;
+  }
+
+  async setRole(group, actorId, memberUserId, role) {
+    if (String(group.ownerId) !== String(actorId)) {
+      throw new GroupError('Only the group owner can change roles', 403);
+    }
+
+    const member = group.memberFor(memberUserId);
+    if (!member || member.status !== 'active') {
+      throw new GroupError('Member not found', 404);
+    }
+
+    if (role === 'owner') {
+      // Transfer ownership; the previous owner stays on as an admin
+      group.memberFor(actorId).role = 'admin';
+      group.ownerId = member.userId;
+    }
+    member.role = role;
+    await group.save();
+
+    emitToRoom(groupRoom(group._id), 'group_member_updated', {
+      groupId: String(group._id),
+      userId: String(memberUserId),
+      role
+    });
+    return group;
+  }
+
+  async deleteGroup(group, actorId) {
+    if (String(group.ownerId) !== String(actorId)) {
+      throw new GroupError('Only the group owner can delete the group', 403);
+    }
+
+    emitToRoom(groupRoom(group._id), 'group_deleted', { groupId: String(group._id), groupName: group.name });
+    group.members.forEach(member => removeUserFromRoom(member.userId, groupRoom(group._id)));
+    await Group.deleteOne({ _id: group._id });
+  }
+
+  memberActivated(group, userId, userName) {
+    joinUserToRoom(userId, groupRoom(group._id));
+    emitToRoom(groupRoom(group._id), 'group_member_joined', {
+      groupId: String(group._id),
+      userId: String(userId),
+      userName
+    });
+  }
+}
+
+module.exports = new GroupService();
+module.exports.GroupError = GroupError;
@@ -0,0 +1,193 @@
+const SOSAlert = require('../models/SOSAlert');
+const SOSTrackPoint = require('../models/SOSTrackPoint');
+const EmergencyContact = require('../models/EmergencyContact');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const { alertRoom, emitToRoom } = require('./realtime');
+const { toE164 } = require('../utils/phone');
+
+const MAX_BATCH = 100;
+const TIMELINE_INTERVAL_MS = 5 * 60 * 1000;
+// Device clocks drift; reject positions claiming to be far in the future
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+class TrackingError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'TrackingError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Live location sessions for SOS alerts. A session runs from alert creation until
+ * the alert is resolved or cancelled; positions are streamed by the victim's app and
+ * fanned out to subscribers of the `sos:<alertId>` Socket.IO room.
+ */
+class LiveTrackingService {
+  /**
+   * Whether a user may watch an alert's track: its owner, an active member of one of the
+   * owner's groups, or an app user whose phone number is one of the owner's emergency contacts
+   */
+  async canView(alert, userId) {
+    if (!userId) return false;
+    if (String(alert.userId) === String(userId)) return true;
+
+    const sharedGroup = await Group.exists({
+      $and: [
+        { members: { $elemMatch: { userId: alert.userId, status: 'active' } } },
+        { members: { $elemMatch: { userId, status: 'active' } } }
+      ]
+    });
+    if (sharedGroup) return true;
+
+    const viewer = await User.findById(userId).select('phone isActive');
+    if (!viewer || !viewer.isActive) return false;
+
+    // Compared in E.164 so a differently formatted copy of the viewer's number still matches
+    const phoneE164 = toE164(viewer.phone);
+    if (!phoneE164) return false;
+
+    const contact = await EmergencyContact.exists({ userId: alert.userId, phoneE164 });
+    return Boolean(contact);
+  }
+
+  normalize(position) {
+    const latitude = parseFloat(position.latitude);
+    const longitude = parseFloat(position.longitude);
+    if (!(latitude >= -90 && latitude <= 90) || !(longitude >= -180 && longitude <= 180)) {
+      return null;
+    }
+
+    const recordedAt = position.timestamp ? new Date(position.timestamp) : new Date();
+    if (isNaN(recordedAt.getTime()) || recordedAt.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+      return null;
+    }
+
+    const optional = value => (value === undefined || value === null || isNaN(parseFloat(value)) ? null : parseFloat(value));
+    return {
+      latitude,
+      longitude,
+      accuracy: optional(position.accuracy),
+      speed: optional(position.speed),
+      heading: optional(position.heading),
+      recordedAt
+    };
+  }
+
+  /**
+   * Append positions to an alert's track. Only the alert owner may stream, and only while the session is live.
+   * Returns { accepted, rejected, lastLocation }.
+   */
+  async recordPositions(alertId, userId, positions, { source = 'rest' } = {}) {
+    const alert = await SOSAlert.findById(alertId);
+    if (!alert || String(alert.userId) !== String(userId)) {
+      throw new TrackingError('Alert not found', 404);
+    }
+    if (!SOSAlert.OPEN_STATUSES.includes(alert.status) || !alert.tracking.isLive) {
+      throw new TrackingError('Live tracking has ended for this alert', 409);
+    }
+    if (positions.length > MAX_BATCH) {
+      throw new TrackingError(`At most ${MAX_BATCH} positions per request`, 400);
+    }
+
+    const valid = positions.map(p => this.normalize(p)).filter(Boolean)
+      .sort((a, b) => a.recordedAt - b.recordedAt);
+    if (valid.length === 0) {
+      return { accepted: 0, rejected: positions.length, lastLocation: alert.tracking.lastLocation || null };
+    }
+
+    await SOSTrackPoint.insertMany(valid.map(p => ({ ...p, alertId: alert._id, userId: alert.userId, source })));
+
+    // Late-arriving (buffered) positions extend the trail but never move the live marker backwards
+    const newest = valid[valid.length - 1];
+    const current = alert.tracking.lastLocation;
+    const update = { $inc: { 'tracking.pointCount': valid.length } };
+    const set = {};
+    if (!current || !current.recordedAt || newest.recordedAt >= current.recordedAt) {
+      set['tracking.lastLocation'] = {
+        latitude: newest.latitude,
+        longitude: newest.longitude,
+        accuracy: newest.accuracy,
+        recordedAt: newest.recordedAt
+      };
+    }
+
+    const now = new Date();
+    const lastTimelineAt = alert.tracking.lastTimelineAt;
+    if (!lastTimelineAt || now - lastTimelineAt >= TIMELINE_INTERVAL_MS) {
+      set['tracking.lastTimelineAt'] = now;
+      update.$push = {
+        timeline: {
+          type: 'location_update',
+          at: now,
+          message: 'Live location updated',
+          data: { latitude: newest.latitude, longitude: newest.longitude, accuracy: newest.accuracy }
+        }
+      };
+    }
+    if (Object.keys(set).length > 0) update.$set = set;
+
+    const updated = await SOSAlert.findOneAndUpdate({ _id: alert._id }, update, { new: true });
+    const lastLocation = updated.tracking.lastLocation;
+
+    emitToRoom(alertRoom(alert._id), 'sos_location', {
+      alertId: String(alert._id),
+      location: lastLocation,
+      points: valid,
+      pointCount: updated.tracking.pointCount
+    });
+
+    return { accepted: valid.length, rejected: positions.length - valid.length, lastLocation };
+  }
+
+  /**
+   * Breadcrumb trail of an alert, oldest first
+   */
+  async getTrack(alert, { since = null, limit = 500 } = {}) {
+    const query = { alertId: alert._id };
+    if (since) query.recordedAt = { $gt: since };
+
+    // Take the most recent `limit` points, then return them in chronological order
+    const points = await SOSTrackPoint.find(query)
+      .sort({ recordedAt: -1 })
+      .limit(limit);
+
+    return {
+      alertId: alert._id,
+      status: alert.status,
+      isLive: alert.tracking.isLive && SOSAlert.OPEN_STATUSES.includes(alert.status),
+      startedAt: alert.tracking.startedAt,
+      endedAt: alert.tracking.endedAt,
+      origin: alert.location,
+      lastLocation: alert.tracking.lastLocation && alert.tracking.lastLocation.latitude !== undefined
+        ? alert.tracking.lastLocation
+        : null,
+      pointCount: alert.tracking.pointCount,
+      points: points.reverse().map(p => p.toBreadcrumb())
+    };
+  }
+
+  /**
+   * End an alert's session and tell subscribers. Safe to call more than once.
+   */
+  async endSession(alert) {
+    const endedAt = new Date();
+    const result = await SOSAlert.updateOne(
+      { _id: alert._id, 'tracking.isLive': { $ne: false } },
+      { $set: { 'tracking.isLive': false, 'tracking.endedAt': endedAt } }
+    );
+
+    if (result.modifiedCount > 0) {
+      emitToRoom(alertRoom(alert._id), 'sos_track_ended', {
+        alertId: String(alert._id),
+        status: alert.status,
+        endedAt
+      });
+    }
+    return result.modifiedCount > 0;
+  }
+}
+
+module.exports = new LiveTrackingService();
+module.exports.TrackingError = TrackingError;
@@ -0,0 +1,91 @@
+const Notification = require('../models/Notification');
+
+// Default lifetime of inbox entries per type (days). Safety-critical history is kept longer.
+const DEFAULT_TTL_DAYS = {
+  sos: 365,
+  auto_sos: 365,
+  trip: 90,
+  contact: 90,
+  group: 90,
+  alert: 90,
+  safety: 30,
+  system: 30
+};
+
+class NotificationService {
+  /**
+   * Write a notification into a user's inbox.
+   * Never throws: inbox writes must not break the flow that produced them.
+   */
+  async notify(userId, { type = 'system', priority = 'medium', title, message, screen = null, params = {}, expiresAt } = {}) {
+    try {
+      if (!userId || !title || !message) {
+        throw new Error('userId, title and message are required');
+      }
+
+      const ttlDays = DEFAULT_TTL_DAYS[type] || DEFAULT_TTL_DAYS.system;
+
+      const notification = await Notification.create({
+        userId,
+        type,
+        priority,
+        title,
+        message,
+        data: { screen, params },
+        expiresAt: expiresAt !== undefined
+          ? expiresAt
+          : new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000)
+      });
+
+      return notification;
+    } catch (error) {
+      console.error('❌ Failed to write inbox notification:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Inbox entry for an SOS alert raised by the user (manual or automatic)
+   */
+  notifySOSTriggered(user, alert, { automatic = false } = {}) {
+    return this.notify(user._id, {
+      type: automatic ? 'auto_sos' : 'sos',
+      priority: 'critical',
+      title: automatic ? 'Automatic SOS triggered' : 'SOS alert sent',
+      message: alert.message || 'Emergency assistance required',
+      screen: 'sos_alert',
+      params: { alertId: String(alert._id) }
+    });
+  }
+
+  /**
+   * Inbox entry for a trip monitoring alert
+   */
+  notifyTripAlert(userId, trip, message) {
+    return this.notify(userId, {
+      type: 'trip',
+      priority: 'high',
+      title: `Trip alert: ${trip.title}`,
+      message,
+      screen: 'trip_event',
+      params: { tripId: String(trip._id) }
+    });
+  }
+
+  /**
+   * Inbox entry for an emergency contact change
+   */
+  notifyContactChange(userId, contact, action) {
+    const verbs = { added: 'added to', updated: 'updated in', removed: 'removed from' };
+    return this.notify(userId, {
+      type: 'contact',
+      priority: 'low',
+      title: `Emergency contact ${action}`,
+      message: `${contact.name} was ${verbs[action] || action} your emergency contacts`,
+      screen: 'emergency_contacts',
+      params: { contactId: String(contact._id) }
+    });
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,288 @@
+const fs = require('fs');
+const path = require('path');
+const PointOfInterest = require('../models/PointOfInterest');
+const { isOpenAt, isOpen24Hours } = require('../utils/openingHours');
+
+// Average approach speed used for the estimated travel time to a service (km/h)
+const ESTIMATE_SPEED_KMH = 30;
+
+/**
+ * Map OSM tags onto one of our POI categories
+ */
+const categoryFromTags = (tags = {}) => {
+  if (tags.amenity === 'hospital' || tags.healthcare === 'hospital') return 'hospital';
+  if (tags.amenity === 'police') return 'police';
+  if (tags.amenity === 'fire_station') return 'fire';
+  if (tags.amenity === 'fuel') return 'gas_station';
+  if (tags.shop === 'car_repair' || tags.craft === 'mechanic' || tags.amenity === 'car_repair') return 'mechanic';
+  return null;
+};
+
+const CATEGORY_ALIASES = {
+  fuel: 'gas_station',
+  gas: 'gas_station',
+  fire_station: 'fire',
+  car_repair: 'mechanic'
+};
+
+const normaliseCategory = (value) => {
+  if (!value) return null;
+  const key = String(value).trim().toLowerCase();
+  const category = CATEGORY_ALIASES[key] || key;
+  return PointOfInterest.CATEGORIES.includes(category) ? category : null;
+};
+
+const addressFromTags = (tags = {}) => {
+  if (tags['addr:full']) return tags['addr:full'];
+  const street = [tags['addr:housenumber'], tags['addr:street']].filter(Boolean).join(' ');
+  return [street, tags['addr:city']].filter(Boolean).join(', ') || null;
+};
+
+/**
+ * Split a CSV line, honouring double-quoted fields
+ */
+const splitCSVLine = (line) => {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') { current += '"'; i++; }
+      else if (char === '"') quoted = false;
+      else current += char;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current);
+  return fields.map(f => f.trim());
+};
+
+class POIService {
+  /**
+   * Parse OSM JSON (e.g. Overpass API output with `out center;`) into POI records
+   */
+  parseOSM(data, { timezone = null } = {}) {
+    const elements = Array.isArray(data.elements) ? data.elements : [];
+    const records = [];
+
+    for (const element of elements) {
+      const tags = element.tags || {};
+      const category = categoryFromTags(tags);
+      const lat = element.lat ?? element.center?.lat;
+      const lon = element.lon ?? element.center?.lon;
+      if (!category || lat === undefined || lon === undefined) continue;
+
+      records.push({
+        name: tags.name || tags.operator || category,
+        category,
+        address: addressFromTags(tags),
+        phone: tags.phone || tags['contact:phone'] || null,
+        location: { type: 'Point', coordinates: [lon, lat] },
+        openingHours: tags.opening_hours || null,
+        timezone,
+        source: 'osm',
+        externalId: `${element.type}/${element.id}`,
+        tags
+      });
+    }
+
+    return records;
+  }
+
+  /**
+   * Parse a GeoJSON FeatureCollection of Point features into POI records.
+   * Features may carry OSM tags or explicit `category`/`name` properties.
+   */
+  parseGeoJSON(data, { timezone = null } = {}) {
+    const features = data.type === 'FeatureCollection' ? data.features : [data];
+    const records = [];
+
+    features.forEach((feature, index) => {
+      const props = feature.properties || {};
+      const geometry = feature.geometry || {};
+      if (geometry.type !== 'Point' || !Array.isArray(geometry.coordinates)) return;
+
+      const category = normaliseCategory(props.category || props.type) || categoryFromTags(props);
+      if (!category) return;
+
+      records.push({
+        name: props.name || category,
+        category,
+        address: props.address || addressFromTags(props),
+        phone: props.phone || props['contact:phone'] || null,
+        location: { type: 'Point', coordinates: geometry.coordinates.slice(0, 2) },
+        openingHours: props.opening_hours || props.openingHours || null,
+        timezone: props.timezone || timezone,
+        source: 'geojson',
+        externalId: String(feature.id ?? props.id ?? props['@id'] ?? index),
+        tags: props
+      });
+    });
+
+    return records;
+  }
+
+  /**
+   * Parse CSV with a header row. Recognised columns:
+   * id, name, category, latitude, longitude, address, phone, opening_hours, timezone
+   */
+  parseCSV(text, { timezone = null } = {}) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length < 2) return [];
+
+    const header = splitCSVLine(lines[0]).map(h => h.toLowerCase());
+    const records = [];
+
+    lines.slice(1).forEach((line, index) => {
+      const values = splitCSVLine(line);
+      const row = {};
+      header.forEach((column, i) => { row[column] = values[i]; });
+
+      const category = normaliseCategory(row.category || row.type);
+      const latitude = parseFloat(row.latitude || row.lat);
+      const longitude = parseFloat(row.longitude || row.lon || row.lng);
+      if (!category || isNaN(latitude) || isNaN(longitude)) return;
+
+      records.push({
+        name: row.name || category,
+        category,
+        address: row.address || null,
+        phone: row.phone || null,
+        location: { type: 'Point', coordinates: [longitude, latitude] },
+        openingHours: row.opening_hours || row.openinghours || null,
+        timezone: row.timezone || timezone,
+        source: 'csv',
+        externalId: row.id || String(index + 1)
+      });
+    });
+
+    return records;
+  }
+
+  /**
+   * Import a dataset file. Format is inferred from the extension unless given.
+   * Re-importing the same file updates existing POIs instead of duplicating them.
+   */
+  async importFile(filePath, { format, timezone = null } = {}) {
+    const ext = path.extname(filePath).toLowerCase();
+    const resolvedFormat = format || (ext === '.csv' ? 'csv' : ext === '.geojson' ? 'geojson' : null);
+    const raw = fs.readFileSync(filePath, 'utf8');
+
+    let records;
+    if (resolvedFormat === 'csv') {
+      records = this.parseCSV(raw, { timezone });
+    } else {
+      const data = JSON.parse(raw);
+      const isGeoJSON = resolvedFormat === 'geojson' || (!resolvedFormat && (data.type === 'FeatureCollection' || data.type === 'Feature'));
+      records = isGeoJSON ? this.parseGeoJSON(data, { timezone }) : this.parseOSM(data, { timezone });
+    }
+
+    return this.upsertMany(records);
+  }
+
+  /**
+   * Upsert POI records keyed by source + externalId
+   */
+  async upsertMany(records, batchSize = 1000) {
+    let upserted = 0;
+    let modified = 0;
+
+    for (let i = 0; i < records.length; i += batchSize) {
+      const batch = records.slice(i, i + batchSize);
+      const result = await PointOfInterest.bulkWrite(batch.map(record => ({
+        updateOne: {
+          filter: { source: record.source, externalId: record.externalId },
+          update: { $set: { ...record, isActive: true } },
+          upsert: true
+        }
+      })), { ordered: false });
+
+      upserted += result.upsertedCount || 0;
+      modified += result.modifiedCount || 0;
+    }
+
+    return { parsed: records.length, upserted, modified };
+  }
+
+  /**
+   * Find services near a point using $geoNear, sorted by distance.
+   * Opening state is evaluated against the current local time of each POI.
+   */
+  async searchNearby({ latitude, longitude, radiusKm = 10, type = 'all', openNow = false, page = 1, limit = 20, at = new Date() }) {
+    const query = { isActive: true };
+    if (type !== 'all') query.category = type;
+
+    const [result] = await PointOfInterest.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [longitude, latitude] },
+          distanceField: 'distanceMeters',
+          maxDistance: radiusKm * 1000,
+          spherical: true,
+          query
+        }
+      },
+      {
+        $facet: {
+          items: openNow ? [{ $skip: 0 }] : [{ $skip: (page - 1) * limit }, { $limit: limit }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    let services = result.items.map(poi => this.formatService(poi, at));
+    let total = result.total[0]?.count || 0;
+
+    // Opening hours are evaluated in application code, so filter before paginating
+    if (openNow) {
+      services = services.filter(service => service.currentStatus !== 'closed');
+      total = services.length;
+      services = services.slice((page - 1) * limit, page * limit);
+    }
+
+    return {
+      services,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Shape a POI aggregate result for the API
+   */
+  formatService(poi, at = new Date()) {
+    const distanceKm = poi.distanceMeters / 1000;
+    const timezone = poi.timezone || process.env.POI_DEFAULT_TIMEZONE || null;
+    const open = isOpenAt(poi.openingHours, at, timezone);
+
+    return {
+      id: poi._id,
+      name: poi.name,
+      type: poi.category,
+      address: poi.address,
+      phone: poi.phone,
+      location: {
+        latitude: poi.location.coordinates[1],
+        longitude: poi.location.coordinates[0]
+      },
+      distance: parseFloat(distanceKm.toFixed(2)),
+      estimatedTime: Math.max(1, Math.round((distanceKm / ESTIMATE_SPEED_KMH) * 60)),
+      openingHours: poi.openingHours,
+      isOpen24Hours: isOpen24Hours(poi.openingHours),
+      currentStatus: open === null ? 'unknown' : open ? 'open' : 'closed'
+    };
+  }
+}
+
+module.exports = new POIService();
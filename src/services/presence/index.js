@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+/**
+ * Presence store and Socket.IO adapter selection.
+ * PRESENCE_STORE=memory (default) keeps presence in this process, which is enough for a single instance.
+ * PRESENCE_STORE=mongo shares presence through MongoDB and attaches the MongoDB Socket.IO adapter,
+ * so several API instances can run behind a load balancer and still reach each other's sockets.
+ */
+const ADAPTER_COLLECTION = 'socket_io_events';
+// Adapter events only need to live long enough for every instance to read them
+const ADAPTER_EVENT_TTL_SECONDS = 60 * 60;
+
+const STORES = {
+  memory: () => require('./memoryStore'),
+  mongo: () => require('./mongoStore')
+};
+
+let store = null;
+
+const storeName = () => process.env.PRESENCE_STORE || 'memory';
+
+const getPresenceStore = () => {
+  if (!store) {
+    const Store = STORES[storeName()];
+    if (!Store) {
+      throw new Error(`Unknown presence store: ${storeName()}`);
+    }
+    store = new (Store())();
+  }
+  return store;
+};
+
+/**
+ * Attach the cross-instance adapter when presence is shared. Resolves once the adapter is in place;
+ * events emitted before then only reach sockets on this instance.
+ */
+const attachAdapter = async (io) => {
+  if (storeName() !== 'mongo') return false;
+
+  const { createAdapter } = require('@socket.io/mongo-adapter');
+  await mongoose.connection.asPromise();
+
+  const collection = mongoose.connection.db.collection(ADAPTER_COLLECTION);
+  await collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: ADAPTER_EVENT_TTL_SECONDS });
+
+  io.adapter(createAdapter(collection, { addCreatedAtField: true }));
+  console.log('🔗 Socket.IO MongoDB adapter attached');
+  return true;
+};
+
+module.exports = {
+  getPresenceStore,
+  attachAdapter
+};
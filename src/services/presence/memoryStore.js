@@ -0,0 +1,95 @@
+const spatial = require('./spatial');
+
+/**
+ * Presence for a single API instance, held in process memory.
+ * Sessions with a location are indexed by every geohash prefix of their cell,
+ * so a nearby lookup only visits the sessions in the cells covering the radius.
+ */
+class MemoryPresenceStore {
+  constructor() {
+    this.sessions = new Map(); // socketId -> session
+    this.cells = new Map(); // geohash prefix -> Set of socketIds
+  }
+
+  async save(session) {
+    const previous = this.sessions.get(session.socketId);
+    const hash = session.location
+      ? spatial.cellOf(session.location)
+      : null;
+
+    if (previous && previous.geohash !== hash) {
+      this.unindex(previous);
+    }
+
+    const stored = { ...session, geohash: hash };
+    this.sessions.set(session.socketId, stored);
+    if (hash && (!previous || previous.geohash !== hash)) {
+      this.index(stored);
+    }
+    return stored;
+  }
+
+  async get(socketId) {
+    return this.sessions.get(socketId) || null;
+  }
+
+  async remove(socketId) {
+    const session = this.sessions.get(socketId);
+    if (!session) return false;
+    this.unindex(session);
+    this.sessions.delete(socketId);
+    return true;
+  }
+
+  async findNearby(point, radiusKm, { excludeSocketId = null } = {}) {
+    const cells = spatial.coverCells(point.latitude, point.longitude, radiusKm);
+
+    let candidates;
+    if (cells) {
+      candidates = [];
+      cells.forEach(cell => {
+        (this.cells.get(cell) || []).forEach(socketId => candidates.push(this.sessions.get(socketId)));
+      });
+    } else {
+      candidates = Array.from(this.sessions.values());
+    }
+
+    return spatial.withinRadius(point, radiusKm, candidates.filter(s => s.socketId !== excludeSocketId));
+  }
+
+  async removeInactive(lastSeenBefore) {
+    let removed = 0;
+    for (const session of Array.from(this.sessions.values())) {
+      if (session.lastSeen < lastSeenBefore) {
+        await this.remove(session.socketId);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  index(session) {
+    for (let length = 1; length <= session.geohash.length; length++) {
+      const prefix = session.geohash.slice(0, length);
+      if (!this.cells.has(prefix)) {
+        this.cells.set(prefix, new Set());
+      }
+      this.cells.get(prefix).add(session.socketId);
+    }
+  }
+
+  unindex(session) {
+    if (!session.geohash) return;
+    for (let length = 1; length <= session.geohash.length; length++) {
+      const prefix = session.geohash.slice(0, length);
+      const members = this.cells.get(prefix);
+      if (!members) continue;
+      members.delete(session.socketId);
+      if (members.size === 0) {
+        this.cells.delete(prefix);
+      }
+    }
+  }
+}
+
+module.exports = MemoryPresenceStore;
@@ -0,0 +1,78 @@
+const PresenceSession = require('../../models/PresenceSession');
+const spatial = require('./spatial');
+
+// Sessions are exchanged as plain objects with epoch-millisecond timestamps, like the memory store
+const toSession = (doc) => ({
+  socketId: doc.socketId,
+  userId: String(doc.userId),
+  userName: doc.userName,
+  anonymousId: doc.anonymousId,
+  location: doc.location && doc.location.latitude !== undefined && doc.location.latitude !== null ? doc.location : null,
+  geohash: doc.geohash,
+  status: doc.status,
+  statusMessage: doc.statusMessage,
+  lastSeen: new Date(doc.lastSeen).getTime(),
+  connectedAt: new Date(doc.connectedAt).getTime()
+});
+
+/**
+ * Presence shared by every API instance through MongoDB.
+ * Nearby lookups query the geohash index by cell prefix, then filter on exact distance.
+ * Sessions of crashed instances expire through the TTL index on lastSeen.
+ */
+class MongoPresenceStore {
+  async save(session) {
+    const hash = session.location
+      ? spatial.cellOf(session.location)
+      : null;
+
+    await PresenceSession.updateOne(
+      { socketId: session.socketId },
+      {
+        $set: {
+          userId: session.userId,
+          userName: session.userName,
+          anonymousId: session.anonymousId,
+          location: session.location || null,
+          geohash: hash,
+          status: session.status,
+          statusMessage: session.statusMessage,
+          lastSeen: new Date(session.lastSeen),
+          connectedAt: new Date(session.connectedAt)
+        }
+      },
+      { upsert: true }
+    );
+    return { ...session, geohash: hash };
+  }
+
+  async get(socketId) {
+    const doc = await PresenceSession.findOne({ socketId }).lean();
+    return doc ? toSession(doc) : null;
+  }
+
+  async remove(socketId) {
+    const result = await PresenceSession.deleteOne({ socketId });
+    return result.deletedCount > 0;
+  }
+
+  async findNearby(point, radiusKm, { excludeSocketId = null } = {}) {
+    const cells = spatial.coverCells(point.latitude, point.longitude, radiusKm);
+    const query = cells
+      ? { geohash: { $in: cells.map(cell => new RegExp(`^${cell}`)) } }
+      : { geohash: { $ne: null } };
+    if (excludeSocketId) {
+      query.socketId = { $ne: excludeSocketId };
+    }
+
+    const docs = await PresenceSession.find(query).lean();
+    return spatial.withinRadius(point, radiusKm, docs.map(toSession));
+  }
+
+  async removeInactive(lastSeenBefore) {
+    const result = await PresenceSession.deleteMany({ lastSeen: { $lt: new Date(lastSeenBefore) } });
+    return result.deletedCount;
+  }
+}
+
+module.exports = MongoPresenceStore;
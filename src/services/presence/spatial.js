@@ -0,0 +1,45 @@
+// Radius covers and distance filtering for the presence spatial index.
+// Sessions are indexed by the geohash of their cell; shorter prefixes are larger cells containing the longer ones.
+
+const geolib = require('geolib');
+const { encodeGeohash, geohashNeighbourhood, precisionForRadius, cellSizeMeters } = require('../../utils/geohash');
+
+// Finest precision stored by the index (~1.2 km x 0.6 km cells)
+const INDEX_PRECISION = 6;
+
+const cellOf = (location) => encodeGeohash(location.latitude, location.longitude, INDEX_PRECISION);
+
+/**
+ * Cells (geohash prefixes) that together contain every point within `radiusKm` of a point:
+ * the containing cell and its eight neighbours at the finest precision whose cells are at least
+ * as large as the radius. Returns null when the radius is too large to index, meaning callers should scan everything.
+ */
+const coverCells = (latitude, longitude, radiusKm) => {
+  const radiusMeters = radiusKm * 1000;
+  const precision = Math.min(INDEX_PRECISION, precisionForRadius(radiusMeters, latitude));
+  const { width, height } = cellSizeMeters(precision, latitude);
+  if (Math.min(width, height) < radiusMeters) return null;
+  return geohashNeighbourhood(latitude, longitude, precision);
+};
+
+/**
+ * Exact distance filter over index candidates. Returns [{ session, distance }] (km), nearest first.
+ */
+const withinRadius = (point, radiusKm, sessions) => sessions
+  .filter(session => session && session.location)
+  .map(session => ({
+    session,
+    distance: geolib.getDistance(
+      { latitude: point.latitude, longitude: point.longitude },
+      { latitude: session.location.latitude, longitude: session.location.longitude }
+    ) / 1000 // Convert to kilometers
+  }))
+  .filter(({ distance }) => distance <= radiusKm)
+  .sort((a, b) => a.distance - b.distance);
+
+module.exports = {
+  INDEX_PRECISION,
+  cellOf,
+  coverCells,
+  withinRadius
+};
@@ -0,0 +1,195 @@
+const geolib = require('geolib');
+const User = require('../models/User');
+const EmergencyContact = require('../models/EmergencyContact');
+const Group = require('../models/Group');
+const { encodeGeohash, decodeGeohash } = require('../utils/geohash');
+const { toE164 } = require('../utils/phone');
+
+// Policies are cached so broadcasts do not hit the database on every location update.
+// A change saved on another API instance applies here within this window.
+const POLICY_CACHE_MS = 60 * 1000;
+
+// Anonymous viewers see positions snapped to the centre of a cell this size (~1.2 km x 0.6 km)
+const FUZZ_PRECISION = 6;
+// Farthest a position can be from its cell centre (half the cell diagonal), rounded up
+const FUZZ_MARGIN_KM = 0.7;
+// Anonymous matches use a radius rounded up to whole kilometres and at least this large
+const ANONYMOUS_MIN_RADIUS_KM = 2;
+
+const pairKey = (ownerId, viewerId) => `${ownerId}:${viewerId}`;
+
+/**
+ * Decides what one connected user may see of another in nearby discovery and broadcasts.
+ * Access levels: 'full' (identity and exact position), 'anonymous' (no identity, fuzzed position) or 'none'.
+ */
+class PrivacyService {
+  constructor() {
+    this.cache = new Map(); // userId -> { user, loadedAt }
+  }
+
+  /**
+   * Effective visibility of each user: nobody, contacts, groups, anonymous, or everyone while an override runs
+   */
+  async visibilityFor(userIds) {
+    const now = Date.now();
+    const missing = userIds.filter(id => {
+      const cached = this.cache.get(id);
+      return !cached || now - cached.loadedAt > POLICY_CACHE_MS;
+    });
+
+    if (missing.length > 0) {
+      const users = await User.find({ _id: { $in: missing }, isActive: true }).select('privacy settings.locationSharing');
+      const found = new Map(users.map(user => [String(user._id), user]));
+      missing.forEach(id => this.cache.set(id, { user: found.get(id) || null, loadedAt: now }));
+    }
+
+    const visibility = new Map();
+    userIds.forEach(id => {
+      const { user } = this.cache.get(id);
+      visibility.set(id, user ? user.effectiveVisibility(new Date(now)) : 'nobody');
+    });
+    return visibility;
+  }
+
+  invalidate(userId) {
+    this.cache.delete(String(userId));
+  }
+
+  /**
+   * Owner/viewer pairs where the viewer's phone number is one of the owner's emergency contacts
+   */
+  async contactLinks(ownerIds, viewerIds) {
+    const viewers = (await User.find({ _id: { $in: viewerIds }, phone: { $ne: null } }).select('phone'))
+      .map(viewer => ({ userId: viewer._id, phoneE164: toE164(viewer.phone) }))
+      .filter(viewer => viewer.phoneE164);
+    if (viewers.length === 0) return new Set();
+
+    // Compared in E.164 so differently formatted copies of the same number still match
+    const contacts = await EmergencyContact.find({
+      userId: { $in: ownerIds },
+      phoneE164: { $in: viewers.map(v => v.phoneE164) }
+    }).select('userId phoneE164');
+
+    const links = new Set();
+    contacts.forEach(contact => {
+      viewers
+        .filter(viewer => viewer.phoneE164 === contact.phoneE164)
+        .forEach(viewer => links.add(pairKey(contact.userId, viewer.userId)));
+    });
+    return links;
+  }
+
+  /**
+   * Owner/viewer pairs who are both active members of at least one group
+   */
+  async groupLinks(ownerIds, viewerIds) {
+    const groups = await Group.find({
+      members: { $elemMatch: { userId: { $in: ownerIds }, status: 'active' } }
+    }).select('members');
+
+    const viewers = new Set(viewerIds.map(String));
+    const links = new Set();
+    groups.forEach(group => {
+      const active = group.activeMembers().map(member => String(member.userId));
+      active.filter(id => ownerIds.includes(id)).forEach(ownerId => {
+        active.filter(id => viewers.has(id)).forEach(viewerId => links.add(pairKey(ownerId, viewerId)));
+      });
+    });
+    return links;
+  }
+
+  // Distinct owner and viewer ids of the pairs whose owner uses the given visibility
+  pairIds(pairs, visibility, mode) {
+    const selected = pairs.filter(({ owner }) => visibility.get(String(owner.userId)) === mode);
+    return {
+      count: selected.length,
+      ownerIds: Array.from(new Set(selected.map(({ owner }) => String(owner.userId)))),
+      viewerIds: Array.from(new Set(selected.map(({ viewer }) => String(viewer.userId))))
+    };
+  }
+
+  /**
+   * Access level for each { owner, viewer } pair of presence sessions, in order
+   */
+  async accessLevels(pairs) {
+    if (pairs.length === 0) return [];
+
+    const ownerIds = Array.from(new Set(pairs.map(({ owner }) => String(owner.userId))));
+    const visibility = await this.visibilityFor(ownerIds);
+
+    const contactPairs = this.pairIds(pairs, visibility, 'contacts');
+    const contactLinks = contactPairs.count > 0
+      ? await this.contactLinks(contactPairs.ownerIds, contactPairs.viewerIds)
+      : new Set();
+    const groupPairs = this.pairIds(pairs, visibility, 'groups');
+    const groupLinks = groupPairs.count > 0
+      ? await this.groupLinks(groupPairs.ownerIds, groupPairs.viewerIds)
+      : new Set();
+
+    return pairs.map(({ owner, viewer }) => {
+      if (String(owner.userId) === String(viewer.userId)) return 'full';
+
+      switch (visibility.get(String(owner.userId))) {
+        case 'everyone':
+          return 'full';
+        case 'contacts':
+          return contactLinks.has(pairKey(owner.userId, viewer.userId)) ? 'full' : 'none';
+        case 'groups':
+          return groupLinks.has(pairKey(owner.userId, viewer.userId)) ? 'full' : 'none';
+        case 'anonymous':
+          return 'anonymous';
+        default:
+          return 'none';
+      }
+    });
+  }
+
+  /**
+   * Position snapped to the centre of its grid cell
+   */
+  fuzzLocation(location) {
+    if (!location) return null;
+    const cell = encodeGeohash(location.latitude, location.longitude, FUZZ_PRECISION);
+    const { latitude, longitude } = decodeGeohash(cell);
+    return { latitude, longitude, cell, approximate: true };
+  }
+
+  /**
+   * Radius an anonymous match is decided with: rounded up to whole kilometres, with a lower bound
+   */
+  anonymousRadius(radiusKm) {
+    return Math.max(ANONYMOUS_MIN_RADIUS_KM, Math.ceil(radiusKm));
+  }
+
+  /**
+   * Radius to search presence with so that every anonymous match within `radiusKm` is among the candidates
+   */
+  searchRadius(radiusKm) {
+    return Math.max(radiusKm, this.anonymousRadius(radiusKm) + FUZZ_MARGIN_KM);
+  }
+
+  /**
+   * Whether `location` falls within an anonymous radius of `from`. Measured from the fuzzed position,
+   * so probing with different radii and positions reveals no more than the cell.
+   */
+  isAnonymousMatch(location, from, radiusKm) {
+    if (!location || !from) return false;
+    return geolib.getDistance(from, this.fuzzLocation(location)) / 1000 <= this.anonymousRadius(radiusKm);
+  }
+
+  /**
+   * What an anonymous viewer standing at `from` sees of a session
+   */
+  anonymousView(session, from) {
+    const location = this.fuzzLocation(session.location);
+    return {
+      anonymousId: session.anonymousId,
+      location,
+      status: session.status,
+      // Measured to the cell centre and rounded, so distances cannot be used to triangulate
+      distance: parseFloat((geolib.getDistance(from, location) / 1000).toFixed(1))
+    };
+  }
+}
+
+module.exports = new PrivacyService();
@@ -0,0 +1,55 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Email delivery over SMTP (same settings as the auth/OTP mails)
+ */
+class EmailProvider {
+  constructor() {
+    this.name = 'smtp';
+    this.transporter = null;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.SMTP_USER && process.env.SMTP_PASSWORD);
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'smtp.gmail.com',
+        port: process.env.SMTP_PORT ? parseInt(process.env.SMTP_PORT) : 587,
+        secure: false,
+        auth: {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASSWORD,
+        },
+        tls: { rejectUnauthorized: true, minVersion: 'TLSv1.2' }
+      });
+    }
+    return this.transporter;
+  }
+
+  async sendEmail(to, subject, text) {
+    if (!this.isConfigured()) {
+      return { success: false, error: 'SMTP is not configured', retryable: false };
+    }
+
+    try {
+      const info = await this.getTransporter().sendMail({
+        from: `"Safe Travel App" <${process.env.SMTP_USER}>`,
+        to,
+        subject,
+        text
+      });
+      console.log(`📧 Email sent to ${to}, id: ${info.messageId}`);
+      return { success: true, providerMessageId: info.messageId, status: 'sent' };
+    } catch (error) {
+      console.error(`❌ Failed to email ${to}:`, error.message);
+      // 5xx SMTP replies are permanent rejections
+      const permanent = error.responseCode >= 500 && error.responseCode < 600;
+      return { success: false, error: error.message, retryable: !permanent };
+    }
+  }
+}
+
+module.exports = new EmailProvider();
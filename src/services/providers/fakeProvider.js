@@ -0,0 +1,53 @@
+/**
+ * Offline provider used for development and tests (DISPATCH_PROVIDER=fake).
+ * Every send is recorded in `outbox`; channels listed in FAKE_PROVIDER_FAIL_CHANNELS fail.
+ */
+class FakeProvider {
+  constructor() {
+    this.name = 'fake';
+    this.outbox = [];
+    this.sequence = 0;
+  }
+
+  record(channel, to, body, subject = null) {
+    const failing = (process.env.FAKE_PROVIDER_FAIL_CHANNELS || '')
+      .split(',')
+      .map(c => c.trim())
+      .filter(Boolean);
+
+    if (failing.includes(channel)) {
+      return { success: false, error: `Simulated ${channel} failure`, retryable: true };
+    }
+
+    const providerMessageId = `fake_${channel}_${++this.sequence}`;
+    this.outbox.push({ channel, to, subject, body, providerMessageId, sentAt: new Date() });
+    console.log(`🧪 [fake ${channel}] to ${to}: ${body.split('\n')[0]}`);
+    return { success: true, providerMessageId, status: 'sent' };
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async sendSMS(to, body) {
+    return this.record('sms', to, body);
+  }
+
+  async makeCall(to, message) {
+    return this.record('voice', to, message);
+  }
+
+  async sendEmail(to, subject, text) {
+    return this.record('email', to, text, subject);
+  }
+
+  async sendToContact(contact, title, body) {
+    return this.record('push', contact.phone, body, title);
+  }
+
+  reset() {
+    this.outbox = [];
+  }
+}
+
+module.exports = new FakeProvider();
@@ -0,0 +1,21 @@
+/**
+ * Channel -> provider lookup for the dispatch pipeline.
+ * Set DISPATCH_PROVIDER=fake to deliver everything to the in-memory fake provider.
+ */
+const useFake = () => process.env.DISPATCH_PROVIDER === 'fake';
+
+const real = {
+  sms: () => require('./twilioProvider'),
+  voice: () => require('./twilioProvider'),
+  email: () => require('./emailProvider'),
+  push: () => require('./pushProvider')
+};
+
+const getProvider = (channel) => {
+  if (!real[channel]) {
+    throw new Error(`Unknown dispatch channel: ${channel}`);
+  }
+  return useFake() ? require('./fakeProvider') : real[channel]();
+};
+
+module.exports = { getProvider };
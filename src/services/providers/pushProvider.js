@@ -0,0 +1,35 @@
+const User = require('../../models/User');
+const { toE164, storedPhoneForms } = require('../../utils/phone');
+
+/**
+ * Push delivery to contacts who are themselves app users (matched by phone number)
+ */
+class PushProvider {
+  constructor() {
+    this.name = 'fcm';
+  }
+
+  async sendToContact(contact, title, body, data = {}) {
+    // User numbers are stored as typed, so look up every form that normalises to the contact's number
+    const phoneE164 = contact.phoneE164 || toE164(contact.phone);
+    const candidates = await User.find({ phone: { $in: storedPhoneForms(phoneE164) }, isActive: true }).select('_id phone');
+    const recipient = candidates.find(user => toE164(user.phone) === phoneE164);
+    if (!recipient) {
+      return { success: false, error: 'Contact does not have an app account', retryable: false };
+    }
+
+    // Required lazily: sosService owns the FCM client and requires the dispatch pipeline itself
+    const sosService = require('../sosService');
+    const result = await sosService.sendPushToUser(recipient._id, { title, body }, data);
+
+    if (!result.success) {
+      return { success: false, error: result.error || result.reason, retryable: result.reason !== 'fcm_not_configured' };
+    }
+    if (result.sent === 0) {
+      return { success: false, error: 'Contact has no registered devices', retryable: false };
+    }
+    return { success: true, providerMessageId: result.messageId || null, status: 'sent' };
+  }
+}
+
+module.exports = new PushProvider();
@@ -0,0 +1,106 @@
+const twilio = require('twilio');
+
+// Twilio error codes that will not succeed on retry (invalid / unreachable / blocked number)
+const PERMANENT_ERROR_CODES = new Set([21211, 21214, 21408, 21610, 21612, 21614, 13224]);
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * SMS and voice delivery through Twilio. A single client is shared by both channels.
+ */
+class TwilioProvider {
+  constructor() {
+    this.name = 'twilio';
+    this.client = null;
+
+    const accountSid = process.env.TWILIO_ACCOUNT_SID;
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+    if (accountSid && authToken) {
+      this.client = twilio(accountSid, authToken);
+      console.log('✅ Twilio client initialized successfully');
+    } else {
+      console.warn('⚠️  Twilio credentials not found. SMS and voice delivery will be disabled.');
+      console.warn('   Please set TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN environment variables');
+    }
+  }
+
+  get fromNumber() {
+    return process.env.TWILIO_PHONE_NUMBER || process.env.TWILIO_FROM_NUMBER;
+  }
+
+  /**
+   * Delivery receipt URL, only when the server has a public address Twilio can reach
+   */
+  get statusCallbackUrl() {
+    const baseUrl = process.env.PUBLIC_BASE_URL;
+    return baseUrl ? `${baseUrl.replace(/\/+$/, '')}/api/v1/webhooks/twilio/status` : undefined;
+  }
+
+  isConfigured() {
+    return this.client !== null && Boolean(this.fromNumber);
+  }
+
+  failure(error) {
+    return {
+      success: false,
+      error: error.message,
+      retryable: !PERMANENT_ERROR_CODES.has(error.code)
+    };
+  }
+
+  /**
+   * Send an SMS. Returns { success, providerMessageId, status } or { success: false, error, retryable }.
+   */
+  async sendSMS(to, body) {
+    if (!this.isConfigured()) {
+      return { success: false, error: 'Twilio SMS is not configured', retryable: false };
+    }
+
+    try {
+      const message = await this.client.messages.create({
+        body,
+        to,
+        from: this.fromNumber,
+        statusCallback: this.statusCallbackUrl
+      });
+      console.log(`📱 SMS sent successfully to ${to}, SID: ${message.sid}`);
+      return { success: true, providerMessageId: message.sid, status: message.status };
+    } catch (error) {
+      console.error(`❌ Failed to send SMS to ${to}:`, error.message);
+      return this.failure(error);
+    }
+  }
+
+  /**
+   * Place a voice call that reads the message out twice
+   */
+  async makeCall(to, message) {
+    if (!this.isConfigured()) {
+      return { success: false, error: 'Twilio voice is not configured', retryable: false };
+    }
+
+    try {
+      const say = `<Say voice="alice">${escapeXml(message)}</Say>`;
+      const call = await this.client.calls.create({
+        twiml: `<Response>${say}<Pause length="1"/>${say}</Response>`,
+        to,
+        from: this.fromNumber,
+        statusCallback: this.statusCallbackUrl,
+        statusCallbackEvent: ['completed']
+      });
+      console.log(`📞 Call placed to ${to}, SID: ${call.sid}`);
+      return { success: true, providerMessageId: call.sid, status: call.status };
+    } catch (error) {
+      console.error(`❌ Failed to call ${to}:`, error.message);
+      return this.failure(error);
+    }
+  }
+}
+
+module.exports = new TwilioProvider();
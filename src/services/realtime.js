@@ -0,0 +1,63 @@
+// Shared handle on the Socket.IO server so services can push events without importing server.js.
+// Every initialised socket joins the room `user:<userId>`; viewers of a live SOS track join `sos:<alertId>`;
+// active group members join `group:<groupId>`.
+
+let io = null;
+
+const setIO = (instance) => {
+  io = instance;
+};
+
+const getIO = () => io;
+
+const userRoom = (userId) => `user:${userId}`;
+
+const alertRoom = (alertId) => `sos:${alertId}`;
+
+const groupRoom = (groupId) => `group:${groupId}`;
+
+/**
+ * Emit an event to every connected device of a user. Returns false when Socket.IO is not running.
+ */
+const emitToUser = (userId, event, payload) => {
+  if (!io || !userId) return false;
+  io.to(userRoom(userId)).emit(event, payload);
+  return true;
+};
+
+/**
+ * Emit an event to everyone in a room (or in any of several rooms, once per socket).
+ * Returns false when Socket.IO is not running.
+ */
+const emitToRoom = (room, event, payload) => {
+  if (!io) return false;
+  io.to(room).emit(event, payload);
+  return true;
+};
+
+/**
+ * Add or remove every connected device of a user to/from a room, e.g. when group membership changes
+ */
+const joinUserToRoom = (userId, room) => {
+  if (!io || !userId) return false;
+  io.in(userRoom(userId)).socketsJoin(room);
+  return true;
+};
+
+const removeUserFromRoom = (userId, room) => {
+  if (!io || !userId) return false;
+  io.in(userRoom(userId)).socketsLeave(room);
+  return true;
+};
+
+module.exports = {
+  setIO,
+  getIO,
+  userRoom,
+  alertRoom,
+  groupRoom,
+  emitToUser,
+  emitToRoom,
+  joinUserToRoom,
+  removeUserFromRoom
+};
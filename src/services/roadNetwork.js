@@ -0,0 +1,245 @@
+const fs = require('fs');
+const { haversineMeters } = require('../utils/geo');
+
+// Highway classes we route over. Anything else (e.g. construction, proposed) is ignored.
+const ROUTABLE_HIGHWAYS = new Set([
+  'motorway', 'motorway_link', 'trunk', 'trunk_link', 'primary', 'primary_link',
+  'secondary', 'secondary_link', 'tertiary', 'tertiary_link', 'unclassified',
+  'residential', 'living_street', 'service', 'road', 'track',
+  'pedestrian', 'footway', 'path', 'steps', 'cycleway'
+]);
+
+// Highway classes a travel mode may not use
+const FORBIDDEN_BY_MODE = {
+  driving: new Set(['pedestrian', 'footway', 'path', 'steps', 'cycleway', 'track']),
+  walking: new Set(['motorway', 'motorway_link', 'trunk', 'trunk_link']),
+  cycling: new Set(['motorway', 'motorway_link', 'trunk', 'trunk_link', 'steps'])
+};
+
+// Spatial grid cell size in degrees used for nearest-node lookup (~1.1 km)
+const GRID_CELL_DEG = 0.01;
+
+const gridKey = (lat, lon) => `${Math.floor(lat / GRID_CELL_DEG)}:${Math.floor(lon / GRID_CELL_DEG)}`;
+
+/**
+ * In-memory road graph built from an OSM extract or GeoJSON line file.
+ * Nodes are stored by id; each node keeps a list of outgoing directed edges and of the edges arriving at it.
+ */
+class RoadNetwork {
+  constructor() {
+    this.nodes = new Map(); // id -> { id, latitude, longitude }
+    this.edges = new Map(); // id -> [{ to, length, highway, name, lit, toll, maxspeed, oneway }]
+    this.incoming = new Map(); // id -> [edges whose `to` is the node]
+    this.grid = new Map();  // gridKey -> [node ids]
+    this.loadedFrom = null;
+    this.loadedAt = null;
+  }
+
+  get isLoaded() {
+    return this.loadedFrom !== null && this.nodes.size > 0;
+  }
+
+  /**
+   * Load the network from disk, replacing any previously loaded graph.
+   * Accepts OSM JSON (Overpass `out body; >; out skel;` or `out geom;`) and GeoJSON LineStrings.
+   */
+  loadFromFile(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    this.nodes.clear();
+    this.edges.clear();
+    this.incoming.clear();
+    this.grid.clear();
+
+    if (data.type === 'FeatureCollection') {
+      this.loadGeoJSON(data);
+    } else {
+      this.loadOSM(data);
+    }
+
+    this.buildGrid();
+    this.loadedFrom = filePath;
+    this.loadedAt = new Date();
+
+    const edgeCount = Array.from(this.edges.values()).reduce((sum, list) => sum + list.length, 0);
+    console.log(`🗺️  Road network loaded from ${filePath}: ${this.nodes.size} nodes, ${edgeCount} edges`);
+    return { nodes: this.nodes.size, edges: edgeCount };
+  }
+
+  loadOSM(data) {
+    const elements = Array.isArray(data.elements) ? data.elements : [];
+
+    elements.forEach(el => {
+      if (el.type === 'node') this.addNode(String(el.id), el.lat, el.lon);
+    });
+
+    elements.forEach(el => {
+      if (el.type !== 'way' || !el.tags || !ROUTABLE_HIGHWAYS.has(el.tags.highway)) return;
+
+      // `out geom;` output carries coordinates inline
+      if (Array.isArray(el.geometry) && Array.isArray(el.nodes)) {
+        el.nodes.forEach((id, i) => {
+          const g = el.geometry[i];
+          if (g) this.addNode(String(id), g.lat, g.lon);
+        });
+      }
+
+      this.addWay(el.nodes.map(String), el.tags);
+    });
+  }
+
+  loadGeoJSON(data) {
+    data.features.forEach(feature => {
+      const props = feature.properties || {};
+      const geometry = feature.geometry || {};
+      if (!ROUTABLE_HIGHWAYS.has(props.highway)) return;
+
+      const lines = geometry.type === 'LineString' ? [geometry.coordinates]
+        : geometry.type === 'MultiLineString' ? geometry.coordinates : [];
+
+      lines.forEach(coordinates => {
+        // Coordinates shared between lines become shared nodes (i.e. intersections)
+        const ids = coordinates.map(([lon, lat]) => {
+          const id = `${lat.toFixed(6)},${lon.toFixed(6)}`;
+          this.addNode(id, lat, lon);
+          return id;
+        });
+        this.addWay(ids, props);
+      });
+    });
+  }
+
+  addNode(id, latitude, longitude) {
+    if (!this.nodes.has(id)) {
+      this.nodes.set(id, { id, latitude, longitude });
+    }
+  }
+
+  addWay(nodeIds, tags) {
+    const oneway = tags.oneway === 'yes' || tags.oneway === '1' || tags.oneway === true ||
+      tags.junction === 'roundabout' || tags.highway === 'motorway';
+    const reverseOnly = tags.oneway === '-1';
+    const maxspeed = parseInt(tags.maxspeed);
+
+    const attributes = {
+      highway: tags.highway,
+      name: tags.name || tags.ref || null,
+      lit: tags.lit === 'yes' ? true : tags.lit === 'no' ? false : null,
+      toll: tags.toll === 'yes',
+      maxspeed: isNaN(maxspeed) ? null : maxspeed
+    };
+
+    for (let i = 1; i < nodeIds.length; i++) {
+      const a = this.nodes.get(nodeIds[i - 1]);
+      const b = this.nodes.get(nodeIds[i]);
+      if (!a || !b) continue;
+
+      const length = haversineMeters(a.latitude, a.longitude, b.latitude, b.longitude);
+      if (!reverseOnly) this.addEdge(a.id, { to: b.id, length, oneway, ...attributes });
+      if (!oneway || reverseOnly) this.addEdge(b.id, { to: a.id, length, oneway: oneway || reverseOnly, ...attributes });
+      // Pedestrians may walk against one-way traffic
+      if (oneway && !reverseOnly) this.addEdge(b.id, { to: a.id, length, oneway: true, footOnly: true, ...attributes });
+    }
+  }
+
+  addEdge(from, edge) {
+    if (!this.edges.has(from)) this.edges.set(from, []);
+    this.edges.get(from).push(edge);
+    if (!this.incoming.has(edge.to)) this.incoming.set(edge.to, []);
+    this.incoming.get(edge.to).push(edge);
+  }
+
+  buildGrid() {
+    this.nodes.forEach(node => {
+      if (!this.edges.has(node.id) && !this.incoming.has(node.id)) return; // only index nodes on a road
+      const key = gridKey(node.latitude, node.longitude);
+      if (!this.grid.has(key)) this.grid.set(key, []);
+      this.grid.get(key).push(node.id);
+    });
+  }
+
+  /**
+   * Whether an edge may be used by a travel mode given the routing options
+   */
+  isEdgeAllowed(edge, mode, { avoidHighways = false, avoidTolls = false } = {}) {
+    const forbidden = FORBIDDEN_BY_MODE[mode] || FORBIDDEN_BY_MODE.driving;
+    if (forbidden.has(edge.highway)) return false;
+    if (edge.footOnly && mode !== 'walking') return false;
+    if (avoidHighways && /^(motorway|trunk)/.test(edge.highway)) return false;
+    if (avoidTolls && edge.toll) return false;
+    return true;
+  }
+
+  /**
+   * Outgoing edges of a node usable by a travel mode
+   */
+  edgesFrom(nodeId, mode, options) {
+    const list = this.edges.get(nodeId) || [];
+    return list.filter(edge => this.isEdgeAllowed(edge, mode, options));
+  }
+
+  /**
+   * Incoming edges of a node usable by a travel mode
+   */
+  edgesTo(nodeId, mode, options) {
+    const list = this.incoming.get(nodeId) || [];
+    return list.filter(edge => this.isEdgeAllowed(edge, mode, options));
+  }
+
+  /**
+   * Find the nearest routable node to a coordinate, searching outwards ring by ring.
+   * An origin ('from') must have a usable outgoing edge and a destination ('to') a usable incoming one,
+   * so e.g. the far end of a one-way street is a valid place to arrive but not to set off from.
+   * Returns { node, distance } or null when nothing is within maxDistanceMeters.
+   */
+  nearestNode(latitude, longitude, mode, options, maxDistanceMeters = 2000, direction = 'from') {
+    const usableEdges = direction === 'to' ? this.edgesTo.bind(this) : this.edgesFrom.bind(this);
+    const cellRow = Math.floor(latitude / GRID_CELL_DEG);
+    const cellCol = Math.floor(longitude / GRID_CELL_DEG);
+    const maxRing = Math.ceil(maxDistanceMeters / 1000) + 1;
+    let best = null;
+
+    for (let ring = 0; ring <= maxRing; ring++) {
+      for (let r = cellRow - ring; r <= cellRow + ring; r++) {
+        for (let c = cellCol - ring; c <= cellCol + ring; c++) {
+          if (Math.max(Math.abs(r - cellRow), Math.abs(c - cellCol)) !== ring) continue;
+          const ids = this.grid.get(`${r}:${c}`) || [];
+          ids.forEach(id => {
+            if (usableEdges(id, mode, options).length === 0) return;
+            const node = this.nodes.get(id);
+            const distance = haversineMeters(latitude, longitude, node.latitude, node.longitude);
+            if (distance <= maxDistanceMeters && (!best || distance < best.distance)) {
+              best = { node, distance };
+            }
+          });
+        }
+      }
+      // Stop once the next ring cannot contain anything closer than the best match
+      const nextRingMinMeters = ring * GRID_CELL_DEG * 111320 * Math.cos(latitude * Math.PI / 180);
+      if (best && nextRingMinMeters > best.distance) break;
+    }
+
+    return best;
+  }
+}
+
+const roadNetwork = new RoadNetwork();
+
+/**
+ * Lazily load the network configured by ROAD_NETWORK_PATH on first use
+ */
+roadNetwork.ensureLoaded = function() {
+  if (this.isLoaded) return true;
+  const filePath = process.env.ROAD_NETWORK_PATH;
+  if (!filePath || !fs.existsSync(filePath)) return false;
+  try {
+    this.loadFromFile(filePath);
+    return true;
+  } catch (error) {
+    console.error('❌ Failed to load road network:', error);
+    return false;
+  }
+};
+
+module.exports = roadNetwork;
+module.exports.RoadNetwork = RoadNetwork;
@@ -0,0 +1,369 @@
+const SOSAlert = require('../models/SOSAlert');
+const roadNetwork = require('./roadNetwork');
+const { haversineMeters, bearingDegrees, boundingBox } = require('../utils/geo');
+const { encodePolyline } = require('../utils/polyline');
+
+// Typical speeds (km/h) per highway class when driving and no maxspeed is tagged
+const DRIVING_SPEEDS = {
+  motorway: 100, motorway_link: 60, trunk: 80, trunk_link: 50,
+  primary: 60, primary_link: 40, secondary: 50, secondary_link: 35,
+  tertiary: 40, tertiary_link: 30, unclassified: 30, residential: 25,
+  living_street: 10, service: 15, road: 30
+};
+const WALKING_SPEED_KMH = 5;
+const CYCLING_SPEED_KMH = 15;
+
+// Roads considered "main" for the safest profile: busier, better lit, more passers-by
+const MAIN_ROADS = new Set(['trunk', 'primary', 'secondary', 'tertiary', 'pedestrian']);
+const ISOLATED_ROADS = new Set(['track', 'path', 'service', 'steps']);
+
+// Safest profile tuning
+const SOS_LOOKBACK_DAYS = 30;
+const SOS_INFLUENCE_METERS = 300;
+const SOS_PENALTY_PER_ALERT = 0.75;
+const MIN_SAFETY_FACTOR = 0.8; // lowest multiplier any edge can get, keeps the A* heuristic admissible
+
+const MAX_SNAP_METERS = 2000;
+const MAX_EXPANDED_NODES = 500000;
+
+class RoutingError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'RoutingError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Binary min-heap keyed on `priority`, used as the A* open set
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].priority <= items[i].priority) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * Grid of recent SOS alert positions for fast "alerts near this edge" lookups
+ */
+class HazardIndex {
+  constructor(alerts, cellDeg = 0.005) {
+    this.cellDeg = cellDeg;
+    this.cells = new Map();
+    this.count = alerts.length;
+    alerts.forEach(alert => {
+      const key = this.key(alert.latitude, alert.longitude);
+      if (!this.cells.has(key)) this.cells.set(key, []);
+      this.cells.get(key).push(alert);
+    });
+  }
+
+  key(lat, lon) {
+    return `${Math.floor(lat / this.cellDeg)}:${Math.floor(lon / this.cellDeg)}`;
+  }
+
+  countNear(lat, lon, radiusMeters) {
+    if (this.count === 0) return 0;
+    const row = Math.floor(lat / this.cellDeg);
+    const col = Math.floor(lon / this.cellDeg);
+    let count = 0;
+    for (let r = row - 1; r <= row + 1; r++) {
+      for (let c = col - 1; c <= col + 1; c++) {
+        (this.cells.get(`${r}:${c}`) || []).forEach(alert => {
+          if (haversineMeters(lat, lon, alert.latitude, alert.longitude) <= radiusMeters) count++;
+        });
+      }
+    }
+    return count;
+  }
+}
+
+class RoutingService {
+  /**
+   * Travel speed in m/s for an edge and travel mode
+   */
+  edgeSpeed(edge, mode) {
+    if (mode === 'walking') return (edge.highway === 'steps' ? 2 : WALKING_SPEED_KMH) / 3.6;
+    if (mode === 'cycling') return CYCLING_SPEED_KMH / 3.6;
+    const kmh = edge.maxspeed || DRIVING_SPEEDS[edge.highway] || 30;
+    return kmh / 3.6;
+  }
+
+  maxSpeed(mode) {
+    if (mode === 'walking') return WALKING_SPEED_KMH / 3.6;
+    if (mode === 'cycling') return CYCLING_SPEED_KMH / 3.6;
+    return 130 / 3.6;
+  }
+
+  /**
+   * Multiplier applied to an edge's travel time in the safest profile.
+   * Favours lit and main roads; penalises isolated ways and segments near recent SOS alerts.
+   */
+  safetyFactor(edge, fromNode, toNode, hazards) {
+    let factor = 1;
+    if (edge.lit === true) factor -= 0.1;
+    if (edge.lit === false) factor += 0.4;
+    if (MAIN_ROADS.has(edge.highway)) factor -= 0.1;
+    if (ISOLATED_ROADS.has(edge.highway)) factor += 0.5;
+
+    const midLat = (fromNode.latitude + toNode.latitude) / 2;
+    const midLon = (fromNode.longitude + toNode.longitude) / 2;
+    const nearbyAlerts = hazards.countNear(midLat, midLon, SOS_INFLUENCE_METERS);
+    factor += Math.min(nearbyAlerts, 4) * SOS_PENALTY_PER_ALERT;
+
+    return Math.max(MIN_SAFETY_FACTOR, factor);
+  }
+
+  /**
+   * Cost of traversing an edge for a route type
+   */
+  edgeCost(edge, fromNode, toNode, { routeType, mode, hazards }) {
+    if (routeType === 'shortest') return edge.length;
+    const seconds = edge.length / this.edgeSpeed(edge, mode);
+    if (routeType === 'safest') return seconds * this.safetyFactor(edge, fromNode, toNode, hazards);
+    return seconds;
+  }
+
+  /**
+   * Admissible lower bound on the remaining cost from a node to the goal
+   */
+  heuristic(node, goal, { routeType, mode }) {
+    const distance = haversineMeters(node.latitude, node.longitude, goal.latitude, goal.longitude);
+    if (routeType === 'shortest') return distance;
+    const seconds = distance / this.maxSpeed(mode);
+    return routeType === 'safest' ? seconds * MIN_SAFETY_FACTOR : seconds;
+  }
+
+  /**
+   * Load SOS alerts raised recently in the area covering origin and destination
+   */
+  async loadHazards(origin, destination) {
+    const box = boundingBox([origin, destination], 5000);
+    const since = new Date(Date.now() - SOS_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+    const alerts = await SOSAlert.find({
+      createdAt: { $gte: since },
+      status: { $nin: ['cancelled', 'false_alarm'] },
+      'location.latitude': { $gte: box.minLat, $lte: box.maxLat },
+      'location.longitude': { $gte: box.minLon, $lte: box.maxLon }
+    }).select('location').lean();
+
+    return new HazardIndex(alerts.map(a => a.location));
+  }
+
+  /**
+   * A* search over the road network. Returns the list of traversed edges with their endpoints.
+   */
+  search(startId, goalId, context) {
+    const network = roadNetwork;
+    const goal = network.nodes.get(goalId);
+    const gScore = new Map([[startId, 0]]);
+    const cameFrom = new Map();
+    const closed = new Set();
+    const open = new MinHeap();
+    open.push({ id: startId, priority: this.heuristic(network.nodes.get(startId), goal, context) });
+
+    let expanded = 0;
+    while (open.size > 0) {
+      const { id } = open.pop();
+      if (id === goalId) break;
+      if (closed.has(id)) continue;
+      closed.add(id);
+
+      if (++expanded > MAX_EXPANDED_NODES) {
+        throw new RoutingError('Route search exceeded limits, try a shorter route', 422);
+      }
+
+      const fromNode = network.nodes.get(id);
+      for (const edge of network.edgesFrom(id, context.mode, context.options)) {
+        if (closed.has(edge.to)) continue;
+        const toNode = network.nodes.get(edge.to);
+        const tentative = gScore.get(id) + this.edgeCost(edge, fromNode, toNode, context);
+        if (tentative < (gScore.has(edge.to) ? gScore.get(edge.to) : Infinity)) {
+          gScore.set(edge.to, tentative);
+          cameFrom.set(edge.to, { from: id, edge });
+          open.push({ id: edge.to, priority: tentative + this.heuristic(toNode, goal, context) });
+        }
+      }
+    }
+
+    if (startId !== goalId && !cameFrom.has(goalId)) return null;
+
+    const path = [];
+    let current = goalId;
+    while (current !== startId) {
+      const step = cameFrom.get(current);
+      path.unshift({ from: network.nodes.get(step.from), to: network.nodes.get(current), edge: step.edge });
+      current = step.from;
+    }
+    return path;
+  }
+
+  /**
+   * Turn instruction for a change of bearing at a junction
+   */
+  turnInstruction(previousBearing, nextBearing) {
+    const delta = ((nextBearing - previousBearing + 540) % 360) - 180;
+    const abs = Math.abs(delta);
+    if (abs < 20) return 'Continue';
+    const side = delta > 0 ? 'right' : 'left';
+    if (abs < 60) return `Bear ${side}`;
+    if (abs < 150) return `Turn ${side}`;
+    return 'Make a U-turn';
+  }
+
+  compassDirection(bearing) {
+    const names = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+    return names[Math.round(bearing / 45) % 8];
+  }
+
+  /**
+   * Group consecutive edges on the same road into turn-by-turn steps
+   */
+  buildSteps(path, mode) {
+    const steps = [];
+    let current = null;
+
+    path.forEach(({ from, to, edge }) => {
+      const bearing = bearingDegrees(from.latitude, from.longitude, to.latitude, to.longitude);
+      const roadName = edge.name || null;
+      const duration = edge.length / this.edgeSpeed(edge, mode);
+
+      if (current && current.roadName === roadName && current.highway === edge.highway) {
+        current.distance += edge.length;
+        current.duration += duration;
+        current.lastBearing = bearing;
+        return;
+      }
+
+      const onRoad = roadName ? ` on ${roadName}` : '';
+      const instruction = current
+        ? `${this.turnInstruction(current.lastBearing, bearing)}${roadName ? ` onto ${roadName}` : ''}`
+        : `Head ${this.compassDirection(bearing)}${onRoad}`;
+
+      current = {
+        instruction,
+        roadName,
+        highway: edge.highway,
+        distance: edge.length,
+        duration,
+        location: { latitude: from.latitude, longitude: from.longitude },
+        lastBearing: bearing
+      };
+      steps.push(current);
+    });
+
+    const last = path.length > 0 ? path[path.length - 1].to : null;
+    if (last) {
+      steps.push({
+        instruction: 'Arrive at destination',
+        distance: 0,
+        duration: 0,
+        location: { latitude: last.latitude, longitude: last.longitude }
+      });
+    }
+
+    return steps.map(({ instruction, distance, duration, location }) => ({
+      instruction,
+      distance: Math.round(distance),
+      duration: Math.round(duration),
+      location
+    }));
+  }
+
+  /**
+   * Compute a route between two coordinates over the loaded road network.
+   * routeType: fastest | shortest | safest; travelMode: driving | walking | cycling
+   */
+  async findRoute({ origin, destination, routeType = 'safest', travelMode = 'driving', avoidTolls = false, avoidHighways = false }) {
+    if (!roadNetwork.ensureLoaded()) {
+      throw new RoutingError('Routing data is not available on this server', 503);
+    }
+
+    const options = { avoidTolls, avoidHighways };
+    const start = roadNetwork.nearestNode(origin.latitude, origin.longitude, travelMode, options, MAX_SNAP_METERS);
+    if (!start) throw new RoutingError('Origin is too far from the road network', 422);
+    const goal = roadNetwork.nearestNode(destination.latitude, destination.longitude, travelMode, options, MAX_SNAP_METERS, 'to');
+    if (!goal) throw new RoutingError('Destination is too far from the road network', 422);
+
+    const hazards = routeType === 'safest'
+      ? await this.loadHazards(origin, destination)
+      : new HazardIndex([]);
+
+    const context = { routeType, mode: travelMode, options, hazards };
+    const path = this.search(start.node.id, goal.node.id, context);
+    if (!path) throw new RoutingError('No route found between origin and destination', 422);
+
+    const points = [
+      { latitude: origin.latitude, longitude: origin.longitude },
+      { latitude: start.node.latitude, longitude: start.node.longitude },
+      ...path.map(({ to }) => ({ latitude: to.latitude, longitude: to.longitude })),
+      { latitude: destination.latitude, longitude: destination.longitude }
+    ];
+
+    // Walk the off-network legs to and from the snapped nodes
+    const accessMeters = start.distance + goal.distance;
+    const accessSeconds = accessMeters / (WALKING_SPEED_KMH / 3.6);
+    const networkMeters = path.reduce((sum, { edge }) => sum + edge.length, 0);
+    const networkSeconds = path.reduce((sum, { edge }) => sum + edge.length / this.edgeSpeed(edge, travelMode), 0);
+
+    const alertsNearRoute = routeType === 'safest'
+      ? path.filter(({ from, to }) => hazards.countNear(
+        (from.latitude + to.latitude) / 2, (from.longitude + to.longitude) / 2, SOS_INFLUENCE_METERS
+      ) > 0).length
+      : null;
+
+    return {
+      distance: parseFloat(((networkMeters + accessMeters) / 1000).toFixed(2)),
+      duration: Math.max(1, Math.round((networkSeconds + accessSeconds) / 60)),
+      routeType,
+      travelMode,
+      polyline: encodePolyline(points),
+      steps: this.buildSteps(path, travelMode),
+      points,
+      segmentsNearRecentAlerts: alertsNearRoute
+    };
+  }
+}
+
+const routingService = new RoutingService();
+routingService.RoutingError = RoutingError;
+
+module.exports = routingService;
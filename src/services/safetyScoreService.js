@@ -0,0 +1,270 @@
+const SOSAlert = require('../models/SOSAlert');
+const IncidentReport = require('../models/IncidentReport');
+const PointOfInterest = require('../models/PointOfInterest');
+const { haversineMeters, boundingBox } = require('../utils/geo');
+const { decodeGeohash } = require('../utils/geohash');
+
+// Scoring model tuning. Scores start from BASE_SCORE and factors move them within 0-10.
+const BASE_SCORE = 8;
+const LOOKBACK_DAYS = 90;
+const RECENCY_HALF_LIFE_DAYS = 30;
+const INFLUENCE_METERS = 500;
+const POLICE_NEAR_METERS = 1000;
+const POLICE_REACH_METERS = 2000;
+const HOSPITAL_NEAR_METERS = 3000;
+const HOSPITAL_REACH_METERS = 5000;
+const ROUTE_SAMPLE_METERS = 200;
+const ROUTE_MAX_SAMPLES = 100;
+
+const round1 = value => Math.round(value * 10) / 10;
+
+const boxPolygon = ({ minLat, minLon, maxLat, maxLon }) => ({
+  type: 'Polygon',
+  coordinates: [[
+    [minLon, minLat], [maxLon, minLat], [maxLon, maxLat], [minLon, maxLat], [minLon, minLat]
+  ]]
+});
+
+/**
+ * Local hour (0-23) of a moment in a time zone; falls back to server time for unknown zones
+ */
+const localHour = (at, timezone) => {
+  try {
+    return parseInt(new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone || undefined, hour: '2-digit', hourCycle: 'h23'
+    }).format(at));
+  } catch (error) {
+    return at.getHours();
+  }
+};
+
+class SafetyScoreService {
+  /**
+   * Load everything that can influence scores inside a bounding box
+   */
+  async loadContext(box, at = new Date()) {
+    const since = new Date(at.getTime() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+    const poiBox = boundingBox([
+      { latitude: box.minLat, longitude: box.minLon },
+      { latitude: box.maxLat, longitude: box.maxLon }
+    ], HOSPITAL_REACH_METERS);
+
+    const [alerts, incidents, pois] = await Promise.all([
+      SOSAlert.find({
+        createdAt: { $gte: since, $lte: at },
+        status: { $nin: ['cancelled', 'false_alarm'] },
+        'location.latitude': { $gte: box.minLat, $lte: box.maxLat },
+        'location.longitude': { $gte: box.minLon, $lte: box.maxLon }
+      }).select('location createdAt').lean(),
+      IncidentReport.find({
+        status: 'active',
+        occurredAt: { $gte: since, $lte: at },
+        point: { $geoWithin: { $geometry: boxPolygon(box) } }
+      }).select('latitude longitude severity category occurredAt').lean(),
+      PointOfInterest.find({
+        isActive: true,
+        category: { $in: ['police', 'hospital'] },
+        location: { $geoWithin: { $geometry: boxPolygon(poiBox) } }
+      }).select('category location name').lean()
+    ]);
+
+    return {
+      at,
+      alerts: alerts.map(a => ({ latitude: a.location.latitude, longitude: a.location.longitude, date: a.createdAt })),
+      incidents: incidents.map(i => ({ latitude: i.latitude, longitude: i.longitude, date: i.occurredAt, severity: i.severity, category: i.category })),
+      police: pois.filter(p => p.category === 'police'),
+      hospitals: pois.filter(p => p.category === 'hospital')
+    };
+  }
+
+  recencyWeight(date, at) {
+    const ageDays = Math.max(0, (at - new Date(date)) / (24 * 60 * 60 * 1000));
+    return Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+  }
+
+  nearestDistance(latitude, longitude, pois) {
+    return pois.reduce((min, poi) => Math.min(min, haversineMeters(
+      latitude, longitude, poi.location.coordinates[1], poi.location.coordinates[0]
+    )), Infinity);
+  }
+
+  /**
+   * Score a single position against a loaded context.
+   * Returns { score, factors } where each factor carries its signed impact on the score.
+   */
+  scoreAgainstContext(latitude, longitude, context, { timezone = null, radiusMeters = INFLUENCE_METERS } = {}) {
+    const { at } = context;
+    const factors = [];
+
+    // Historical SOS alerts nearby, recent ones weigh more
+    const nearbyAlerts = context.alerts.filter(a => haversineMeters(latitude, longitude, a.latitude, a.longitude) <= radiusMeters);
+    const alertWeight = nearbyAlerts.reduce((sum, a) => sum + this.recencyWeight(a.date, at), 0);
+    factors.push({
+      factor: 'sos_density',
+      label: 'Recent SOS alerts nearby',
+      value: nearbyAlerts.length,
+      impact: -round1(Math.min(4, alertWeight)),
+      detail: `${nearbyAlerts.length} SOS alert(s) within ${radiusMeters}m in the last ${LOOKBACK_DAYS} days`
+    });
+
+    // User-submitted incident reports, weighted by severity and recency
+    const nearbyIncidents = context.incidents.filter(i => haversineMeters(latitude, longitude, i.latitude, i.longitude) <= radiusMeters);
+    const incidentWeight = nearbyIncidents.reduce((sum, i) => sum + this.recencyWeight(i.date, at) * (i.severity / 3), 0);
+    factors.push({
+      factor: 'incident_reports',
+      label: 'Reported incidents nearby',
+      value: nearbyIncidents.length,
+      impact: -round1(Math.min(3, 0.6 * incidentWeight)),
+      detail: `${nearbyIncidents.length} incident report(s) within ${radiusMeters}m`
+    });
+
+    // Time of day at the location
+    const hour = localHour(at, timezone);
+    const isNight = hour >= 22 || hour < 5;
+    const isTwilight = !isNight && (hour >= 19 || hour < 7);
+    factors.push({
+      factor: 'time_of_day',
+      label: 'Time of day',
+      value: hour,
+      impact: isNight ? -1.5 : isTwilight ? -0.5 : 0,
+      detail: isNight ? 'Night time' : isTwilight ? 'Evening or early morning' : 'Daytime'
+    });
+
+    // Proximity to police
+    const policeDistance = this.nearestDistance(latitude, longitude, context.police);
+    factors.push({
+      factor: 'police_proximity',
+      label: 'Nearest police station',
+      value: isFinite(policeDistance) ? Math.round(policeDistance) : null,
+      impact: policeDistance <= POLICE_NEAR_METERS ? 1 : policeDistance <= POLICE_REACH_METERS ? 0.5 : -0.5,
+      detail: isFinite(policeDistance)
+        ? `Police station ${(policeDistance / 1000).toFixed(1)}km away`
+        : 'No known police station nearby'
+    });
+
+    // Proximity to hospitals
+    const hospitalDistance = this.nearestDistance(latitude, longitude, context.hospitals);
+    factors.push({
+      factor: 'hospital_proximity',
+      label: 'Nearest hospital',
+      value: isFinite(hospitalDistance) ? Math.round(hospitalDistance) : null,
+      impact: hospitalDistance <= HOSPITAL_NEAR_METERS ? 0.5 : hospitalDistance <= HOSPITAL_REACH_METERS ? 0 : -0.5,
+      detail: isFinite(hospitalDistance)
+        ? `Hospital ${(hospitalDistance / 1000).toFixed(1)}km away`
+        : 'No known hospital nearby'
+    });
+
+    const raw = factors.reduce((score, f) => score + f.impact, BASE_SCORE);
+    return { score: round1(Math.max(0, Math.min(10, raw))), factors };
+  }
+
+  /**
+   * Score a single point
+   */
+  async scorePoint({ latitude, longitude, at = new Date(), timezone = null }) {
+    const box = boundingBox([{ latitude, longitude }], INFLUENCE_METERS);
+    const context = await this.loadContext(box, at);
+    const result = this.scoreAgainstContext(latitude, longitude, context, { timezone });
+    return { location: { latitude, longitude }, at, ...result };
+  }
+
+  /**
+   * Score a geohash cell, using the cell's centre and a radius covering the whole cell
+   */
+  async scoreArea({ geohash, at = new Date(), timezone = null }) {
+    const cell = decodeGeohash(geohash);
+    const halfDiagonal = haversineMeters(cell.minLat, cell.minLon, cell.maxLat, cell.maxLon) / 2;
+    const radiusMeters = Math.max(INFLUENCE_METERS, Math.round(halfDiagonal));
+
+    const context = await this.loadContext(cell, at);
+    const result = this.scoreAgainstContext(cell.latitude, cell.longitude, context, { timezone, radiusMeters });
+
+    return {
+      geohash,
+      bounds: { minLat: cell.minLat, minLon: cell.minLon, maxLat: cell.maxLat, maxLon: cell.maxLon },
+      center: { latitude: cell.latitude, longitude: cell.longitude },
+      at,
+      ...result
+    };
+  }
+
+  /**
+   * Sample points along a polyline at roughly even spacing
+   */
+  samplePoints(points) {
+    if (points.length <= 1) return points.slice();
+
+    const total = points.slice(1).reduce((sum, p, i) => sum + haversineMeters(
+      points[i].latitude, points[i].longitude, p.latitude, p.longitude
+    ), 0);
+    const spacing = Math.max(ROUTE_SAMPLE_METERS, total / ROUTE_MAX_SAMPLES);
+
+    const samples = [points[0]];
+    let carried = 0;
+    for (let i = 1; i < points.length; i++) {
+      const a = points[i - 1];
+      const b = points[i];
+      const length = haversineMeters(a.latitude, a.longitude, b.latitude, b.longitude);
+      let offset = spacing - carried;
+      while (offset <= length) {
+        const t = offset / length;
+        samples.push({
+          latitude: a.latitude + (b.latitude - a.latitude) * t,
+          longitude: a.longitude + (b.longitude - a.longitude) * t
+        });
+        offset += spacing;
+      }
+      carried = length - (offset - spacing);
+    }
+    samples.push(points[points.length - 1]);
+    return samples;
+  }
+
+  /**
+   * Score a route given as [{ latitude, longitude }].
+   * The overall score leans towards the weakest stretch so one dangerous segment is not averaged away.
+   */
+  async scoreRoute({ points, at = new Date(), timezone = null }) {
+    const samples = this.samplePoints(points);
+    const box = boundingBox(samples, INFLUENCE_METERS);
+    const context = await this.loadContext(box, at);
+
+    const scored = samples.map(sample => ({
+      location: sample,
+      ...this.scoreAgainstContext(sample.latitude, sample.longitude, context, { timezone })
+    }));
+
+    const scores = scored.map(s => s.score);
+    const mean = scores.reduce((sum, s) => sum + s, 0) / scores.length;
+    const min = Math.min(...scores);
+
+    // Average each factor's impact across the samples
+    const factors = scored[0].factors.map((factor, index) => ({
+      factor: factor.factor,
+      label: factor.label,
+      impact: round1(scored.reduce((sum, s) => sum + s.factors[index].impact, 0) / scored.length)
+    }));
+
+    const routeAlerts = context.alerts.filter(a => samples.some(s => haversineMeters(s.latitude, s.longitude, a.latitude, a.longitude) <= INFLUENCE_METERS));
+    const routeIncidents = context.incidents.filter(i => samples.some(s => haversineMeters(s.latitude, s.longitude, i.latitude, i.longitude) <= INFLUENCE_METERS));
+    factors.find(f => f.factor === 'sos_density').detail = `${routeAlerts.length} SOS alert(s) near the route in the last ${LOOKBACK_DAYS} days`;
+    factors.find(f => f.factor === 'incident_reports').detail = `${routeIncidents.length} incident report(s) near the route`;
+
+    const hotspots = scored
+      .filter(s => s.score < 5)
+      .sort((a, b) => a.score - b.score)
+      .slice(0, 5)
+      .map(s => ({ location: s.location, score: s.score }));
+
+    return {
+      score: round1(0.7 * mean + 0.3 * min),
+      lowestScore: min,
+      factors,
+      hotspots,
+      samples: samples.length,
+      at
+    };
+  }
+}
+
+module.exports = new SafetyScoreService();
@@ -1,258 +1,555 @@
-const geolib = require('geolib');
-
-// Store active users and their locations
-const activeUsers = new Map();
-const userRooms = new Map(); // Track which rooms users are in
+const crypto = require('crypto');
+const SOSAlert = require('../models/SOSAlert');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const { authenticateToken, AuthError } = require('../middleware/auth');
+const liveTrackingService = require('./liveTrackingService');
+const sosService = require('./sosService');
+const privacyService = require('./privacyService');
+const checkInService = require('./checkInService');
+const { userRoom, alertRoom, groupRoom } = require('./realtime');
+const { getPresenceStore } = require('./presence');
+
+// Rooms managed by the server; clients cannot join these through join_room
+const RESERVED_ROOM_PREFIXES = ['user:', 'sos:'];
+const GROUP_ROOM_PREFIX = 'group:';
+
+// Repeated emergency_alert events within this window return the alert already raised
+const DUPLICATE_ALERT_WINDOW_MS = 60 * 1000;
+
+// Largest radius a client may ask for in request_nearby_users
+const MAX_NEARBY_RADIUS_KM = 50;
+
+// Presence not refreshed by any event for this long is dropped from the store
+const INACTIVE_THRESHOLD_MS = 10 * 60 * 1000;
+
+// setTimeout cannot wait longer than this
+const MAX_TIMER_MS = 2147483647;
+
+// Token from the handshake: `auth: { token }`, an Authorization header, or a `token` query parameter
+function handshakeToken(handshake) {
+  if (handshake.auth && handshake.auth.token) {
+    return String(handshake.auth.token).replace(/^Bearer /, '');
+  }
+  const header = handshake.headers && handshake.headers.authorization;
+  if (header && header.startsWith('Bearer ')) {
+    return header.substring(7);
+  }
+  return handshake.query && handshake.query.token ? String(handshake.query.token) : null;
+}
 
 function socketHandler(io) {
-  io.on('connection', (socket) => {
-    console.log(`User connected: ${socket.id}`);
-
-    // Handle user initialization
-    socket.on('user_init', (data) => {
-      const { userId, userName } = data;
-      
-      activeUsers.set(socket.id, {
-        id: socket.id,
-        userId: userId,
-        userName: userName || 'Anonymous User',
+  const presence = getPresenceStore();
+
+  // Authenticate every connection during the handshake with the same JWT as the REST API
+  io.use(async (socket, next) => {
+    try {
+      const { user, expiresAt } = await authenticateToken(handshakeToken(socket.handshake));
+      socket.data.user = { id: String(user._id), name: user.name };
+      socket.data.expiresAt = expiresAt;
+      next();
+    } catch (error) {
+      if (!(error instanceof AuthError)) {
+        console.error('Socket authentication error:', error);
+      }
+      const authError = new Error(error instanceof AuthError ? error.message : 'Authentication failed');
+      authError.data = { code: 'unauthorized' };
+      next(authError);
+    }
+  });
+
+  // Session state for a socket, always bound to the authenticated user. The socket keeps
+  // its own copy; the presence store holds what other sockets (and instances) can see.
+  function sessionFor(socket) {
+    if (!socket.data.session) {
+      socket.data.session = {
+        socketId: socket.id,
+        userId: socket.data.user.id,
+        userName: socket.data.user.name,
+        anonymousId: crypto.randomBytes(8).toString('hex'),
         location: null,
         status: 'safe',
         lastSeen: Date.now(),
         connectedAt: Date.now()
-      });
+      };
+    }
+    return socket.data.session;
+  }
 
-      console.log(`User initialized: ${userName} (${userId})`);
+  // Write a session back to the presence store. Saving also restores a session the inactivity sweep dropped.
+  function persist(session) {
+    return presence.save(session).catch(error => {
+      console.error(`Failed to save presence for ${session.socketId}:`, error);
     });
+  }
 
-    // Handle location updates
-    socket.on('location_update', (data) => {
-      const user = activeUsers.get(socket.id);
-      if (user) {
-        user.location = {
-          latitude: data.latitude,
-          longitude: data.longitude,
-          accuracy: data.accuracy,
-          timestamp: data.timestamp || Date.now(),
-          speed: data.speed || 0,
-          heading: data.heading || 0
-        };
-        user.lastSeen = Date.now();
+  // Group rooms this socket is in
+  function groupRoomsOf(socket) {
+    return Array.from(socket.rooms).filter(room => room.startsWith(GROUP_ROOM_PREFIX));
+  }
 
-        // Broadcast location to nearby users
-        broadcastToNearbyUsers(socket.id, user, 'user_location_updated', {
-          userId: user.userId,
-          userName: user.userName,
-          location: user.location,
-          status: user.status
-        });
+  // Group rooms that receive this user's live location and status; none while they are hidden from everyone
+  async function sharingGroupRooms(socket, user) {
+    const rooms = groupRoomsOf(socket);
+    if (rooms.length === 0) return rooms;
+    try {
+      const visibility = await privacyService.visibilityFor([user.userId]);
+      return visibility.get(user.userId) === 'nobody' ? [] : rooms;
+    } catch (error) {
+      console.error(`Failed to load privacy settings for ${user.userId}:`, error);
+      return [];
+    }
+  }
 
-        console.log(`Location updated for ${user.userName}: ${data.latitude}, ${data.longitude}`);
+  // Authorise a group room against membership
+  async function canJoinGroupRoom(roomId, userId) {
+    const groupId = roomId.slice(GROUP_ROOM_PREFIX.length);
+    if (!/^[a-f\d]{24}$/i.test(groupId)) return false;
+    const group = await Group.findById(groupId).select('members');
+    return Boolean(group && group.isActiveMember(userId));
+  }
+
+  io.on('connection', (socket) => {
+    const identity = socket.data.user;
+    console.log(`User connected: ${identity.name} (${identity.id}) on ${socket.id}`);
+
+    persist(sessionFor(socket));
+
+    // Per-user room used by services to reach all of this user's devices
+    socket.join(userRoom(identity.id));
+
+    // Rooms of the user's groups; membership changes later are applied by the group service
+    Group.findForMember(identity.id).select('_id')
+      .then(groups => groups.forEach(group => socket.join(groupRoom(group._id))))
+      .catch(error => console.error(`Failed to join group rooms for ${identity.id}:`, error));
+
+    // Drop the connection when the token it was opened with expires
+    let expiryTimer = null;
+    if (socket.data.expiresAt) {
+      const remaining = socket.data.expiresAt.getTime() - Date.now();
+      expiryTimer = setTimeout(() => {
+        socket.emit('session_expired', { message: 'Access token expired, reconnect with a new token' });
+        socket.disconnect(true);
+      }, Math.max(0, Math.min(remaining, MAX_TIMER_MS)));
+    }
+
+    // Handle user initialization. Identity comes from the token; client-sent ids are ignored.
+    socket.on('user_init', (data = {}, ack) => {
+      const user = sessionFor(socket);
+      user.lastSeen = Date.now();
+      persist(user);
+
+      if (data.userId && String(data.userId) !== identity.id) {
+        console.warn(`Socket ${socket.id} claimed userId ${data.userId} but is authenticated as ${identity.id}`);
       }
+
+      if (typeof ack === 'function') {
+        ack({ success: true, userId: identity.id, userName: identity.name });
+      }
+      console.log(`User initialized: ${identity.name} (${identity.id})`);
     });
 
-    // Handle emergency alerts
-    socket.on('emergency_alert', (data) => {
-      const user = activeUsers.get(socket.id);
-      if (user && user.location) {
+    // Handle location updates
+    socket.on('location_update', async (data = {}) => {
+      const user = sessionFor(socket);
+      if (typeof data.latitude !== 'number' || typeof data.longitude !== 'number') return;
+
+      user.location = {
+        latitude: data.latitude,
+        longitude: data.longitude,
+        accuracy: data.accuracy,
+        timestamp: data.timestamp || Date.now(),
+        speed: data.speed || 0,
+        heading: data.heading || 0
+      };
+      user.lastSeen = Date.now();
+      persist(user);
+
+      // Broadcast location to nearby users
+      broadcastToNearbyUsers(socket.id, user, 'user_location_updated', {
+        userId: user.userId,
+        userName: user.userName,
+        location: user.location,
+        status: user.status
+      }, {
+        rooms: await sharingGroupRooms(socket, user),
+        anonymousData: {
+          anonymousId: user.anonymousId,
+          location: privacyService.fuzzLocation(user.location),
+          status: user.status
+        }
+      });
+
+      console.log(`Location updated for ${user.userName}: ${data.latitude}, ${data.longitude}`);
+    });
+
+    // Handle emergency alerts: persisted and notified exactly like POST /sos/trigger
+    socket.on('emergency_alert', async (data = {}, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      const user = sessionFor(socket);
+      const location = typeof data.latitude === 'number' && typeof data.longitude === 'number'
+        ? { latitude: data.latitude, longitude: data.longitude, accuracy: data.accuracy }
+        : user.location;
+
+      if (!location || !(Math.abs(location.latitude) <= 90) || !(Math.abs(location.longitude) <= 180)) {
+        return reply({ success: false, message: 'A valid location is required to raise an alert' });
+      }
+
+      try {
+        const owner = await User.findById(identity.id);
+        if (!owner || !owner.isActive) {
+          reply({ success: false, message: 'Account is not active' });
+          return socket.disconnect(true);
+        }
+
+        // A reconnecting client may resend the same emergency; reuse a just-raised alert
+        const recent = await SOSAlert.findOne({
+          userId: owner._id,
+          status: { $in: SOSAlert.OPEN_STATUSES },
+          createdAt: { $gte: new Date(Date.now() - DUPLICATE_ALERT_WINDOW_MS) }
+        }).sort({ createdAt: -1 });
+
+        const alert = recent || await sosService.createAlert(owner, {
+          latitude: location.latitude,
+          longitude: location.longitude,
+          address: typeof data.address === 'string' ? data.address.slice(0, 255) : undefined,
+          emergencyType: SOSAlert.schema.path('emergencyType').enumValues.includes(data.alertType) ? data.alertType : 'general',
+          message: typeof data.message === 'string' ? data.message.slice(0, 500) : undefined,
+          immediateAlert: data.immediateAlert === true,
+          source: 'socket'
+        });
+
+        reply({ success: true, alertId: String(alert._id), status: alert.status, duplicate: Boolean(recent) });
+        if (recent) return;
+
         const alertData = {
-          alertId: `alert_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          alertId: String(alert._id),
           userId: user.userId,
           userName: user.userName,
-          alertType: data.alertType,
-          message: data.message,
-          location: user.location,
-          timestamp: data.timestamp || Date.now(),
+          alertType: alert.emergencyType,
+          message: alert.message,
+          location: user.location || location,
+          timestamp: alert.createdAt.getTime(),
           additionalData: data.additionalData
         };
 
         // Update user status
         user.status = 'in_danger';
+        if (!user.location) user.location = { ...location, timestamp: Date.now() };
+        user.lastSeen = Date.now();
+        await persist(user);
 
         // Broadcast emergency alert to nearby users (within 10km)
-        broadcastToNearbyUsers(socket.id, user, 'emergency_alert', alertData, 10);
-
-        // Also broadcast to all users in the same rooms
-        const userRoomsList = userRooms.get(socket.id) || [];
-        userRoomsList.forEach(roomId => {
-          socket.to(roomId).emit('emergency_alert', alertData);
+        broadcastToNearbyUsers(socket.id, user, 'emergency_alert', alertData, {
+          radiusInKm: 10,
+          anonymousData: {
+            anonymousId: user.anonymousId,
+            alertType: alertData.alertType,
+            location: privacyService.fuzzLocation(alertData.location),
+            timestamp: alertData.timestamp
+          }
         });
 
-        console.log(`Emergency alert from ${user.userName}: ${data.alertType}`);
+
+        console.log(`Emergency alert from ${user.userName}: ${alert._id} (${alert.emergencyType})`);
+      } catch (error) {
+        console.error('emergency_alert error:', error);
+        reply({ success: false, message: 'Failed to raise alert' });
       }
     });
 
     // Handle status updates
-    socket.on('status_update', (data) => {
-      const user = activeUsers.get(socket.id);
-      if (user) {
-        user.status = data.status;
-        user.statusMessage = data.message;
-        user.lastSeen = Date.now();
-
-        // Broadcast status update to nearby users
-        broadcastToNearbyUsers(socket.id, user, 'user_status_updated', {
-          userId: user.userId,
-          userName: user.userName,
+    socket.on('status_update', async (data = {}) => {
+      const user = sessionFor(socket);
+      user.status = data.status;
+      user.statusMessage = data.message;
+      user.lastSeen = Date.now();
+      persist(user);
+
+      // Broadcast status update to nearby users
+      broadcastToNearbyUsers(socket.id, user, 'user_status_updated', {
+        userId: user.userId,
+        userName: user.userName,
+        status: user.status,
+        statusMessage: user.statusMessage,
+        timestamp: data.timestamp || Date.now()
+      }, {
+        rooms: await sharingGroupRooms(socket, user),
+        anonymousData: {
+          anonymousId: user.anonymousId,
           status: user.status,
-          statusMessage: user.statusMessage,
           timestamp: data.timestamp || Date.now()
-        });
+        }
+      });
 
-        console.log(`Status updated for ${user.userName}: ${data.status}`);
-      }
+      console.log(`Status updated for ${user.userName}: ${data.status}`);
     });
 
     // Handle nearby users request
-    socket.on('request_nearby_users', (data) => {
-      const user = activeUsers.get(socket.id);
-      if (user && user.location) {
-        const nearbyUsers = findNearbyUsers(user, data.radius || 5);
+    socket.on('request_nearby_users', async (data = {}) => {
+      const user = sessionFor(socket);
+      if (!user.location) return;
+
+      const radius = Math.min(Number(data.radius) > 0 ? Number(data.radius) : 5, MAX_NEARBY_RADIUS_KM);
+      try {
+        const nearbyUsers = await findNearbyUsers(user, radius);
         socket.emit('nearby_users', nearbyUsers);
+      } catch (error) {
+        console.error('request_nearby_users error:', error);
       }
     });
 
-    // Handle room joining
-    socket.on('join_room', (data) => {
-      const { roomId } = data;
-      socket.join(roomId);
-      
-      if (!userRooms.has(socket.id)) {
-        userRooms.set(socket.id, []);
+    // Handle room joining. Only group rooms can be joined, and only by active members.
+    socket.on('join_room', async (data = {}, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      const roomId = data.groupId ? groupRoom(data.groupId) : data.roomId;
+
+      if (typeof roomId !== 'string' || !roomId.startsWith(GROUP_ROOM_PREFIX) || roomId.length > 100 ||
+          RESERVED_ROOM_PREFIXES.some(prefix => roomId.startsWith(prefix))) {
+        return reply({ success: false, message: 'Room not allowed' });
+      }
+
+      try {
+        if (!(await canJoinGroupRoom(roomId, identity.id))) {
+          return reply({ success: false, message: 'Room not allowed' });
+        }
+
+        socket.join(roomId);
+        reply({ success: true, roomId });
+        console.log(`User ${socket.id} joined room: ${roomId}`);
+      } catch (error) {
+        console.error('join_room error:', error);
+        reply({ success: false, message: 'Failed to join room' });
       }
-      userRooms.get(socket.id).push(roomId);
-      
-      console.log(`User ${socket.id} joined room: ${roomId}`);
     });
 
-    // Handle room leaving
-    socket.on('leave_room', (data) => {
-      const { roomId } = data;
+    // Handle room leaving (stops group events on this device; membership is unchanged)
+    socket.on('leave_room', (data = {}) => {
+      const roomId = data.groupId ? groupRoom(data.groupId) : data.roomId;
+      if (typeof roomId !== 'string' || !roomId.startsWith(GROUP_ROOM_PREFIX)) return;
       socket.leave(roomId);
-      
-      const rooms = userRooms.get(socket.id) || [];
-      const index = rooms.indexOf(roomId);
-      if (index > -1) {
-        rooms.splice(index, 1);
-      }
-      
+
       console.log(`User ${socket.id} left room: ${roomId}`);
     });
 
-    // Handle check-ins
-    socket.on('check_in', (data) => {
-      const user = activeUsers.get(socket.id);
-      if (user && user.location) {
+    // Handle check-ins: stored like POST /check-ins, then shared with nearby users and the user's groups
+    socket.on('check_in', async (data = {}, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      const user = sessionFor(socket);
+      user.lastSeen = Date.now();
+
+      try {
+        const { checkIn, fulfilled } = await checkInService.recordCheckIn(user.userId, {
+          latitude: user.location ? user.location.latitude : undefined,
+          longitude: user.location ? user.location.longitude : undefined,
+          accuracy: user.location ? user.location.accuracy : undefined,
+          placeName: typeof data.location === 'string' ? data.location.slice(0, 200) : undefined,
+          message: typeof data.message === 'string' ? data.message.slice(0, 500) : undefined,
+          tags: Array.isArray(data.tags) ? data.tags.filter(tag => typeof tag === 'string').slice(0, 10).map(tag => tag.slice(0, 30)) : [],
+          scheduledCheckInId: /^[a-f\d]{24}$/i.test(data.scheduledCheckInId || '') ? data.scheduledCheckInId : undefined
+        }, { source: 'socket' });
+        reply({ success: true, checkInId: String(checkIn._id), fulfilled });
+
         const checkInData = {
-          checkInId: `checkin_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          checkInId: String(checkIn._id),
           userId: user.userId,
           userName: user.userName,
-          location: data.location,
-          message: data.message,
-          tags: data.tags || [],
+          location: checkIn.placeName,
+          message: checkIn.message,
+          tags: checkIn.tags,
           coordinates: user.location,
-          timestamp: data.timestamp || Date.now()
+          timestamp: checkIn.checkedInAt.getTime()
         };
 
-        // Broadcast check-in to nearby users
-        broadcastToNearbyUsers(socket.id, user, 'user_checked_in', checkInData);
+        // Broadcast check-in to nearby users and the user's groups
+        broadcastToNearbyUsers(socket.id, user, 'user_checked_in', checkInData, {
+          rooms: await sharingGroupRooms(socket, user)
+        });
 
-        console.log(`Check-in from ${user.userName} at ${data.location}`);
+        console.log(`Check-in from ${user.userName} at ${checkIn.placeName || 'unnamed place'}`);
+      } catch (error) {
+        console.error('check_in error:', error);
+        reply({ success: false, message: 'Failed to check in' });
       }
     });
 
-    // Handle disconnection
-    socket.on('disconnect', () => {
-      const user = activeUsers.get(socket.id);
-      if (user) {
-        console.log(`User disconnected: ${user.userName} (${socket.id})`);
-        
-        // Notify nearby users about disconnection
-        broadcastToNearbyUsers(socket.id, user, 'user_disconnected', {
-          userId: user.userId,
-          userName: user.userName,
-          timestamp: Date.now()
-        });
+    // Handle live SOS positions streamed by the victim's device
+    socket.on('sos_location', async (data = {}, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      const user = sessionFor(socket);
+      if (!data.alertId) {
+        return reply({ success: false, message: 'Not initialised or missing alertId' });
       }
 
-      // Clean up
-      activeUsers.delete(socket.id);
-      userRooms.delete(socket.id);
+      try {
+        const positions = Array.isArray(data.locations) ? data.locations : [data];
+        const result = await liveTrackingService.recordPositions(data.alertId, user.userId, positions, { source: 'socket' });
+
+        user.location = result.lastLocation ? { ...result.lastLocation } : user.location;
+        user.lastSeen = Date.now();
+        persist(user);
+        reply({ success: true, ...result });
+      } catch (error) {
+        if (!(error instanceof liveTrackingService.TrackingError)) {
+          console.error('sos_location error:', error);
+        }
+        reply({ success: false, message: error.statusCode ? error.message : 'Failed to record location' });
+      }
     });
-  });
 
-  // Helper function to find nearby users
-  function findNearbyUsers(currentUser, radiusInKm) {
-    const nearby = [];
-    
-    activeUsers.forEach((user, socketId) => {
-      if (socketId !== currentUser.id && user.location && currentUser.location) {
-        const distance = geolib.getDistance(
-          { 
-            latitude: currentUser.location.latitude, 
-            longitude: currentUser.location.longitude 
-          },
-          { 
-            latitude: user.location.latitude, 
-            longitude: user.location.longitude 
-          }
-        ) / 1000; // Convert to kilometers
-
-        if (distance <= radiusInKm) {
-          nearby.push({
-            userId: user.userId,
-            userName: user.userName,
-            location: user.location,
-            status: user.status,
-            statusMessage: user.statusMessage,
-            distance: parseFloat(distance.toFixed(2)),
-            lastSeen: user.lastSeen,
-            connectedAt: user.connectedAt
-          });
+    // Handle subscriptions to an alert's live track
+    socket.on('sos_track_subscribe', async (data = {}, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      const user = sessionFor(socket);
+      if (!data.alertId) {
+        return reply({ success: false, message: 'Not initialised or missing alertId' });
+      }
+
+      try {
+        const alert = await SOSAlert.findById(data.alertId);
+        if (!alert || !(await liveTrackingService.canView(alert, user.userId))) {
+          return reply({ success: false, message: 'Alert not found' });
         }
+
+        socket.join(alertRoom(alert._id));
+        const track = await liveTrackingService.getTrack(alert, { limit: 200 });
+        socket.emit('sos_track_snapshot', track);
+        reply({ success: true, isLive: track.isLive });
+      } catch (error) {
+        console.error('sos_track_subscribe error:', error);
+        reply({ success: false, message: 'Failed to subscribe' });
       }
     });
 
-    // Sort by distance
-    return nearby.sort((a, b) => a.distance - b.distance);
-  }
+    socket.on('sos_track_unsubscribe', (data = {}) => {
+      if (data.alertId) {
+        socket.leave(alertRoom(data.alertId));
+      }
+    });
 
-  // Helper function to broadcast to nearby users
-  function broadcastToNearbyUsers(senderSocketId, senderUser, eventName, data, radiusInKm = 5) {
-    if (!senderUser.location) return;
-
-    activeUsers.forEach((user, socketId) => {
-      if (socketId !== senderSocketId && user.location) {
-        const distance = geolib.getDistance(
-          { 
-            latitude: senderUser.location.latitude, 
-            longitude: senderUser.location.longitude 
-          },
-          { 
-            latitude: user.location.latitude, 
-            longitude: user.location.longitude 
-          }
-        ) / 1000; // Convert to kilometers
+    // Rooms are already left by the time 'disconnect' fires
+    socket.on('disconnecting', () => {
+      socket.data.groupRooms = groupRoomsOf(socket);
+    });
 
-        if (distance <= radiusInKm) {
-          io.to(socketId).emit(eventName, data);
-        }
+    // Handle disconnection
+    socket.on('disconnect', async () => {
+      if (expiryTimer) clearTimeout(expiryTimer);
+
+      const user = sessionFor(socket);
+      console.log(`User disconnected: ${user.userName} (${socket.id})`);
+
+      // Notify nearby users about disconnection
+      await broadcastToNearbyUsers(socket.id, user, 'user_disconnected', {
+        userId: user.userId,
+        userName: user.userName,
+        timestamp: Date.now()
+      }, {
+        rooms: socket.data.groupRooms || [],
+        anonymousData: { anonymousId: user.anonymousId, timestamp: Date.now() }
+      });
+
+      // Clean up
+      try {
+        await presence.remove(socket.id);
+      } catch (error) {
+        console.error(`Failed to remove presence for ${socket.id}:`, error);
       }
     });
+  });
+
+  // Helper function to find nearby users, nearest first, as each of them allows this user to see them.
+  // Users seen anonymously are matched on their fuzzed position (see privacyService.isAnonymousMatch).
+  async function findNearbyUsers(currentUser, radiusInKm) {
+    const nearby = await presence.findNearby(currentUser.location, privacyService.searchRadius(radiusInKm), {
+      excludeSocketId: currentUser.socketId
+    });
+    const levels = await privacyService.accessLevels(nearby.map(({ session }) => ({ owner: session, viewer: currentUser })));
+
+    return nearby
+      .map(({ session, distance }, index) => {
+        if (levels[index] === 'anonymous') {
+          return privacyService.isAnonymousMatch(session.location, currentUser.location, radiusInKm)
+            ? privacyService.anonymousView(session, currentUser.location)
+            : null;
+        }
+        if (levels[index] !== 'full' || distance > radiusInKm) return null;
+        return {
+          userId: session.userId,
+          userName: session.userName,
+          location: session.location,
+          status: session.status,
+          statusMessage: session.statusMessage,
+          distance: parseFloat(distance.toFixed(2)),
+          lastSeen: session.lastSeen,
+          connectedAt: session.connectedAt
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.distance - b.distance);
   }
 
-  // Periodic cleanup of inactive users (every 5 minutes)
-  setInterval(() => {
-    const now = Date.now();
-    const inactiveThreshold = 10 * 60 * 1000; // 10 minutes
+  // Helper function to broadcast to nearby users, filtered by the sender's privacy settings,
+  // and to `rooms` (the sender's group rooms); each socket receives the event once.
+  // Viewers with anonymous access get `anonymousData` instead, or nothing when it is not given.
+  // Works across instances when the adapter is attached.
+  async function broadcastToNearbyUsers(senderSocketId, senderUser, eventName, data, { radiusInKm = 5, anonymousData = null, rooms = [] } = {}) {
+    try {
+      const nearby = senderUser.location
+        ? await presence.findNearby(senderUser.location, privacyService.searchRadius(radiusInKm), { excludeSocketId: senderSocketId })
+        : [];
+      const levels = await privacyService.accessLevels(nearby.map(({ session }) => ({ owner: senderUser, viewer: session })));
+
+      const full = nearby
+        .filter(({ distance }, index) => levels[index] === 'full' && distance <= radiusInKm)
+        .map(({ session }) => session.socketId);
+      const anonymous = nearby
+        .filter(({ session }, index) => levels[index] === 'anonymous' &&
+          privacyService.isAnonymousMatch(senderUser.location, session.location, radiusInKm))
+        .map(({ session }) => session.socketId);
+
+      if (full.length > 0 || rooms.length > 0) {
+        io.to([...rooms, ...full]).except(senderSocketId).emit(eventName, data);
+      }
+      if (anonymous.length > 0 && anonymousData) {
+        io.to(anonymous).except(rooms).emit(eventName, anonymousData);
+      }
+    } catch (error) {
+      console.error(`Failed to broadcast ${eventName} to nearby users:`, error);
+    }
+  }
 
-    activeUsers.forEach((user, socketId) => {
-      if (now - user.lastSeen > inactiveThreshold) {
-        console.log(`Cleaning up inactive user: ${user.userName}`);
-        activeUsers.delete(socketId);
-        userRooms.delete(socketId);
+  // Periodic cleanup of inactive presence (every 5 minutes)
+  setInterval(async () => {
+    try {
+      const removed = await presence.removeInactive(Date.now() - INACTIVE_THRESHOLD_MS);
+      if (removed > 0) {
+        console.log(`Cleaned up ${removed} inactive presence session(s)`);
       }
-    });
+    } catch (error) {
+      console.error('Presence cleanup failed:', error);
+    }
+  }, 5 * 60 * 1000);
+
+  // Disconnect sockets whose user was deactivated or deleted since the handshake (every 5 minutes)
+  setInterval(async () => {
+    try {
+      const sockets = Array.from(io.of('/').sockets.values());
+      const userIds = Array.from(new Set(sockets.map(s => s.data.user && s.data.user.id).filter(Boolean)));
+      if (userIds.length === 0) return;
+
+      const active = await User.find({ _id: { $in: userIds }, isActive: true }).select('_id').lean();
+      const activeIds = new Set(active.map(u => String(u._id)));
+
+      sockets.forEach(s => {
+        if (s.data.user && !activeIds.has(s.data.user.id)) {
+          console.log(`Disconnecting deactivated user ${s.data.user.id} (${s.id})`);
+          s.disconnect(true);
+        }
+      });
+    } catch (error) {
+      console.error('Socket session sweep failed:', error);
+    }
   }, 5 * 60 * 1000);
 
   console.log('Socket.IO handler initialized');
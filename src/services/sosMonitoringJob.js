@@ -1,5 +1,7 @@
 const cron = require('node-cron');
 const autoSOSService = require('./autoSOSService');
+const escalationService = require('./escalationService');
+const checkInService = require('./checkInService');
 
 class SOSMonitoringJob {
   constructor() {
@@ -16,6 +18,12 @@ class SOSMonitoringJob {
     // Main SOS check - every 10 minutes
     this.startMainSOSCheck();
     
+    // Escalation ladder - every minute
+    this.startEscalationJob();
+
+    // Missed scheduled check-ins - every minute
+    this.startCheckInJob();
+
     // Cleanup job - every hour
     this.startCleanupJob();
     
@@ -60,6 +68,68 @@ class SOSMonitoringJob {
     console.log('📅 Main SOS check job scheduled (every 10 minutes)');
   }
 
+  /**
+   * Start escalation job
+   * Runs every minute to advance active SOS alerts through their escalation ladders
+   */
+  startEscalationJob() {
+    const cronExpression = '* * * * *'; // Every minute
+    let isEscalating = false;
+
+    const job = cron.schedule(cronExpression, async () => {
+      if (isEscalating) return;
+      isEscalating = true;
+
+      try {
+        const stepsRun = await escalationService.advanceAll();
+        if (stepsRun > 0) {
+          console.log(`📈 Ran ${stepsRun} escalation step(s)`);
+        }
+      } catch (error) {
+        console.error('❌ Error in escalation job:', error);
+      } finally {
+        isEscalating = false;
+      }
+    }, {
+      scheduled: true,
+      timezone: "UTC"
+    });
+
+    this.jobs.set('sos-escalation', job);
+    console.log('📅 Escalation job scheduled (every minute)');
+  }
+
+  /**
+   * Start missed check-in job
+   * Runs every minute to raise an SOS for scheduled check-ins whose deadline passed
+   */
+  startCheckInJob() {
+    const cronExpression = '* * * * *'; // Every minute
+    let isChecking = false;
+
+    const job = cron.schedule(cronExpression, async () => {
+      if (isChecking) return;
+      isChecking = true;
+
+      try {
+        const escalated = await checkInService.escalateMissed();
+        if (escalated > 0) {
+          console.log(`⏰ Escalated ${escalated} missed check-in(s)`);
+        }
+      } catch (error) {
+        console.error('❌ Error in missed check-in job:', error);
+      } finally {
+        isChecking = false;
+      }
+    }, {
+      scheduled: true,
+      timezone: "UTC"
+    });
+
+    this.jobs.set('missed-check-ins', job);
+    console.log('📅 Missed check-in job scheduled (every minute)');
+  }
+
   /**
    * Start cleanup job
    * Runs every hour to clean up old alerts and maintain system health
@@ -92,19 +162,31 @@ class SOSMonitoringJob {
    */
   async performCleanup() {
     try {
-      // Clear old resolved SOS alerts (older than 24 hours)
-      const SOSAlert = require('../models/SOSAlert');
-      const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-      
-      const deletedAlerts = await SOSAlert.deleteMany({
-        status: 'resolved',
-        updatedAt: { $lt: twentyFourHoursAgo }
-      });
-      
-      if (deletedAlerts.deletedCount > 0) {
-        console.log(`🗑️  Cleaned up ${deletedAlerts.deletedCount} old SOS alerts`);
+      // Purge closed SOS alerts past the retention period. Alerts are kept for
+      // post-incident review, so this defaults to a year; 0 keeps them forever.
+      const retentionDays = parseInt(process.env.SOS_ALERT_RETENTION_DAYS || '365');
+      if (retentionDays > 0) {
+        const SOSAlert = require('../models/SOSAlert');
+        const ContactNotification = require('../models/ContactNotification');
+        const DispatchJob = require('../models/DispatchJob');
+        const SOSTrackPoint = require('../models/SOSTrackPoint');
+        const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+        const expired = await SOSAlert.find({
+          status: { $nin: SOSAlert.OPEN_STATUSES },
+          updatedAt: { $lt: cutoff }
+        }).select('_id').lean();
+
+        if (expired.length > 0) {
+          const alertIds = expired.map(a => a._id);
+          await ContactNotification.deleteMany({ alertId: { $in: alertIds } });
+          await DispatchJob.deleteMany({ alertId: { $in: alertIds } });
+          await SOSTrackPoint.deleteMany({ alertId: { $in: alertIds } });
+          const deletedAlerts = await SOSAlert.deleteMany({ _id: { $in: alertIds } });
+          console.log(`🗑️  Purged ${deletedAlerts.deletedCount} SOS alerts older than ${retentionDays} days`);
+        }
       }
-      
+
       // Log system statistics
       await this.logSystemStats();
       
@@ -127,9 +209,9 @@ class SOSMonitoringJob {
         'settings.autoSOSEnabled': true
       });
       
-      // Count active SOS alerts
+      // Count open SOS alerts
       const activeAlerts = await SOSAlert.countDocuments({
-        status: 'active'
+        status: { $in: SOSAlert.OPEN_STATUSES }
       });
       
       // Count recent alerts (last 24 hours)
@@ -1,5 +1,12 @@
 const axios = require('axios');
 const DeviceToken = require('../models/DeviceToken');
+const ContactNotification = require('../models/ContactNotification');
+const SOSAlert = require('../models/SOSAlert');
+const Group = require('../models/Group');
+const dispatchService = require('./dispatchService');
+const notificationService = require('./notificationService');
+const { getProvider } = require('./providers');
+const { groupRoom, emitToRoom } = require('./realtime');
 
 // Try to initialize Firebase Admin for push notifications if credentials available
 let fcm = null;
@@ -24,7 +31,132 @@ try {
   console.warn('Firebase Admin SDK not configured or failed to load. Push notifications disabled.');
 }
 
+/**
+ * FCM multicast message for an emergency push. Android notifications use the emergency_alerts channel
+ * so they are delivered with the expected importance and the local plugin can map to it.
+ * FCM data values must be strings.
+ */
+const buildPushMessage = (tokens, notification, data = {}) => ({
+  tokens,
+  notification,
+  data: Object.fromEntries(Object.entries(data).map(([key, value]) => [key, String(value)])),
+  android: {
+    priority: 'high',
+    notification: {
+      channelId: 'emergency_alerts',
+      defaultSound: true,
+    }
+  },
+  apns: {
+    headers: { 'apns-priority': '10' },
+    payload: {
+      aps: {
+        alert: { title: notification.title, body: notification.body },
+        sound: 'default'
+      }
+    }
+  }
+});
+
+// Alerts raised without the user pressing SOS (inactivity, location deviation, missed check-ins)
+const AUTOMATIC_SOURCES = ['auto', 'check_in'];
+
 class SOSService {
+  /**
+   * Raise an SOS alert for a user and start every notification path: emergency services
+   * (for immediate alerts), the contact escalation ladder, the user's inbox and nearby app users.
+   * Used by REST, Socket.IO and automatic triggers so every alert is handled the same way.
+   */
+  async createAlert(user, {
+    latitude,
+    longitude,
+    address,
+    emergencyType = 'general',
+    message,
+    immediateAlert = false,
+    source = 'app'
+  }) {
+    // Required lazily: the escalation service depends on this one
+    const escalationService = require('./escalationService');
+
+    const alert = new SOSAlert({
+      userId: user._id,
+      status: 'active',
+      emergencyType,
+      location: {
+        latitude,
+        longitude,
+        address: address || 'Location not specified'
+      },
+      message: message || 'Emergency assistance required',
+      emergencyServicesNotified: false,
+      immediateAlert,
+      source
+    });
+
+    await alert.save();
+
+    // Trigger emergency services notification
+    if (immediateAlert) {
+      try {
+        const result = await this.notifyEmergencyServices(alert, user);
+        if (result.success) {
+          alert.emergencyServicesNotified = true;
+          alert.emergencyServicesNotifiedAt = result.notifiedAt;
+          alert.timeline.push({
+            type: 'emergency_services_notified',
+            at: result.notifiedAt,
+            message: 'Emergency services notified (immediate alert)'
+          });
+          await alert.save();
+        }
+      } catch (serviceError) {
+        console.error('Emergency services notification failed:', serviceError);
+      }
+    }
+
+    // Start the escalation ladder; steps due now (normally the primary contact) run immediately
+    try {
+      await escalationService.startForAlert(alert, user);
+    } catch (escalationError) {
+      console.error('Starting escalation failed:', escalationError);
+    }
+
+    // Record the alert in the user's notification inbox (async)
+    notificationService.notifySOSTriggered(user, alert, { automatic: AUTOMATIC_SOURCES.includes(source) });
+
+    // Tell the user's groups (async)
+    this.notifyGroups(alert, user)
+      .catch(err => console.error('Group SOS notification failed:', err));
+
+    // Send push notifications to other app users (async)
+    this.notifyPushToAllUsers(alert, user)
+      .then(res => console.log('Push notify result:', res))
+      .catch(err => console.error('Push notifications failed:', err));
+
+    return alert;
+  }
+
+  /**
+   * Send an SOS alert to the user's groups. Members can follow it with sos_track_subscribe.
+   */
+  async notifyGroups(alert, user) {
+    const groups = await Group.findForMember(user._id).select('_id name');
+    if (groups.length === 0) return 0;
+
+    emitToRoom(groups.map(group => groupRoom(group._id)), 'group_sos_alert', {
+      alertId: String(alert._id),
+      userId: String(user._id),
+      userName: user.name,
+      alertType: alert.emergencyType,
+      message: alert.message,
+      location: alert.location,
+      groupIds: groups.map(group => String(group._id)),
+      timestamp: alert.createdAt.getTime()
+    });
+    return groups.length;
+  }
+
   // Notify emergency services
   async notifyEmergencyServices(alert, user) {
     try {
@@ -91,32 +223,7 @@ class SOSService {
       let successCount = 0;
       for (let i = 0; i < tokens.length; i += chunkSize) {
         const chunk = tokens.slice(i, i + chunkSize);
-        // Ensure Android notification uses the emergency_alerts channel so system notifications
-        // are delivered with the expected importance and the local plugin can map to it.
-        const message = {
-          tokens: chunk,
-          notification: payload.notification,
-          data: payload.data,
-          android: {
-            priority: 'high',
-            notification: {
-              channelId: 'emergency_alerts',
-              defaultSound: true,
-            }
-          },
-          apns: {
-            headers: { 'apns-priority': '10' },
-            payload: {
-              aps: {
-                alert: {
-                  title: payload.notification.title,
-                  body: payload.notification.body
-                },
-                sound: 'default'
-              }
-            }
-          }
-        };
+        const message = buildPushMessage(chunk, payload.notification, payload.data);
         const response = await fcm.sendMulticast(message);
         successCount += response.successCount || 0;
         console.log(`FCM chunk sent: success=${response.successCount} failure=${response.failureCount}`);
@@ -150,31 +257,59 @@ class SOSService {
     }
   }
 
-  // Notify emergency contacts
+  // Send a push notification to every registered device of one user
+  async sendPushToUser(userId, notification, data = {}) {
+    try {
+      if (!fcm) {
+        return { success: false, reason: 'fcm_not_configured' };
+      }
+
+      const tokensDocs = await DeviceToken.find({ user: userId }).select('token -_id');
+      const tokens = tokensDocs.map(d => d.token).filter(Boolean);
+      if (tokens.length === 0) {
+        return { success: true, sent: 0 };
+      }
+
+      const response = await fcm.sendMulticast(buildPushMessage(tokens, notification, data));
+
+      const delivered = response.responses.find(resp => resp.success);
+      return {
+        success: true,
+        sent: response.successCount || 0,
+        messageId: delivered ? delivered.messageId : null
+      };
+    } catch (error) {
+      console.error('Push notification to user failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Notify emergency contacts through the durable dispatch pipeline.
+  // Finds or creates a ContactNotification per contact and queues its delivery;
+  // the dispatch worker then sends it, retrying and falling back between channels.
   async notifyEmergencyContacts(alert, contacts, user) {
     try {
       console.log('Notifying emergency contacts for alert:', alert._id);
-      
+
       const notifications = [];
-      
+
       for (const contact of contacts) {
         try {
-          // In a real implementation, this would send SMS/calls to contacts
-          const message = `EMERGENCY ALERT: ${user.name} has triggered an SOS alert. Location: ${alert.location.address || 'Location unavailable'}. Please contact them immediately or call emergency services.`;
-          
-          console.log(`Sending emergency notification to ${contact.name} (${contact.phone}): ${message}`);
-          
-          // Simulate notification delay
-          await new Promise(resolve => setTimeout(resolve, 500));
-          
+          const notification = await ContactNotification.findOneAndUpdate(
+            { alertId: alert._id, contactId: contact._id },
+            { $setOnInsert: { alertId: alert._id, contactId: contact._id, notificationStatus: 'pending' } },
+            { upsert: true, new: true }
+          );
+
+          await dispatchService.enqueue(notification, contact, alert);
+
           notifications.push({
             contactId: contact._id,
-            status: 'sent',
-            sentAt: new Date()
+            notificationId: notification._id,
+            status: notification.notificationStatus
           });
-          
         } catch (contactError) {
-          console.error(`Failed to notify contact ${contact.name}:`, contactError);
+          console.error(`Failed to queue notification for contact ${contact.name}:`, contactError);
           notifications.push({
             contactId: contact._id,
             status: 'failed',
@@ -182,7 +317,7 @@ class SOSService {
           });
         }
       }
-      
+
       return notifications;
     } catch (error) {
       console.error('Failed to notify emergency contacts:', error);
@@ -190,28 +325,22 @@ class SOSService {
     }
   }
 
-  // Send SMS (placeholder implementation)
+  // Send a single SMS through the configured provider
   async sendSMS(phoneNumber, message) {
-    try {
-      // In production, integrate with SMS service like Twilio
-      console.log(`SMS to ${phoneNumber}: ${message}`);
-      return { success: true, messageId: 'mock_message_id' };
-    } catch (error) {
-      console.error('SMS sending failed:', error);
-      throw error;
+    const result = await getProvider('sms').sendSMS(phoneNumber, message);
+    if (!result.success) {
+      throw new Error(result.error);
     }
+    return { success: true, messageId: result.providerMessageId };
   }
 
-  // Make phone call (placeholder implementation)
+  // Place a single voice call through the configured provider
   async makeCall(phoneNumber, message) {
-    try {
-      // In production, integrate with calling service like Twilio Voice
-      console.log(`Call to ${phoneNumber}: ${message}`);
-      return { success: true, callId: 'mock_call_id' };
-    } catch (error) {
-      console.error('Call failed:', error);
-      throw error;
+    const result = await getProvider('voice').makeCall(phoneNumber, message);
+    if (!result.success) {
+      throw new Error(result.error);
     }
+    return { success: true, callId: result.providerMessageId };
   }
 }
 
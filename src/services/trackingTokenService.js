@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const TrackingToken = require('../models/TrackingToken');
+const TripEvent = require('../models/TripEvent');
+
+const DEFAULT_TTL_HOURS = 24;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class TrackingTokenService {
+  get secret() {
+    return process.env.TRACKING_TOKEN_SECRET || process.env.JWT_SECRET;
+  }
+
+  get ttlHours() {
+    const hours = parseInt(process.env.TRACKING_TOKEN_TTL_HOURS);
+    return isNaN(hours) || hours <= 0 ? DEFAULT_TTL_HOURS : hours;
+  }
+
+  deriveToken(record) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${record.alertId}:${record.contactId}:${record.salt}`)
+      .digest('base64url');
+  }
+
+  /**
+   * Token for a contact on an alert, created on first use. Every message sent to the
+   * same contact about the same alert carries the same link.
+   */
+  async tokenFor(alert, contact) {
+    if (!this.secret) {
+      throw new Error('TRACKING_TOKEN_SECRET or JWT_SECRET must be set to issue tracking links');
+    }
+
+    let record = await TrackingToken.findOne({ alertId: alert._id, contactId: contact._id });
+    if (!record) {
+      const salt = crypto.randomBytes(16).toString('hex');
+      const draft = { alertId: alert._id, contactId: contact._id, salt };
+      try {
+        record = await TrackingToken.create({
+          ...draft,
+          tokenHash: hashToken(this.deriveToken(draft)),
+          expiresAt: new Date(Date.now() + this.ttlHours * 60 * 60 * 1000)
+        });
+      } catch (error) {
+        // Another send created it first
+        if (error.code !== 11000) throw error;
+        record = await TrackingToken.findOne({ alertId: alert._id, contactId: contact._id });
+      }
+    }
+
+    return this.deriveToken(record);
+  }
+
+  /**
+   * Public URL of the tracking page, or null when the server has no public address
+   */
+  async urlFor(alert, contact) {
+    const baseUrl = process.env.PUBLIC_BASE_URL;
+    if (!baseUrl) return null;
+    const token = await this.tokenFor(alert, contact);
+    return `${baseUrl.replace(/\/+$/, '')}/track/${token}`;
+  }
+
+  /**
+   * Look up a presented token. Returns the TrackingToken or null.
+   */
+  async resolve(token) {
+    if (typeof token !== 'string' || token.length < 20 || token.length > 100) return null;
+    return TrackingToken.findOne({ tokenHash: hashToken(token) });
+  }
+
+  /**
+   * Give a trip share a link token: sets its salt and token hash and returns the token
+   */
+  issueTripToken(trip, share) {
+    if (!this.secret) {
+      throw new Error('TRACKING_TOKEN_SECRET or JWT_SECRET must be set to issue tracking links');
+    }
+    share.salt = crypto.randomBytes(16).toString('hex');
+    const token = this.deriveTripToken(trip, share);
+    share.tokenHash = hashToken(token);
+    return token;
+  }
+
+  deriveTripToken(trip, share) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`trip:${trip._id}:${share._id}:${share.salt}`)
+      .digest('base64url');
+  }
+
+  /**
+   * Public URL of a shared trip's page, or null when the server has no public address
+   */
+  tripUrlFor(trip, share) {
+    const baseUrl = process.env.PUBLIC_BASE_URL;
+    if (!baseUrl || !share.salt) return null;
+    return `${baseUrl.replace(/\/+$/, '')}/track/trip/${this.deriveTripToken(trip, share)}`;
+  }
+
+  /**
+   * Look up a presented trip token. Returns { trip, share } or null.
+   */
+  async resolveTrip(token) {
+    if (typeof token !== 'string' || token.length < 20 || token.length > 100) return null;
+    const tokenHash = hashToken(token);
+    const trip = await TripEvent.findOne({ 'sharedWith.tokenHash': tokenHash });
+    if (!trip) return null;
+    return { trip, share: trip.sharedWith.find(s => s.tokenHash === tokenHash) };
+  }
+
+  async revokeForAlert(alertId) {
+    const result = await TrackingToken.updateMany(
+      { alertId, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    return result.modifiedCount || 0;
+  }
+}
+
+module.exports = new TrackingTokenService();
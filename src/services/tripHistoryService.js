@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+const TripEvent = require('../models/TripEvent');
+const TripHistory = require('../models/TripHistory');
+const Location = require('../models/Location');
+const { haversineMeters } = require('../utils/geo');
+
+// The archived track is thinned to this many points; distance is measured on every breadcrumb
+const MAX_TRACK_POINTS = 500;
+const MAX_BREADCRUMBS = 10000;
+
+// Ended trips archived per sweep of the lifecycle job
+const ARCHIVE_BATCH_SIZE = 100;
+
+// Stats cover this many months when no range is given
+const DEFAULT_STATS_MONTHS = 12;
+
+/**
+ * Archives finished TripEvents (completed, missed or cancelled) into TripHistory with their recorded track,
+ * distance travelled, actual duration and the alerts they raised, and answers history queries and stats.
+ */
+class TripHistoryService {
+  // Evenly spaced points, always keeping the first and last
+  thinTrack(points, max = MAX_TRACK_POINTS) {
+    if (points.length <= max) return points;
+    const step = (points.length - 1) / (max - 1);
+    return Array.from({ length: max }, (_, i) => points[Math.round(i * step)]);
+  }
+
+  /**
+   * The TripHistory fields of a finished trip
+   */
+  async summarize(trip) {
+    const breadcrumbs = await Location.find({ tripId: trip._id })
+      .sort({ timestamp: 1 })
+      .select('latitude longitude timestamp')
+      .limit(MAX_BREADCRUMBS)
+      .lean();
+
+    let distanceMeters = 0;
+    for (let i = 1; i < breadcrumbs.length; i++) {
+      const a = breadcrumbs[i - 1];
+      const b = breadcrumbs[i];
+      distanceMeters += haversineMeters(a.latitude, a.longitude, b.latitude, b.longitude);
+    }
+
+    // Trips that ended before startedAt/endedAt were recorded fall back to their track and last update
+    const startedAt = trip.startedAt || (breadcrumbs[0] ? breadcrumbs[0].timestamp : null);
+    const endedAt = trip.endedAt || trip.updatedAt || new Date();
+    const plannedEndTime = trip.originalEndTime || trip.endTime;
+
+    return {
+      userId: trip.userId,
+      title: trip.title,
+      startTime: trip.startTime,
+      endTime: trip.endTime,
+      destination: trip.destination,
+      notes: trip.notes,
+      travelMode: trip.travelMode,
+      status: trip.status,
+      tripEventId: trip._id,
+      templateId: trip.templateId,
+      recurrenceId: trip.recurrenceId,
+      startedAt,
+      endedAt,
+      durationMinutes: startedAt ? Math.max(0, Math.round((endedAt - startedAt) / 60000)) : null,
+      distanceMeters: Math.round(distanceMeters),
+      // Judged against the end time as first planned, so extending a late trip does not make it on time
+      onTime: trip.status === 'completed' ? endedAt <= plannedEndTime : null,
+      track: this.thinTrack(breadcrumbs).map(({ latitude, longitude, timestamp }) => ({ latitude, longitude, timestamp })),
+      alerts: trip.alertHistory
+        .filter(alert => alert.alertType !== 'system')
+        .map(({ alertType, message, timestamp }) => ({ alertType, message, timestamp })),
+      syncedAt: new Date()
+    };
+  }
+
+  /**
+   * Copy a finished trip into the history, replacing any earlier copy. Returns the entry, or null for a trip still running.
+   */
+  async archive(trip) {
+    if (!TripEvent.ENDED_STATUSES.includes(trip.status)) return null;
+
+    const fields = await this.summarize(trip);
+    let entry;
+    try {
+      entry = await TripHistory.findOneAndUpdate(
+        { tripEventId: trip._id },
+        { $set: fields },
+        { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true }
+      );
+    } catch (error) {
+      // Archived concurrently; the other copy is just as current
+      if (error.code !== 11000) throw error;
+      entry = await TripHistory.findOne({ tripEventId: trip._id });
+    }
+
+    trip.archivedAt = new Date();
+    await TripEvent.updateOne({ _id: trip._id }, { $set: { archivedAt: trip.archivedAt } });
+    return entry;
+  }
+
+  /**
+   * Archive ended trips not archived yet, e.g. when archiving right after the transition failed (called by the lifecycle job)
+   */
+  async archivePending() {
+    const pending = await TripEvent.find({ status: { $in: TripEvent.ENDED_STATUSES }, archivedAt: null })
+      .sort({ updatedAt: 1 })
+      .limit(ARCHIVE_BATCH_SIZE);
+
+    let archived = 0;
+    for (const trip of pending) {
+      try {
+        await this.archive(trip);
+        archived++;
+      } catch (err) {
+        console.error(`❌ Failed to archive trip ${trip._id}:`, err);
+      }
+    }
+    return archived;
+  }
+
+  /**
+   * A page of the user's trip history, newest first. The track is left out; fetch a single trip for it.
+   */
+  async list(userId, { status, travelMode, from, to, limit = 20, offset = 0 } = {}) {
+    const query = { userId };
+    if (status) query.status = status;
+    if (travelMode) query.travelMode = travelMode;
+    if (from || to) {
+      query.startTime = {};
+      if (from) query.startTime.$gte = from;
+      if (to) query.startTime.$lte = to;
+    }
+
+    const [trips, total] = await Promise.all([
+      TripHistory.find(query).select('-track').sort({ startTime: -1 }).skip(offset).limit(limit),
+      TripHistory.countDocuments(query)
+    ]);
+
+    return {
+      trips,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: total > offset + trips.length
+      }
+    };
+  }
+
+  /**
+   * Trips per month (in timeZone), on-time rate of completed trips and distance by travel mode over [from, to]
+   */
+  async stats(userId, { from, to, timeZone = 'UTC' } = {}) {
+    const end = to || new Date();
+    let start = from;
+    if (!start) {
+      start = new Date(end);
+      start.setMonth(start.getMonth() - DEFAULT_STATS_MONTHS);
+    }
+
+    const countWhere = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+    const [result] = await TripHistory.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(String(userId)), startTime: { $gte: start, $lte: end } } },
+      {
+        $facet: {
+          byMonth: [
+            {
+              $group: {
+                _id: { $dateToString: { format: '%Y-%m', date: '$startTime', timezone: timeZone } },
+                trips: { $sum: 1 },
+                completed: countWhere({ $eq: ['$status', 'completed'] }),
+                missed: countWhere({ $eq: ['$status', 'missed'] }),
+                cancelled: countWhere({ $eq: ['$status', 'cancelled'] })
+              }
+            },
+            { $sort: { _id: 1 } }
+          ],
+          byTravelMode: [
+            { $group: { _id: '$travelMode', trips: { $sum: 1 }, distanceMeters: { $sum: '$distanceMeters' } } },
+            { $sort: { distanceMeters: -1 } }
+          ],
+          totals: [
+            {
+              $group: {
+                _id: null,
+                trips: { $sum: 1 },
+                completed: countWhere({ $eq: ['$status', 'completed'] }),
+                onTime: countWhere({ $eq: ['$onTime', true] }),
+                late: countWhere({ $eq: ['$onTime', false] }),
+                distanceMeters: { $sum: '$distanceMeters' }
+              }
+            }
+          ]
+        }
+      }
+    ]);
+
+    const totals = result.totals[0] || { trips: 0, completed: 0, onTime: 0, late: 0, distanceMeters: 0 };
+    // Client-saved entries carry no arrival time, so only archived completed trips count towards the rate
+    const timed = totals.onTime + totals.late;
+
+    return {
+      range: { from: start, to: end, timeZone },
+      totals: {
+        trips: totals.trips,
+        completed: totals.completed,
+        distanceMeters: totals.distanceMeters
+      },
+      onTimeRate: timed > 0 ? parseFloat((totals.onTime / timed).toFixed(2)) : null,
+      tripsPerMonth: result.byMonth.map(({ _id, ...counts }) => ({ month: _id, ...counts })),
+      distanceByTravelMode: result.byTravelMode.map(({ _id, trips, distanceMeters }) => ({ travelMode: _id, trips, distanceMeters }))
+    };
+  }
+}
+
+module.exports = new TripHistoryService();
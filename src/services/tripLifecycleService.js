@@ -0,0 +1,232 @@
+const TripEvent = require('../models/TripEvent');
+const Location = require('../models/Location');
+const etaService = require('./etaService');
+const sosService = require('./sosService');
+const notificationService = require('./notificationService');
+const tripSharingService = require('./tripSharingService');
+const tripHistoryService = require('./tripHistoryService');
+const { emitToUser } = require('./realtime');
+
+// How long before startTime the traveller is reminded of a scheduled trip
+const REMINDER_LEAD_MS = 15 * 60 * 1000;
+
+/**
+ * Moves trips through their lifecycle: scheduled → active at startTime, active → completed when a
+ * location update arrives at the destination, and active → missed when no location ever arrives.
+ * Every transition goes through TripEvent#updateStatus so it is recorded in the alert history.
+ * Ended trips are archived into TripHistory.
+ */
+class TripLifecycleService {
+  /**
+   * Run every due transition (called by the trip monitor)
+   */
+  async runTransitions() {
+    const stats = {
+      reminded: await this.sendReminders(),
+      activated: await this.activateDueTrips(),
+      missed: await this.markMissedTrips(),
+      archived: await tripHistoryService.archivePending()
+    };
+
+    if (Object.values(stats).some(count => count > 0)) {
+      console.log(`🗓️ Trip lifecycle: ${JSON.stringify(stats)}`);
+    }
+    return stats;
+  }
+
+  /**
+   * Remind travellers of scheduled trips starting soon. Each trip is claimed before the push goes out,
+   * so concurrent runs never remind twice.
+   */
+  async sendReminders() {
+    let reminded = 0;
+
+    for (;;) {
+      const now = new Date();
+      const trip = await TripEvent.findOneAndUpdate(
+        {
+          status: 'scheduled',
+          isActive: true,
+          reminderSentAt: null,
+          startTime: { $gt: now, $lte: new Date(now.getTime() + REMINDER_LEAD_MS) }
+        },
+        { $set: { reminderSentAt: now } },
+        { new: true, sort: { startTime: 1 } }
+      );
+      if (!trip) break;
+
+      const minutes = Math.max(1, Math.round((trip.startTime - now) / 60000));
+      const body = `"${trip.title}" starts in ${minutes} minute${minutes === 1 ? '' : 's'}. Keep location sharing on so we can follow your trip.`;
+
+      notificationService.notify(trip.userId, {
+        type: 'trip',
+        priority: 'medium',
+        title: 'Trip starting soon',
+        message: body,
+        screen: 'trip_event',
+        params: { tripId: String(trip._id) }
+      });
+      sosService.sendPushToUser(trip.userId, { title: 'Trip starting soon', body }, { type: 'trip_reminder', tripId: trip._id })
+        .catch(err => console.error('Trip reminder push failed:', err));
+      reminded++;
+    }
+
+    return reminded;
+  }
+
+  /**
+   * Activate scheduled trips whose start time has arrived. Trips that ended before they could be
+   * activated (e.g. while the server was down) are marked missed instead.
+   */
+  async activateDueTrips() {
+    const now = new Date();
+    const due = await TripEvent.find({ status: 'scheduled', isActive: true, startTime: { $lte: now } });
+
+    let activated = 0;
+    for (const trip of due) {
+      try {
+        const status = trip.endTime > now ? 'active' : 'missed';
+        await this.transition(trip, status);
+        if (status === 'active') activated++;
+      } catch (err) {
+        console.error(`❌ Failed to activate trip ${trip._id}:`, err);
+      }
+    }
+    return activated;
+  }
+
+  /**
+   * Mark active trips missed when no location has arrived within their location timeout of the start
+   */
+  async markMissedTrips() {
+    const now = new Date();
+    // Pre-filter on the smallest allowed timeout; each trip's own threshold is applied below
+    const candidates = await TripEvent.find({
+      status: 'active',
+      isActive: true,
+      currentLocation: null,
+      startTime: { $lte: new Date(now.getTime() - 5 * 60 * 1000) }
+    });
+
+    let missed = 0;
+    for (const trip of candidates) {
+      const timeoutMs = (trip.alertThresholds?.locationTimeoutMinutes || 30) * 60 * 1000;
+      if (now - trip.startTime < timeoutMs) continue;
+
+      try {
+        await this.transition(trip, 'missed');
+        missed++;
+      } catch (err) {
+        console.error(`❌ Failed to mark trip ${trip._id} missed:`, err);
+      }
+    }
+    return missed;
+  }
+
+  /**
+   * Record a location update for a running trip: stores a breadcrumb, completes the trip when it is within
+   * the destination tolerance and otherwise refreshes its predicted arrival and checks the route corridor.
+   * Returns whether the trip was completed.
+   */
+  async recordLocation(trip, { latitude, longitude, accuracy = 0, address = null, name = null }) {
+    trip.updateLocation(latitude, longitude, address, name);
+    trip.recordRouteFix(latitude, longitude);
+    await Location.create({
+      userId: trip.userId,
+      tripId: trip._id,
+      latitude,
+      longitude,
+      accuracy,
+      address: address || undefined,
+      timestamp: trip.lastLocationUpdate
+    });
+
+    const tolerance = trip.alertThresholds?.destinationToleranceMeters || 500;
+    const arrived = trip.calculateDistanceToDestination() <= tolerance;
+    if (arrived) {
+      await this.transition(trip, 'completed');
+    } else {
+      await etaService.refresh(trip);
+      await trip.save();
+      tripSharingService.broadcastUpdate(trip);
+
+      if (trip.shouldTriggerRouteDeviationAlert()) {
+        // Required lazily: the monitoring service depends on this one
+        const tripMonitoringService = require('./tripMonitoringService');
+        await tripMonitoringService.alertRouteDeviation(trip);
+      }
+    }
+    return arrived;
+  }
+
+  /**
+   * Move a trip's end time later, e.g. after a running-late prompt. Clears the lateness state so a
+   * new prediction past the new end time prompts again; the first planned end time is kept for history.
+   */
+  async extend(trip, endTime) {
+    const previous = trip.endTime;
+    if (!trip.originalEndTime) trip.originalEndTime = previous;
+    trip.endTime = endTime;
+    trip.lateness = { promptedAt: null, alertedAt: null };
+    trip.addAlert('system', `Trip extended from ${previous.toISOString()} to ${endTime.toISOString()}`);
+    await trip.save();
+
+    tripSharingService.broadcastUpdate(trip);
+    return trip;
+  }
+
+  async transition(trip, status) {
+    // Ending a trip revokes its shares, so capture the viewers first
+    const shares = trip.activeShares();
+    trip.updateStatus(status);
+    await trip.save();
+
+    if (TripEvent.ENDED_STATUSES.includes(status)) {
+      // Retried by the lifecycle job if it fails here
+      tripHistoryService.archive(trip)
+        .catch(err => console.error(`❌ Failed to archive trip ${trip._id}:`, err));
+    }
+
+    if (shares.length > 0) {
+      if (status === 'completed') {
+        const ownerName = await tripSharingService.ownerName(trip);
+        tripSharingService.notifyViewers(trip, {
+          title: `${ownerName} arrived`,
+          message: `${ownerName} completed "${trip.title}" and reached the destination.`,
+          shares
+        }).catch(err => console.error('Notifying trip viewers failed:', err));
+      } else {
+        tripSharingService.broadcastUpdate(trip, shares);
+      }
+    }
+
+    emitToUser(trip.userId, 'trip_status_changed', {
+      tripId: String(trip._id),
+      status,
+      timestamp: Date.now()
+    });
+
+    if (status === 'completed') {
+      notificationService.notify(trip.userId, {
+        type: 'trip',
+        priority: 'low',
+        title: 'Trip completed',
+        message: `You arrived at the destination of "${trip.title}".`,
+        screen: 'trip_event',
+        params: { tripId: String(trip._id) }
+      });
+    } else if (status === 'missed') {
+      notificationService.notify(trip.userId, {
+        type: 'trip',
+        priority: 'medium',
+        title: 'Trip missed',
+        message: `"${trip.title}" never received a location update, so it was marked as missed.`,
+        screen: 'trip_event',
+        params: { tripId: String(trip._id) }
+      });
+    }
+    return trip;
+  }
+}
+
+module.exports = new TripLifecycleService();
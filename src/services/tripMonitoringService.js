@@ -3,12 +3,21 @@ const TripEvent = require('../models/TripEvent');
 const User = require('../models/User');
 const SOSAlert = require('../models/SOSAlert');
 const sosService = require('./sosService');
-const mongoose = require('mongoose');
+const tripLifecycleService = require('./tripLifecycleService');
+const tripPlanningService = require('./tripPlanningService');
+const tripSharingService = require('./tripSharingService');
+const notificationService = require('./notificationService');
+const { emitToUser } = require('./realtime');
+
+// How long the traveller has to extend a late trip before its viewers are told
+const LATE_PROMPT_GRACE_MS = 10 * 60 * 1000;
 
 class TripMonitoringService {
   constructor() {
     this.isRunning = false;
     this.monitoringJob = null;
+    this.lifecycleJob = null;
+    this.materializeJob = null;
     this.cleanupJob = null;
   }
 
@@ -21,6 +30,19 @@ class TripMonitoringService {
       try { await this.checkActiveTrips(); } catch (e) { console.error('monitoringJob error', e); }
     });
 
+    // schedule lifecycle transitions (every minute) so trips start and reminders go out on time
+    let transitioning = false;
+    this.lifecycleJob = cron.schedule('* * * * *', async () => {
+      if (transitioning) return;
+      transitioning = true;
+      try { await tripLifecycleService.runTransitions(); } catch (e) { console.error('lifecycleJob error', e); } finally { transitioning = false; }
+    });
+
+    // schedule recurring trip materialisation (every 15 minutes)
+    this.materializeJob = cron.schedule('*/15 * * * *', async () => {
+      try { await tripPlanningService.materializeDue(); } catch (e) { console.error('materializeJob error', e); }
+    });
+
     // schedule cleanup job (daily at 2:00)
     this.cleanupJob = cron.schedule('0 2 * * *', async () => {
       try { await this.cleanupOldTrips(); } catch (e) { console.error('cleanupJob error', e); }
@@ -28,37 +50,198 @@ class TripMonitoringService {
 
     // run an immediate check
     this.checkActiveTrips().catch(err => console.error('initial checkActiveTrips failed', err));
+    tripPlanningService.materializeDue().catch(err => console.error('initial materializeDue failed', err));
   }
 
   stop() {
     if (this.monitoringJob) { this.monitoringJob.destroy(); this.monitoringJob = null; }
+    if (this.lifecycleJob) { this.lifecycleJob.destroy(); this.lifecycleJob = null; }
+    if (this.materializeJob) { this.materializeJob.destroy(); this.materializeJob = null; }
     if (this.cleanupJob) { this.cleanupJob.destroy(); this.cleanupJob = null; }
     this.isRunning = false;
   }
 
+  /**
+   * Run the location-timeout, route-deviation, destination-mismatch, overdue and running-late checks over the trips that need them.
+   * Trips that never reported a location are left to the lifecycle job, which marks them missed.
+   * A location timeout re-alerts only after a location update has arrived since the last one;
+   * destination and overdue alerts fire once per trip.
+   */
   async checkActiveTrips() {
-    // Minimal safe implementation: find active trips and perform basic checks
+    const stats = { locationTimeout: 0, destinationMismatch: 0, routeDeviation: 0, overdue: 0, runningLate: 0 };
+
     try {
-      const now = new Date();
-      const activeTrips = await TripEvent.find({ status: 'active', isActive: true }).lean().exec();
-      if (!activeTrips || activeTrips.length === 0) return;
-
-      for (const trip of activeTrips) {
-        // If the trip endTime has passed, trigger an alert if needed
-        if (trip.endTime && new Date(trip.endTime) < now) {
-          try {
-            const controller = require('../controllers/tripEventsController');
-            if (controller && typeof controller.triggerAlertForEvent === 'function') {
-              await controller.triggerAlertForEvent(trip);
-            }
-          } catch (e) {
-            console.error('Error triggering alert for trip', trip._id, e);
+      const stale = await TripEvent.findTripsNeedingLocationCheck();
+      for (const trip of stale) {
+        // Trips that never reported a location are marked missed by the lifecycle job instead
+        if (!trip.currentLocation) continue;
+        if (!trip.shouldTriggerLocationAlert() || trip.hasAlert('location_timeout', trip.lastLocationUpdate)) continue;
+        const minutes = Math.round((Date.now() - trip.lastLocationUpdate) / 60000);
+        if (await this.safeTrigger(trip, 'location_timeout', `No location update for ${minutes} minutes during "${trip.title}"`)) {
+          stats.locationTimeout++;
+        }
+      }
+
+      // Deviations are normally alerted as the fix arrives; this catches any that failed to
+      const offRoute = await TripEvent.findTripsOffRoute();
+      for (const trip of offRoute) {
+        if (!trip.shouldTriggerRouteDeviationAlert()) continue;
+        try {
+          if (await this.alertRouteDeviation(trip)) stats.routeDeviation++;
+        } catch (err) {
+          console.error(`❌ Failed to raise route_deviation alert for trip ${trip._id}:`, err);
+        }
+      }
+
+      const ended = await TripEvent.findOverdueTrips();
+      for (const trip of ended) {
+        if (trip.shouldTriggerDestinationAlert() && !trip.hasAlert('destination_mismatch')) {
+          const distance = Math.round(trip.calculateDistanceToDestination());
+          if (await this.safeTrigger(trip, 'destination_mismatch', `Trip "${trip.title}" ended ${distance} m from the destination`)) {
+            stats.destinationMismatch++;
           }
+        } else if (trip.shouldTriggerOverdueAlert() && !trip.hasAlert('overdue')) {
+          if (await this.safeTrigger(trip, 'overdue', `Trip "${trip.title}" is overdue and has no location updates`)) {
+            stats.overdue++;
+          }
+        }
+      }
+
+      const late = await TripEvent.findTripsPredictedLate();
+      for (const trip of late) {
+        try {
+          if (await this.handleRunningLate(trip)) stats.runningLate++;
+        } catch (err) {
+          console.error(`❌ Failed to handle running-late trip ${trip._id}:`, err);
         }
       }
+
+      if (Object.values(stats).some(count => count > 0)) {
+        console.log(`🧭 Trip monitor raised alerts: ${JSON.stringify(stats)}`);
+      }
     } catch (err) {
       console.error('checkActiveTrips error', err);
     }
+
+    return stats;
+  }
+
+  /**
+   * Alert a trip whose live positions left the planned route's corridor for more than maxOffRouteFixes fixes in a row
+   */
+  async alertRouteDeviation(trip) {
+    const { consecutiveOffRoute, lastDistanceMeters } = trip.routeDeviation;
+    trip.routeDeviation.alertedAt = new Date();
+    return this.triggerTripAlert(trip, 'route_deviation',
+      `Left the planned route of "${trip.title}": ${lastDistanceMeters} m off route for ${consecutiveOffRoute} location updates in a row`);
+  }
+
+  /**
+   * A trip predicted to arrive late first prompts the traveller to extend it; if they have not done so
+   * within LATE_PROMPT_GRACE_MS, a running-late alert goes to the trip's viewers. Returns whether the alert went out.
+   */
+  async handleRunningLate(trip) {
+    if (!trip.isRunningLate() || trip.lateness.alertedAt) return false;
+
+    const lateMinutes = Math.round((trip.predictedArrival - trip.endTime) / 60000);
+    const now = new Date();
+
+    if (!trip.lateness.promptedAt) {
+      trip.lateness.promptedAt = now;
+      await trip.save();
+
+      const message = `You look about ${lateMinutes} minutes behind on "${trip.title}". Extend the trip so your contacts are not alerted.`;
+      notificationService.notify(trip.userId, {
+        type: 'trip',
+        priority: 'high',
+        title: 'Running late?',
+        message,
+        screen: 'trip_event',
+        params: { tripId: String(trip._id), action: 'extend' }
+      });
+      sosService.sendPushToUser(trip.userId, { title: 'Running late?', body: message }, { type: 'trip_running_late', tripId: trip._id })
+        .catch(err => console.error('Running-late push failed:', err));
+      emitToUser(trip.userId, 'trip_running_late', {
+        tripId: String(trip._id),
+        endTime: trip.endTime,
+        predictedArrival: trip.predictedArrival,
+        suggestedEndTime: new Date(trip.predictedArrival.getTime() + 10 * 60 * 1000)
+      });
+      return false;
+    }
+
+    if (now - trip.lateness.promptedAt < LATE_PROMPT_GRACE_MS) return false;
+
+    const message = `Expected around ${lateMinutes} minutes later than planned (now ${trip.predictedArrival.toUTCString()})`;
+    trip.lateness.alertedAt = now;
+    trip.addAlert('running_late', message);
+    await trip.save();
+
+    const ownerName = await tripSharingService.ownerName(trip);
+    await tripSharingService.notifyViewers(trip, { title: `${ownerName} is running late`, message: `"${trip.title}": ${message}` });
+    emitToUser(trip.userId, 'trip_alert', { tripId: String(trip._id), alertType: 'running_late', message, sosAlertId: null });
+    return true;
+  }
+
+  async safeTrigger(trip, alertType, message) {
+    try {
+      return await this.triggerTripAlert(trip, alertType, message);
+    } catch (err) {
+      console.error(`❌ Failed to raise ${alertType} alert for trip ${trip._id}:`, err);
+      return false;
+    }
+  }
+
+  /**
+   * Record a trip alert and make sure the user's emergency contacts hear about it. The first alert
+   * raises an SOS through the shared creation path; while that SOS is open, further trip alerts are
+   * added to its timeline instead of raising another one.
+   */
+  async triggerTripAlert(trip, alertType, message) {
+    const userId = trip.userId && trip.userId._id ? trip.userId._id : trip.userId;
+    const user = await User.findById(userId).select('+lastKnownLocation');
+    if (!user || !user.isActive) return false;
+
+    trip.addAlert(alertType, message);
+
+    const openAlert = trip.sosAlertId
+      ? await SOSAlert.findOne({ _id: trip.sosAlertId, status: { $in: SOSAlert.OPEN_STATUSES } })
+      : null;
+
+    if (openAlert) {
+      await SOSAlert.recordEvent(openAlert._id, 'trip_alert', message, { tripId: String(trip._id), alertType });
+    } else {
+      const lastKnown = user.lastKnownLocation && user.lastKnownLocation.latitude != null ? user.lastKnownLocation : null;
+      const location = trip.currentLocation || lastKnown || trip.destination;
+      const alert = await sosService.createAlert(user, {
+        latitude: location.latitude,
+        longitude: location.longitude,
+        address: location.address,
+        message: `Trip alert: ${trip.title} — ${message}`,
+        source: 'trip'
+      });
+      trip.sosAlertId = alert._id;
+      trip.isEmergencyContactsNotified = true;
+    }
+
+    if (trip.status === 'active') {
+      trip.status = 'alert_triggered';
+    }
+    await trip.save();
+
+    notificationService.notifyTripAlert(user._id, trip, message);
+    emitToUser(user._id, 'trip_alert', {
+      tripId: String(trip._id),
+      alertType,
+      message,
+      sosAlertId: trip.sosAlertId ? String(trip.sosAlertId) : null
+    });
+
+    tripSharingService.notifyViewers(trip, { title: `Trip alert for ${user.name}`, message })
+      .catch(err => console.error('Notifying trip viewers failed:', err));
+
+    console.log(`🚨 Trip ${trip._id} (${user.email}): ${alertType}`);
+    return true;
   }
 
   async cleanupOldTrips() {
@@ -0,0 +1,195 @@
+const TripEvent = require('../models/TripEvent');
+const TripTemplate = require('../models/TripTemplate');
+const TripRecurrence = require('../models/TripRecurrence');
+const tripLifecycleService = require('./tripLifecycleService');
+
+// How far ahead recurring trips are materialised as scheduled TripEvents
+const MATERIALIZE_AHEAD_MS = 3 * 24 * 60 * 60 * 1000;
+
+// Recurrences are topped up once their horizon is closer than this
+const MATERIALIZE_REFRESH_MS = 60 * 60 * 1000;
+
+class TripPlanningError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'TripPlanningError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Trip templates and recurring trips. Recurrences are materialised into ordinary scheduled
+ * TripEvents a few days ahead, so the lifecycle job and the monitor treat them like any other trip.
+ */
+class TripPlanningService {
+  async findTemplate(userId, templateId) {
+    const template = await TripTemplate.findOne({ _id: templateId, userId });
+    if (!template) {
+      throw new TripPlanningError('Trip template not found', 404);
+    }
+    return template;
+  }
+
+  async findRecurrence(userId, recurrenceId) {
+    const recurrence = await TripRecurrence.findOne({ _id: recurrenceId, userId });
+    if (!recurrence) {
+      throw new TripPlanningError('Recurring trip not found', 404);
+    }
+    return recurrence;
+  }
+
+  /**
+   * Create a trip from a template. startTime defaults to now and endTime to the template's duration after it;
+   * a trip starting now is activated straight away.
+   */
+  async instantiateTemplate(template, { startTime, endTime, title, notes } = {}) {
+    const start = startTime ? new Date(startTime) : new Date();
+    const end = endTime ? new Date(endTime) : new Date(start.getTime() + template.durationMinutes * 60 * 1000);
+    if (end <= start) {
+      throw new TripPlanningError('End time must be after start time', 400);
+    }
+
+    const trip = await TripEvent.create({
+      ...template.tripFields(),
+      ...(title ? { title } : {}),
+      ...(notes !== undefined ? { notes } : {}),
+      startTime: start,
+      endTime: end
+    });
+
+    if (start <= new Date()) {
+      await tripLifecycleService.transition(trip, 'active');
+    }
+    return trip;
+  }
+
+  async deleteTemplate(template) {
+    const inUse = await TripRecurrence.countDocuments({ templateId: template._id });
+    if (inUse > 0) {
+      throw new TripPlanningError(`This template is used by ${inUse} recurring trip(s); delete them first`, 409);
+    }
+    await TripTemplate.deleteOne({ _id: template._id });
+  }
+
+  /**
+   * Create a recurrence; durationMinutes defaults to the template's
+   */
+  async createRecurrence(userId, fields) {
+    const template = await this.findTemplate(userId, fields.templateId);
+
+    const recurrence = await TripRecurrence.create({
+      durationMinutes: template.durationMinutes,
+      ...fields,
+      userId
+    });
+    await this.materialize(recurrence);
+    return recurrence;
+  }
+
+  /**
+   * Apply changes to a recurrence. Upcoming trips it already created are replaced so they follow the new schedule.
+   */
+  async updateRecurrence(recurrence, changes) {
+    if (changes.templateId) {
+      await this.findTemplate(recurrence.userId, changes.templateId);
+    }
+
+    Object.assign(recurrence, changes);
+    await recurrence.validate();
+    await this.rematerialize(recurrence);
+    return recurrence;
+  }
+
+  async addException(recurrence, date) {
+    if (!recurrence.exceptions.includes(date)) {
+      recurrence.exceptions.push(date);
+      await recurrence.save();
+    }
+    await TripEvent.deleteMany({ recurrenceId: recurrence._id, occurrenceDate: date, status: 'scheduled' });
+    return recurrence;
+  }
+
+  async removeException(recurrence, date) {
+    recurrence.exceptions = recurrence.exceptions.filter(d => d !== date);
+    await this.rematerialize(recurrence);
+    return recurrence;
+  }
+
+  async deleteRecurrence(recurrence) {
+    // Trips that already started stay in the user's history
+    await TripEvent.deleteMany({ recurrenceId: recurrence._id, status: 'scheduled' });
+    await TripRecurrence.deleteOne({ _id: recurrence._id });
+  }
+
+  async rematerialize(recurrence) {
+    await TripEvent.deleteMany({ recurrenceId: recurrence._id, status: 'scheduled' });
+    recurrence.materializedUntil = null;
+    await recurrence.save();
+    return this.materialize(recurrence);
+  }
+
+  /**
+   * Create the scheduled trips of a recurrence up to the materialisation horizon. Returns how many were created.
+   */
+  async materialize(recurrence, now = new Date()) {
+    if (recurrence.isPaused) return 0;
+
+    const template = await TripTemplate.findById(recurrence.templateId);
+    if (!template) return 0;
+
+    const from = recurrence.materializedUntil && recurrence.materializedUntil > now ? recurrence.materializedUntil : now;
+    const to = new Date(now.getTime() + MATERIALIZE_AHEAD_MS);
+
+    let created = 0;
+    for (const occurrence of recurrence.occurrencesBetween(from, to)) {
+      try {
+        await TripEvent.create({
+          ...template.tripFields(),
+          recurrenceId: recurrence._id,
+          occurrenceDate: occurrence.date,
+          startTime: occurrence.startTime,
+          endTime: occurrence.endTime
+        });
+        created++;
+      } catch (error) {
+        // Already materialised (e.g. by a concurrent run)
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    recurrence.materializedUntil = to;
+    await recurrence.save();
+    return created;
+  }
+
+  /**
+   * Top up every active recurrence whose horizon is running out (called by the scheduler)
+   */
+  async materializeDue() {
+    const now = new Date();
+    const due = await TripRecurrence.find({
+      isPaused: false,
+      $or: [
+        { materializedUntil: null },
+        { materializedUntil: { $lt: new Date(now.getTime() + MATERIALIZE_AHEAD_MS - MATERIALIZE_REFRESH_MS) } }
+      ]
+    });
+
+    let created = 0;
+    for (const recurrence of due) {
+      try {
+        created += await this.materialize(recurrence, now);
+      } catch (error) {
+        console.error(`❌ Failed to materialise recurring trip ${recurrence._id}:`, error);
+      }
+    }
+
+    if (created > 0) {
+      console.log(`🔁 Materialised ${created} recurring trip(s)`);
+    }
+    return created;
+  }
+}
+
+module.exports = new TripPlanningService();
+module.exports.TripPlanningError = TripPlanningError;
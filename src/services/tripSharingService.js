@@ -0,0 +1,192 @@
+const EmergencyContact = require('../models/EmergencyContact');
+const User = require('../models/User');
+const sosService = require('./sosService');
+const notificationService = require('./notificationService');
+const privacyService = require('./privacyService');
+const trackingTokenService = require('./trackingTokenService');
+const { emitToUser } = require('./realtime');
+
+class TripSharingError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'TripSharingError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * "Follow my trip": read-only access to a trip for chosen emergency contacts (through a tracking
+ * link sent by SMS) and group members (in the app). Access ends with the trip; see TripEvent's pre-save hook.
+ */
+class TripSharingService {
+  /**
+   * Share a trip with some of the owner's emergency contacts and/or fellow group members.
+   * Already shared viewers are skipped. Returns the shares that were added.
+   */
+  async share(trip, owner, { contactIds = [], userIds = [] }) {
+    if (trip.isFinished()) {
+      throw new TripSharingError('Only upcoming or active trips can be shared', 400);
+    }
+
+    const contacts = contactIds.length > 0
+      ? await EmergencyContact.find({ _id: { $in: contactIds }, userId: owner._id })
+      : [];
+    if (contacts.length !== new Set(contactIds.map(String)).size) {
+      throw new TripSharingError('Emergency contact not found', 404);
+    }
+
+    const viewerIds = Array.from(new Set(userIds.map(String))).filter(id => id !== String(owner._id));
+    if (viewerIds.length > 0) {
+      const links = await privacyService.groupLinks([String(owner._id)], viewerIds);
+      if (viewerIds.some(id => !links.has(`${owner._id}:${id}`))) {
+        throw new TripSharingError('Trips can only be shared with members of your groups', 403);
+      }
+    }
+
+    const active = trip.activeShares();
+    const added = [];
+    const links = new Map();
+
+    contacts
+      .filter(contact => !active.some(share => String(share.contactId) === String(contact._id)))
+      .forEach(contact => {
+        trip.sharedWith.push({ contactId: contact._id });
+        const share = trip.sharedWith[trip.sharedWith.length - 1];
+        trackingTokenService.issueTripToken(trip, share);
+        links.set(String(share._id), contact);
+        added.push(share);
+      });
+
+    viewerIds
+      .filter(id => !active.some(share => String(share.userId) === id))
+      .forEach(id => {
+        trip.sharedWith.push({ userId: id });
+        added.push(trip.sharedWith[trip.sharedWith.length - 1]);
+      });
+
+    if (added.length === 0) return added;
+    trip.syncVersion += 1;
+    await trip.save();
+
+    added.forEach(share => {
+      if (share.userId) {
+        notificationService.notify(share.userId, {
+          type: 'trip',
+          priority: 'medium',
+          title: `${owner.name} shared a trip with you`,
+          message: `Follow "${trip.title}" until ${owner.name} arrives.`,
+          screen: 'shared_trip',
+          params: { tripId: String(trip._id) }
+        });
+        emitToUser(share.userId, 'trip_shared', { tripId: String(trip._id), ownerName: owner.name, title: trip.title });
+      } else {
+        const url = trackingTokenService.tripUrlFor(trip, share);
+        this.sendSMS(links.get(String(share._id)),
+          `${owner.name} is sharing their trip "${trip.title}" with you.${url ? ` Follow it here: ${url}` : ''}`);
+      }
+    });
+
+    console.log(`🔗 Trip ${trip._id} shared with ${added.length} viewer(s)`);
+    return added;
+  }
+
+  async unshare(trip, shareId) {
+    const share = trip.sharedWith.id(shareId);
+    if (!share || share.revokedAt) {
+      throw new TripSharingError('Share not found', 404);
+    }
+
+    share.revokedAt = new Date();
+    trip.syncVersion += 1;
+    await trip.save();
+
+    if (share.userId) {
+      emitToUser(share.userId, 'trip_share_revoked', { tripId: String(trip._id) });
+    }
+    return share;
+  }
+
+  /**
+   * What a viewer sees of a shared trip
+   */
+  viewerView(trip, ownerName) {
+    return {
+      id: trip._id,
+      ownerName,
+      title: trip.title,
+      status: trip.status,
+      travelMode: trip.travelMode,
+      destination: trip.destination,
+      startTime: trip.startTime,
+      endTime: trip.endTime,
+      expectedArrival: trip.predictedArrival || trip.endTime,
+      predictedArrival: trip.predictedArrival,
+      currentLocation: trip.currentLocation,
+      lastLocationUpdate: trip.lastLocationUpdate,
+      distanceToDestination: trip.currentLocation ? Math.round(trip.calculateDistanceToDestination()) : null
+    };
+  }
+
+  /**
+   * Push a live update to app viewers (location changes and status changes)
+   */
+  broadcastUpdate(trip, shares = trip.activeShares()) {
+    shares
+      .filter(share => share.userId)
+      .forEach(share => emitToUser(share.userId, 'shared_trip_update', {
+        tripId: String(trip._id),
+        status: trip.status,
+        currentLocation: trip.currentLocation,
+        lastLocationUpdate: trip.lastLocationUpdate,
+        distanceToDestination: trip.currentLocation ? Math.round(trip.calculateDistanceToDestination()) : null,
+        endTime: trip.endTime,
+        predictedArrival: trip.predictedArrival,
+        timestamp: Date.now()
+      }));
+  }
+
+  /**
+   * Tell every viewer about a completed trip or a trip alert: inbox and push for app users, SMS for contacts.
+   * Pass the shares captured before the trip ended, since ending a trip revokes them.
+   */
+  async notifyViewers(trip, { title, message, shares = trip.activeShares() }) {
+    if (shares.length === 0) return 0;
+
+    const contactIds = shares.filter(share => share.contactId).map(share => share.contactId);
+    const contacts = contactIds.length > 0 ? await EmergencyContact.find({ _id: { $in: contactIds } }) : [];
+
+    shares.forEach(share => {
+      if (share.userId) {
+        notificationService.notify(share.userId, {
+          type: 'trip',
+          priority: 'high',
+          title,
+          message,
+          screen: 'shared_trip',
+          params: { tripId: String(trip._id) }
+        });
+        sosService.sendPushToUser(share.userId, { title, body: message }, { type: 'shared_trip', tripId: trip._id })
+          .catch(err => console.error('Shared trip push failed:', err));
+      }
+    });
+    contacts.forEach(contact => this.sendSMS(contact, `${title}: ${message}`));
+
+    this.broadcastUpdate(trip, shares);
+    return shares.length;
+  }
+
+  // Best-effort SMS to a contact who has not opted out
+  sendSMS(contact, text) {
+    if (!contact || contact.smsOptOut) return;
+    sosService.sendSMS(contact.phone, text)
+      .catch(err => console.error(`Trip sharing SMS to contact ${contact._id} failed:`, err.message));
+  }
+
+  async ownerName(trip) {
+    const owner = await User.findById(trip.userId).select('name');
+    return owner ? owner.name : 'Your contact';
+  }
+}
+
+module.exports = new TripSharingService();
+module.exports.TripSharingError = TripSharingError;
@@ -0,0 +1,99 @@
+// Lightweight geodesic helpers used by hot paths (routing, scoring) where geolib's
+// object-based API is too slow.
+
+const EARTH_RADIUS_METERS = 6371000;
+const toRad = deg => deg * Math.PI / 180;
+const toDeg = rad => rad * 180 / Math.PI;
+
+/**
+ * Great-circle distance between two coordinates in meters (Haversine formula)
+ */
+const haversineMeters = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return EARTH_RADIUS_METERS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Initial bearing from point 1 to point 2 in degrees (0-360, 0 = north)
+ */
+const bearingDegrees = (lat1, lon1, lat2, lon2) => {
+  const φ1 = toRad(lat1);
+  const φ2 = toRad(lat2);
+  const Δλ = toRad(lon2 - lon1);
+  const y = Math.sin(Δλ) * Math.cos(φ2);
+  const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+  return (toDeg(Math.atan2(y, x)) + 360) % 360;
+};
+
+/**
+ * Distance in meters from a point to the segment A-B.
+ * Uses a local equirectangular projection, accurate for segments up to a few km.
+ */
+const pointToSegmentMeters = (lat, lon, latA, lonA, latB, lonB) => {
+  const kx = Math.cos(toRad(lat)) * EARTH_RADIUS_METERS * Math.PI / 180;
+  const ky = EARTH_RADIUS_METERS * Math.PI / 180;
+  const ax = (lonA - lon) * kx;
+  const ay = (latA - lat) * ky;
+  const bx = (lonB - lon) * kx;
+  const by = (latB - lat) * ky;
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq));
+  const px = ax + t * dx;
+  const py = ay + t * dy;
+  return Math.sqrt(px * px + py * py);
+};
+
+/**
+ * Distance in meters from a point to a polyline given as [{ latitude, longitude }]
+ */
+const pointToPolylineMeters = (lat, lon, points) => {
+  if (!points || points.length === 0) return Infinity;
+  if (points.length === 1) return haversineMeters(lat, lon, points[0].latitude, points[0].longitude);
+
+  let min = Infinity;
+  for (let i = 1; i < points.length; i++) {
+    const d = pointToSegmentMeters(
+      lat, lon,
+      points[i - 1].latitude, points[i - 1].longitude,
+      points[i].latitude, points[i].longitude
+    );
+    if (d < min) min = d;
+  }
+  return min;
+};
+
+/**
+ * Bounding box around a set of points, expanded by a margin in meters.
+ * Returns { minLat, minLon, maxLat, maxLon }.
+ */
+const boundingBox = (points, marginMeters = 0) => {
+  let minLat = Infinity, minLon = Infinity, maxLat = -Infinity, maxLon = -Infinity;
+  points.forEach(({ latitude, longitude }) => {
+    minLat = Math.min(minLat, latitude);
+    maxLat = Math.max(maxLat, latitude);
+    minLon = Math.min(minLon, longitude);
+    maxLon = Math.max(maxLon, longitude);
+  });
+
+  const dLat = marginMeters / 111320;
+  const dLon = marginMeters / (111320 * Math.max(Math.cos(toRad((minLat + maxLat) / 2)), 0.01));
+  return {
+    minLat: Math.max(-90, minLat - dLat),
+    maxLat: Math.min(90, maxLat + dLat),
+    minLon: Math.max(-180, minLon - dLon),
+    maxLon: Math.min(180, maxLon + dLon)
+  };
+};
+
+module.exports = {
+  haversineMeters,
+  bearingDegrees,
+  pointToSegmentMeters,
+  pointToPolylineMeters,
+  boundingBox
+};
@@ -0,0 +1,128 @@
+// Geohash encoding/decoding (base32, as defined by geohash.org).
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/**
+ * Encode a coordinate to a geohash of the given precision (number of characters)
+ */
+const encodeGeohash = (latitude, longitude, precision = 7) => {
+  let latMin = -90, latMax = 90;
+  let lonMin = -180, lonMax = 180;
+  let hash = '';
+  let bit = 0;
+  let ch = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    if (evenBit) {
+      const mid = (lonMin + lonMax) / 2;
+      if (longitude >= mid) { ch = (ch << 1) | 1; lonMin = mid; }
+      else { ch = ch << 1; lonMax = mid; }
+    } else {
+      const mid = (latMin + latMax) / 2;
+      if (latitude >= mid) { ch = (ch << 1) | 1; latMin = mid; }
+      else { ch = ch << 1; latMax = mid; }
+    }
+    evenBit = !evenBit;
+
+    if (++bit === 5) {
+      hash += BASE32[ch];
+      bit = 0;
+      ch = 0;
+    }
+  }
+
+  return hash;
+};
+
+/**
+ * Decode a geohash to its bounding box { minLat, minLon, maxLat, maxLon } and center point.
+ * Throws on characters outside the geohash alphabet.
+ */
+const decodeGeohash = (hash) => {
+  let latMin = -90, latMax = 90;
+  let lonMin = -180, lonMax = 180;
+  let evenBit = true;
+
+  for (const char of hash.toLowerCase()) {
+    const idx = BASE32.indexOf(char);
+    if (idx === -1) throw new Error(`Invalid geohash character: ${char}`);
+    for (let n = 4; n >= 0; n--) {
+      const bitN = (idx >> n) & 1;
+      if (evenBit) {
+        const mid = (lonMin + lonMax) / 2;
+        if (bitN === 1) lonMin = mid; else lonMax = mid;
+      } else {
+        const mid = (latMin + latMax) / 2;
+        if (bitN === 1) latMin = mid; else latMax = mid;
+      }
+      evenBit = !evenBit;
+    }
+  }
+
+  return {
+    minLat: latMin,
+    minLon: lonMin,
+    maxLat: latMax,
+    maxLon: lonMax,
+    latitude: (latMin + latMax) / 2,
+    longitude: (lonMin + lonMax) / 2
+  };
+};
+
+const isValidGeohash = (hash) => typeof hash === 'string' && hash.length > 0 && hash.length <= 12 &&
+  [...hash.toLowerCase()].every(char => BASE32.includes(char));
+
+/**
+ * The cell containing a point plus its eight neighbours, at the given precision
+ */
+const geohashNeighbourhood = (latitude, longitude, precision) => {
+  const center = decodeGeohash(encodeGeohash(latitude, longitude, precision));
+  const dLat = center.maxLat - center.minLat;
+  const dLon = center.maxLon - center.minLon;
+  const cells = new Set();
+
+  for (const i of [-1, 0, 1]) {
+    for (const j of [-1, 0, 1]) {
+      const lat = center.latitude + i * dLat;
+      const lon = ((center.longitude + j * dLon + 540) % 360) - 180;
+      if (lat < -90 || lat > 90) continue;
+      cells.add(encodeGeohash(lat, lon, precision));
+    }
+  }
+
+  return Array.from(cells);
+};
+
+/**
+ * Cell size in meters ({ width, height }) for a precision at a given latitude
+ */
+const cellSizeMeters = (precision, latitude = 0) => {
+  const lonBits = Math.ceil(precision * 5 / 2);
+  const latBits = Math.floor(precision * 5 / 2);
+  return {
+    width: (360 / Math.pow(2, lonBits)) * 111320 * Math.cos(latitude * Math.PI / 180),
+    height: (180 / Math.pow(2, latBits)) * 111320
+  };
+};
+
+/**
+ * Longest precision whose cells are at least `radiusMeters` across at the given latitude,
+ * so that a radius search is fully covered by a cell and its eight neighbours
+ */
+const precisionForRadius = (radiusMeters, latitude = 0) => {
+  for (let p = 12; p >= 1; p--) {
+    const { width, height } = cellSizeMeters(p, latitude);
+    if (Math.min(width, height) >= radiusMeters) return p;
+  }
+  return 1;
+};
+
+module.exports = {
+  encodeGeohash,
+  decodeGeohash,
+  isValidGeohash,
+  geohashNeighbourhood,
+  cellSizeMeters,
+  precisionForRadius
+};
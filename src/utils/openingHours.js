@@ -0,0 +1,153 @@
+// Minimal evaluator for OSM `opening_hours` expressions.
+// Supports "24/7", weekday ranges/lists ("Mo-Fr", "Sa,Su"), multiple time spans
+// ("08:00-12:00,13:00-17:00"), overnight spans ("22:00-02:00") and "off"/"closed".
+// Later rules override earlier ones for the days they name, as in the OSM spec.
+
+const DAYS = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'];
+const WEEKDAY_INDEX = { Mon: 0, Tue: 1, Wed: 2, Thu: 3, Fri: 4, Sat: 5, Sun: 6 };
+
+const parseTime = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value.trim());
+  if (!match) return null;
+  const minutes = parseInt(match[1]) * 60 + parseInt(match[2]);
+  return minutes <= 24 * 60 ? minutes : null;
+};
+
+const parseDays = (value) => {
+  const days = new Set();
+  for (const part of value.split(',')) {
+    const [from, to] = part.trim().split('-');
+    const start = DAYS.indexOf(from);
+    if (start === -1) return null;
+    if (!to) {
+      days.add(start);
+      continue;
+    }
+    const end = DAYS.indexOf(to);
+    if (end === -1) return null;
+    for (let i = start; ; i = (i + 1) % 7) {
+      days.add(i);
+      if (i === end) break;
+    }
+  }
+  return days;
+};
+
+const parseSpans = (value) => {
+  const spans = [];
+  for (const part of value.split(',')) {
+    const [from, to] = part.split('-');
+    if (!to) return null;
+    const start = parseTime(from);
+    const end = parseTime(to);
+    if (start === null || end === null) return null;
+    spans.push({ start, end });
+  }
+  return spans;
+};
+
+/**
+ * Parse an opening_hours expression into a weekly schedule.
+ * Returns an array of 7 entries (Mo..Su), each an array of { start, end } minute spans,
+ * or null when the expression is not supported.
+ */
+const parseOpeningHours = (expression) => {
+  if (!expression || typeof expression !== 'string') return null;
+  const text = expression.trim();
+
+  if (text === '24/7') {
+    return DAYS.map(() => [{ start: 0, end: 24 * 60 }]);
+  }
+
+  const schedule = DAYS.map(() => []);
+
+  for (const rawRule of text.split(';')) {
+    const rule = rawRule.trim();
+    if (!rule) continue;
+
+    const tokens = rule.split(/\s+/);
+    let days = new Set([0, 1, 2, 3, 4, 5, 6]);
+
+    // Public and school holiday rules cannot be evaluated without a holiday calendar
+    if (/^(PH|SH)\b/.test(tokens[0])) continue;
+
+    if (/^[A-Z][a-z]/.test(tokens[0])) {
+      days = parseDays(tokens.shift());
+      if (!days) return null;
+    }
+
+    const body = tokens.join(' ').trim();
+    let spans;
+    if (body === '') {
+      spans = [{ start: 0, end: 24 * 60 }];
+    } else if (body === 'off' || body === 'closed') {
+      spans = [];
+    } else {
+      spans = parseSpans(body.replace(/\s+/g, ''));
+      if (!spans) return null;
+    }
+
+    days.forEach(day => { schedule[day] = spans; });
+  }
+
+  return schedule;
+};
+
+/**
+ * Get weekday index (Mo=0) and minutes since midnight for a date in a time zone
+ */
+const localTime = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone || undefined,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = type => parts.find(p => p.type === type).value;
+  return {
+    day: WEEKDAY_INDEX[get('weekday')],
+    minutes: parseInt(get('hour')) * 60 + parseInt(get('minute'))
+  };
+};
+
+/**
+ * Evaluate whether an opening_hours expression is open at a given moment.
+ * Returns true/false, or null when the expression is missing or unsupported.
+ */
+const isOpenAt = (expression, date = new Date(), timeZone = null) => {
+  const schedule = parseOpeningHours(expression);
+  if (!schedule) return null;
+
+  let now;
+  try {
+    now = localTime(date, timeZone);
+  } catch (error) {
+    // Unknown time zone: fall back to server local time
+    now = localTime(date, null);
+  }
+
+  const today = schedule[now.day];
+  const isInToday = today.some(({ start, end }) => (
+    end > start
+      ? now.minutes >= start && now.minutes < end
+      : now.minutes >= start // overnight span, evening part
+  ));
+  if (isInToday) return true;
+
+  // Overnight spans that started yesterday and run into today
+  const yesterday = schedule[(now.day + 6) % 7];
+  return yesterday.some(({ start, end }) => end <= start && now.minutes < end);
+};
+
+const isOpen24Hours = (expression) => {
+  const schedule = parseOpeningHours(expression);
+  return !!schedule && schedule.every(spans => spans.some(s => s.start === 0 && s.end === 24 * 60));
+};
+
+module.exports = {
+  parseOpeningHours,
+  isOpenAt,
+  isOpen24Hours
+};
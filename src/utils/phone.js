@@ -0,0 +1,42 @@
+// Phone number normalisation to E.164 (+<country code><number>), the form SMS providers report senders in.
+
+/**
+ * Normalise a phone number as typed by a user. Numbers with a leading + (or 00) already carry their
+ * country code; other numbers get `countryCode` unless they start with it and are longer than a
+ * national number. Returns null when the result cannot be an E.164 number.
+ */
+const toE164 = (phone, countryCode = process.env.DEFAULT_PHONE_COUNTRY_CODE || '1') => {
+  const raw = String(phone || '').trim();
+  const digits = raw.replace(/\D/g, '');
+  if (!digits) return null;
+
+  let international;
+  if (raw.startsWith('+')) {
+    international = digits;
+  } else if (digits.startsWith('00')) {
+    international = digits.slice(2);
+  } else if (digits.startsWith(countryCode) && digits.length > 10) {
+    international = digits;
+  } else {
+    international = `${countryCode}${digits}`;
+  }
+
+  return /^[1-9]\d{7,14}$/.test(international) ? `+${international}` : null;
+};
+
+/**
+ * The ways a number can be stored in a validated User.phone (digits with an optional leading +)
+ * that toE164 turns into `e164`, for looking users up by a normalised number.
+ */
+const storedPhoneForms = (e164, countryCode = process.env.DEFAULT_PHONE_COUNTRY_CODE || '1') => {
+  if (!e164) return [];
+  const international = e164.slice(1);
+  const forms = [e164, international];
+  if (international.startsWith(countryCode)) forms.push(international.slice(countryCode.length));
+  return forms;
+};
+
+module.exports = {
+  toE164,
+  storedPhoneForms
+};
@@ -0,0 +1,68 @@
+// Google encoded polyline algorithm (precision 5), as used by Google Maps and OSRM.
+
+const encodeValue = (value) => {
+  let v = value < 0 ? ~(value << 1) : value << 1;
+  let output = '';
+  while (v >= 0x20) {
+    output += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+    v >>= 5;
+  }
+  return output + String.fromCharCode(v + 63);
+};
+
+/**
+ * Encode an array of { latitude, longitude } points
+ */
+const encodePolyline = (points, precision = 5) => {
+  const factor = Math.pow(10, precision);
+  let lastLat = 0;
+  let lastLng = 0;
+  let output = '';
+
+  for (const { latitude, longitude } of points) {
+    const lat = Math.round(latitude * factor);
+    const lng = Math.round(longitude * factor);
+    output += encodeValue(lat - lastLat) + encodeValue(lng - lastLng);
+    lastLat = lat;
+    lastLng = lng;
+  }
+
+  return output;
+};
+
+/**
+ * Decode an encoded polyline into an array of { latitude, longitude } points
+ */
+const decodePolyline = (encoded, precision = 5) => {
+  const factor = Math.pow(10, precision);
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const nextValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      if (index >= encoded.length) throw new Error('Invalid encoded polyline');
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += nextValue();
+    lng += nextValue();
+    points.push({ latitude: lat / factor, longitude: lng / factor });
+  }
+
+  return points;
+};
+
+module.exports = {
+  encodePolyline,
+  decodePolyline
+};
@@ -0,0 +1,218 @@
+// Minimal evaluator for iCalendar RRULE recurrences of trips.
+// Supports FREQ=DAILY|WEEKLY with INTERVAL, BYDAY (weekly only), UNTIL and COUNT, e.g.
+// "FREQ=DAILY", "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR" (weekdays) or "FREQ=WEEKLY;INTERVAL=2;BYDAY=SA".
+// Occurrences are local wall-clock times in an IANA time zone, so a 08:00 commute stays at 08:00
+// across daylight saving changes.
+
+const DAY_CODES = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A single request never expands more days than this past its `from`
+const MAX_EXPANSION_DAYS = 3 * 366;
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// 'YYYY-MM-DD' -> days since the epoch, or null
+const parseDate = (value) => {
+  const match = DATE_PATTERN.exec(value || '');
+  if (!match) return null;
+  const ms = Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+  const date = new Date(ms);
+  // Reject dates such as 2024-02-31 that Date.UTC silently rolls over
+  if (date.getUTCMonth() !== parseInt(match[2]) - 1 || date.getUTCDate() !== parseInt(match[3])) return null;
+  return ms / DAY_MS;
+};
+
+const isValidDate = (value) => parseDate(value) !== null;
+
+const formatDate = (day) => new Date(day * DAY_MS).toISOString().slice(0, 10);
+
+// Monday = 0 ... Sunday = 6
+const weekdayOf = (day) => (new Date(day * DAY_MS).getUTCDay() + 6) % 7;
+
+/**
+ * Parse an RRULE string ("RRULE:" prefix optional).
+ * Returns { freq, interval, byDay, until, count } or null when the rule is not supported.
+ */
+const parseRule = (rule) => {
+  if (!rule || typeof rule !== 'string') return null;
+  const parsed = { freq: null, interval: 1, byDay: null, until: null, count: null };
+
+  for (const part of rule.trim().replace(/^RRULE:/i, '').split(';')) {
+    if (!part) continue;
+    const [key, value] = part.split('=').map(s => (s || '').trim().toUpperCase());
+    switch (key) {
+      case 'FREQ':
+        if (!['DAILY', 'WEEKLY'].includes(value)) return null;
+        parsed.freq = value;
+        break;
+      case 'INTERVAL':
+        parsed.interval = parseInt(value);
+        if (!/^\d+$/.test(value) || parsed.interval < 1 || parsed.interval > 52) return null;
+        break;
+      case 'BYDAY': {
+        const days = value.split(',').map(code => DAY_CODES.indexOf(code));
+        if (days.length === 0 || days.includes(-1)) return null;
+        parsed.byDay = new Set(days);
+        break;
+      }
+      case 'UNTIL': {
+        const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(value);
+        parsed.until = match ? parseDate(`${match[1]}-${match[2]}-${match[3]}`) : null;
+        if (parsed.until === null) return null;
+        break;
+      }
+      case 'COUNT':
+        parsed.count = parseInt(value);
+        if (!/^\d+$/.test(value) || parsed.count < 1) return null;
+        break;
+      default:
+        return null;
+    }
+  }
+
+  if (!parsed.freq) return null;
+  if (parsed.byDay && parsed.freq !== 'WEEKLY') return null;
+  return parsed;
+};
+
+// Formatters are costly to build, so one is kept per time zone
+const formatters = new Map();
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// Offset of the time zone from UTC at an instant, in ms
+const zoneOffset = (ms, timeZone) => {
+  const parts = {};
+  formatterFor(timeZone).formatToParts(new Date(ms)).forEach(({ type, value }) => { parts[type] = parseInt(value); });
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(ms / 1000) * 1000;
+};
+
+/**
+ * The instant at which the wall clock in `timeZone` shows `time` ('HH:MM') on `day`.
+ * Times skipped by a daylight saving jump are moved forward by the jump.
+ */
+const zonedTimeOnDay = (day, time, timeZone) => {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  const wall = day * DAY_MS + (parseInt(hours) * 60 + parseInt(minutes)) * 60 * 1000;
+  const first = wall - zoneOffset(wall, timeZone);
+  const second = wall - zoneOffset(first, timeZone);
+  return new Date(Math.max(first, second));
+};
+
+// Local calendar day (days since the epoch) of an instant in the time zone
+const localDay = (date, timeZone) => {
+  const ms = date.getTime();
+  return Math.floor((ms + zoneOffset(ms, timeZone)) / DAY_MS);
+};
+
+const matches = (rule, startDay, day) => {
+  const daysSinceStart = day - startDay;
+  if (rule.freq === 'DAILY') {
+    return daysSinceStart % rule.interval === 0;
+  }
+
+  const byDay = rule.byDay || new Set([weekdayOf(startDay)]);
+  if (!byDay.has(weekdayOf(day))) return false;
+  // Weeks start on Monday, as in the RRULE default WKST=MO
+  const weeksSinceStart = Math.floor((day - weekdayOf(day) - (startDay - weekdayOf(startDay))) / 7);
+  return weeksSinceStart % rule.interval === 0;
+};
+
+/**
+ * How many days in [startDay, day) match the rule, without walking them
+ */
+const countMatchesBefore = (rule, startDay, day) => {
+  if (day <= startDay) return 0;
+  if (rule.freq === 'DAILY') {
+    return Math.ceil((day - startDay) / rule.interval);
+  }
+
+  const byDay = Array.from(rule.byDay || new Set([weekdayOf(startDay)]));
+  const firstWeek = startDay - weekdayOf(startDay);
+  const weeks = (day - weekdayOf(day) - firstWeek) / 7;
+  // Whole weeks before the week of `day` that fall on the interval, less the start week's days before startDay
+  let count = Math.ceil(weeks / rule.interval) * byDay.length
+    - byDay.filter(weekday => weekday < weekdayOf(startDay)).length;
+  if (weeks % rule.interval === 0) {
+    count += byDay.filter(weekday => weekday < weekdayOf(day)).length;
+  }
+  return count;
+};
+
+/**
+ * Occurrences of a recurrence that start within [from, to).
+ * `recurrence` carries { rrule, startDate 'YYYY-MM-DD', startTime 'HH:MM', durationMinutes, timeZone, exceptions ['YYYY-MM-DD'] }.
+ * Returns [{ date, startTime, endTime }] in order.
+ */
+const occurrencesBetween = (recurrence, from, to) => {
+  const rule = parseRule(recurrence.rrule);
+  const startDay = parseDate(recurrence.startDate);
+  if (!rule || startDay === null || !TIME_PATTERN.test(recurrence.startTime || '') || !isValidTimeZone(recurrence.timeZone)) {
+    return [];
+  }
+
+  const exceptions = new Set(recurrence.exceptions || []);
+  // One extra day either side so occurrences near midnight in far-off zones are not missed
+  let firstDay = Math.max(startDay, localDay(from, recurrence.timeZone) - 1);
+  const lastDay = Math.min(localDay(to, recurrence.timeZone) + 1, firstDay + MAX_EXPANSION_DAYS);
+  // Daily rules only match every interval-th day, so line up with the first of them
+  const step = rule.freq === 'DAILY' ? rule.interval : 1;
+  if (step > 1) {
+    firstDay = startDay + Math.ceil((firstDay - startDay) / step) * step;
+  }
+  const occurrences = [];
+  let counted = rule.count !== null ? countMatchesBefore(rule, startDay, firstDay) : 0;
+
+  for (let day = firstDay; day <= lastDay; day += step) {
+    if (rule.until !== null && day > rule.until) break;
+    if (!matches(rule, startDay, day)) continue;
+
+    // COUNT includes excepted dates, as EXDATE is applied after the rule is expanded
+    counted++;
+    if (rule.count !== null && counted > rule.count) break;
+
+    const date = formatDate(day);
+    if (exceptions.has(date)) continue;
+
+    const startTime = zonedTimeOnDay(day, recurrence.startTime, recurrence.timeZone);
+    if (startTime < from || startTime >= to) continue;
+    occurrences.push({
+      date,
+      startTime,
+      endTime: new Date(startTime.getTime() + recurrence.durationMinutes * 60 * 1000)
+    });
+  }
+
+  return occurrences;
+};
+
+module.exports = {
+  DATE_PATTERN,
+  TIME_PATTERN,
+  isValidTimeZone,
+  isValidDate,
+  parseRule,
+  occurrencesBetween
+};
@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const DispatchJob = require('../src/models/DispatchJob');
+const ContactNotification = require('../src/models/ContactNotification');
+const EmergencyContact = require('../src/models/EmergencyContact');
+const SOSAlert = require('../src/models/SOSAlert');
+const User = require('../src/models/User');
+const fakeProvider = require('../src/services/providers/fakeProvider');
+const dispatchService = require('../src/services/dispatchService');
+
+// The dispatch pipeline end to end against the fake provider; persistence is stubbed so no database is needed.
+
+const id = () => new mongoose.Types.ObjectId();
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+const build = ({ contactFields = {}, channels = ['sms', 'voice', 'email', 'push'] } = {}) => {
+  const user = new User({ _id: id(), name: 'Alex Traveller', email: 'alex@example.com', phone: '+15550000001' });
+  const contact = new EmergencyContact({ _id: id(), userId: user._id, name: 'Sam', phone: '+15550000002', email: 'sam@example.com', ...contactFields });
+  const alert = new SOSAlert({ _id: id(), userId: user._id, status: 'active', location: { latitude: 40.7, longitude: -74 }, message: 'Help' });
+  const notification = new ContactNotification({ _id: id(), alertId: alert._id, contactId: contact._id });
+  const job = new DispatchJob({
+    notificationId: notification._id,
+    alertId: alert._id,
+    contactId: contact._id,
+    userId: user._id,
+    status: 'processing',
+    channels,
+    deadline: new Date(NOW.getTime() + 15 * 60 * 1000)
+  });
+
+  jest.spyOn(ContactNotification, 'findById').mockResolvedValue(notification);
+  jest.spyOn(EmergencyContact, 'findById').mockResolvedValue(contact);
+  jest.spyOn(SOSAlert, 'findById').mockResolvedValue(alert);
+  jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+  return { user, contact, alert, notification, job };
+};
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: NOW, doNotFake: ['setImmediate', 'nextTick'] });
+  process.env.DISPATCH_PROVIDER = 'fake';
+  delete process.env.FAKE_PROVIDER_FAIL_CHANNELS;
+  delete process.env.DISPATCH_CHANNEL_ORDER;
+  delete process.env.DISPATCH_MAX_ATTEMPTS;
+  delete process.env.PUBLIC_BASE_URL;
+  fakeProvider.reset();
+
+  jest.spyOn(DispatchJob.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+  jest.spyOn(ContactNotification.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+  jest.spyOn(SOSAlert, 'recordEvent').mockResolvedValue(null);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+  delete process.env.DISPATCH_PROVIDER;
+});
+
+describe('processJob', () => {
+  it('sends on the first channel and marks the notification sent', async () => {
+    const { job, notification, alert, contact } = build();
+
+    await dispatchService.processJob(job);
+
+    expect(fakeProvider.outbox).toHaveLength(1);
+    expect(fakeProvider.outbox[0]).toMatchObject({ channel: 'sms', to: contact.phone });
+    expect(notification.notificationStatus).toBe('sent');
+    expect(notification.channel).toBe('sms');
+    expect(notification.providerMessageId).toBe(fakeProvider.outbox[0].providerMessageId);
+    expect(notification.attemptCount).toBe(1);
+    expect(job.status).toBe('completed');
+    expect(job.attempts.map(a => a.status)).toEqual(['sent']);
+    expect(SOSAlert.recordEvent).toHaveBeenCalledWith(alert._id, 'contact_notified', expect.stringContaining('sms'), expect.objectContaining({ channel: 'sms' }));
+  });
+
+  it('retries a failing channel with exponential backoff before falling back', async () => {
+    process.env.FAKE_PROVIDER_FAIL_CHANNELS = 'sms';
+    const { job, notification } = build();
+
+    await dispatchService.processJob(job);
+    expect(job.status).toBe('queued');
+    expect(job.currentChannel).toBe('sms');
+    expect(job.nextAttemptAt.getTime() - NOW.getTime()).toBe(15 * 1000);
+    expect(notification.failureReason).toBe('sms: Simulated sms failure');
+
+    await dispatchService.processJob(job);
+    expect(job.attemptsOnChannel).toBe(2);
+    expect(job.nextAttemptAt.getTime() - NOW.getTime()).toBe(30 * 1000);
+
+    // Third failure exhausts DISPATCH_MAX_ATTEMPTS (3): next channel, due straight away
+    await dispatchService.processJob(job);
+    expect(job.currentChannel).toBe('voice');
+    expect(job.attemptsOnChannel).toBe(0);
+    expect(job.nextAttemptAt.getTime()).toBe(NOW.getTime());
+
+    await dispatchService.processJob(job);
+    expect(fakeProvider.outbox.map(m => m.channel)).toEqual(['voice']);
+    expect(notification.notificationStatus).toBe('sent');
+    expect(notification.channel).toBe('voice');
+    expect(notification.attemptCount).toBe(4);
+    expect(job.status).toBe('completed');
+  });
+
+  it('falls back through the channel order and fails once every channel has failed', async () => {
+    process.env.FAKE_PROVIDER_FAIL_CHANNELS = 'sms,voice,email,push';
+    process.env.DISPATCH_MAX_ATTEMPTS = '1';
+    const { job, notification } = build();
+
+    const tried = [];
+    while (job.status === 'processing' || job.status === 'queued') {
+      tried.push(job.currentChannel);
+      await dispatchService.processJob(job);
+    }
+
+    expect(tried).toEqual(['sms', 'voice', 'email', 'push']);
+    expect(job.status).toBe('failed');
+    expect(notification.notificationStatus).toBe('failed');
+    expect(notification.failureReason).toBe('push: Simulated push failure');
+    expect(fakeProvider.outbox).toHaveLength(0);
+  });
+
+  it('gives up once the delivery deadline has passed', async () => {
+    const { job, notification } = build();
+    jest.setSystemTime(new Date(job.deadline.getTime() + 1000));
+
+    await dispatchService.processJob(job);
+
+    expect(fakeProvider.outbox).toHaveLength(0);
+    expect(job.status).toBe('failed');
+    expect(notification.notificationStatus).toBe('failed');
+    expect(notification.failureReason).toBe('Delivery deadline exceeded');
+  });
+
+  it('cancels the job when the alert is no longer open', async () => {
+    const { job, alert, notification } = build();
+    alert.status = 'resolved';
+
+    await dispatchService.processJob(job);
+
+    expect(job.status).toBe('cancelled');
+    expect(notification.notificationStatus).toBe('pending');
+    expect(fakeProvider.outbox).toHaveLength(0);
+  });
+});
+
+describe('enqueue', () => {
+  it('follows DISPATCH_CHANNEL_ORDER and skips channels the contact cannot receive', async () => {
+    process.env.DISPATCH_CHANNEL_ORDER = 'email,sms,push';
+    const { contact, alert, notification } = build({ contactFields: { email: null, smsOptOut: true } });
+    const findOneAndUpdate = jest.spyOn(DispatchJob, 'findOneAndUpdate').mockResolvedValue(null);
+    const processDueJobs = jest.spyOn(dispatchService, 'processDueJobs').mockResolvedValue(0);
+
+    await dispatchService.enqueue(notification, contact, alert);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(processDueJobs).toHaveBeenCalled();
+
+    const [, update] = findOneAndUpdate.mock.calls[0];
+    expect(update.$setOnInsert.channels).toEqual(['push']);
+    expect(update.$setOnInsert.deadline.getTime() - NOW.getTime()).toBe(15 * 60 * 1000);
+  });
+});
+
+describe('recordDeliveryReceipt', () => {
+  it('marks the notification delivered', async () => {
+    const { notification } = build();
+    notification.notificationStatus = 'sent';
+    jest.spyOn(ContactNotification, 'findOne').mockResolvedValue(notification);
+
+    await dispatchService.recordDeliveryReceipt({ providerMessageId: 'fake_sms_1', status: 'delivered' });
+
+    expect(notification.notificationStatus).toBe('delivered');
+    expect(notification.deliveredAt).toEqual(NOW);
+  });
+
+  it('reopens the job on the next channel when delivery fails', async () => {
+    const { job, notification } = build();
+    await dispatchService.processJob(job);
+    jest.spyOn(ContactNotification, 'findOne').mockResolvedValue(notification);
+    jest.spyOn(DispatchJob, 'findOne').mockResolvedValue(job);
+
+    await dispatchService.recordDeliveryReceipt({ providerMessageId: notification.providerMessageId, status: 'undelivered', errorCode: 30003 });
+
+    expect(notification.notificationStatus).toBe('failed');
+    expect(notification.failureReason).toBe('sms: undelivered (error 30003)');
+    expect(job.status).toBe('queued');
+    expect(job.currentChannel).toBe('voice');
+  });
+
+  it('never moves a delivered notification backwards', async () => {
+    const { notification } = build();
+    notification.notificationStatus = 'delivered';
+    jest.spyOn(ContactNotification, 'findOne').mockResolvedValue(notification);
+
+    await dispatchService.recordDeliveryReceipt({ providerMessageId: 'fake_sms_1', status: 'failed' });
+
+    expect(notification.notificationStatus).toBe('delivered');
+  });
+});
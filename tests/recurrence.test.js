@@ -0,0 +1,87 @@
+const { occurrencesBetween } = require('../src/utils/recurrence');
+
+const recurrence = (fields) => ({
+  startDate: '2026-03-02', // a Monday
+  startTime: '08:00',
+  durationMinutes: 30,
+  timeZone: 'UTC',
+  exceptions: [],
+  ...fields
+});
+
+const between = (rec, from, to) => occurrencesBetween(rec, new Date(from), new Date(to));
+const dates = (occurrences) => occurrences.map(o => o.date);
+
+describe('occurrencesBetween', () => {
+  it('counts COUNT from the start date when the window opens later', () => {
+    const daily = recurrence({ rrule: 'FREQ=DAILY;COUNT=5' });
+    expect(dates(between(daily, '2026-03-04T00:00:00Z', '2026-03-20T00:00:00Z'))).toEqual(['2026-03-04', '2026-03-05', '2026-03-06']);
+
+    const weekly = recurrence({ rrule: 'FREQ=WEEKLY;BYDAY=MO,WE,FR;COUNT=6', startDate: '2026-03-04' });
+    expect(dates(between(weekly, '2026-03-10T00:00:00Z', '2026-04-01T00:00:00Z'))).toEqual(['2026-03-11', '2026-03-13', '2026-03-16']);
+  });
+
+  it('lines daily intervals up with the start date', () => {
+    const rec = recurrence({ rrule: 'FREQ=DAILY;INTERVAL=3' });
+    expect(dates(between(rec, '2026-03-06T00:00:00Z', '2026-03-15T00:00:00Z'))).toEqual(['2026-03-08', '2026-03-11', '2026-03-14']);
+  });
+
+  it('keeps to every other week with INTERVAL=2 and BYDAY', () => {
+    const rec = recurrence({ rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH' });
+
+    expect(dates(between(rec, '2026-03-01T00:00:00Z', '2026-04-06T00:00:00Z')))
+      .toEqual(['2026-03-03', '2026-03-05', '2026-03-17', '2026-03-19', '2026-03-31', '2026-04-02']);
+    // A window starting in an off week picks up the next on week
+    expect(dates(between(rec, '2026-03-09T00:00:00Z', '2026-03-20T00:00:00Z'))).toEqual(['2026-03-17', '2026-03-19']);
+  });
+
+  it('leaves out excepted dates but still counts them towards COUNT', () => {
+    const rec = recurrence({ rrule: 'FREQ=DAILY;COUNT=4', exceptions: ['2026-03-03'] });
+    expect(dates(between(rec, '2026-03-01T00:00:00Z', '2026-03-10T00:00:00Z'))).toEqual(['2026-03-02', '2026-03-04', '2026-03-05']);
+  });
+
+  it('stops at UNTIL', () => {
+    const rec = recurrence({ rrule: 'FREQ=DAILY;UNTIL=20260304' });
+    expect(dates(between(rec, '2026-03-01T00:00:00Z', '2026-03-10T00:00:00Z'))).toEqual(['2026-03-02', '2026-03-03', '2026-03-04']);
+  });
+
+  it('keeps local wall-clock time across a daylight saving change', () => {
+    const rec = recurrence({ rrule: 'FREQ=DAILY', timeZone: 'America/New_York' });
+    const occurrences = between(rec, '2026-03-07T00:00:00Z', '2026-03-10T00:00:00Z');
+
+    expect(occurrences.map(o => o.startTime.toISOString()))
+      .toEqual(['2026-03-07T13:00:00.000Z', '2026-03-08T12:00:00.000Z', '2026-03-09T12:00:00.000Z']);
+    expect(occurrences[0].endTime.toISOString()).toBe('2026-03-07T13:30:00.000Z');
+  });
+
+  it('moves a start time skipped by a daylight saving jump forward by the jump', () => {
+    // Clocks in New York go from 02:00 to 03:00 on 2026-03-08
+    const rec = recurrence({ rrule: 'FREQ=DAILY', startTime: '02:30', timeZone: 'America/New_York' });
+    const occurrences = between(rec, '2026-03-07T00:00:00Z', '2026-03-10T00:00:00Z');
+
+    expect(occurrences.map(o => [o.date, o.startTime.toISOString()])).toEqual([
+      ['2026-03-07', '2026-03-07T07:30:00.000Z'],
+      ['2026-03-08', '2026-03-08T07:30:00.000Z'], // 03:30 EDT
+      ['2026-03-09', '2026-03-09T06:30:00.000Z']
+    ]);
+  });
+
+  it('returns the same occurrences however the range is split', () => {
+    const rec = recurrence({ rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,SA;COUNT=9', timeZone: 'Europe/London', exceptions: ['2026-03-21'] });
+    const whole = between(rec, '2026-02-01T00:00:00Z', '2026-06-01T00:00:00Z');
+
+    const chunked = [];
+    for (let month = 2; month < 6; month++) {
+      const from = new Date(Date.UTC(2026, month - 1, 1));
+      const to = new Date(Date.UTC(2026, month, 1));
+      chunked.push(...occurrencesBetween(rec, from, to));
+    }
+
+    expect(whole).toHaveLength(8);
+    expect(chunked).toEqual(whole);
+  });
+
+  it('returns nothing for an unsupported rule', () => {
+    expect(between(recurrence({ rrule: 'FREQ=MONTHLY' }), '2026-03-01T00:00:00Z', '2026-04-01T00:00:00Z')).toEqual([]);
+  });
+});